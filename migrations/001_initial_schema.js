@@ -0,0 +1,307 @@
+/**
+ * 001 - Initial schema
+ *
+ * Everything the old best-effort initDB() used to run on every boot. It is
+ * written to be idempotent, so databases created before the migration runner
+ * existed adopt it cleanly: tables that are already there are left alone and
+ * only the missing columns, indexes and constraints get added.
+ */
+const crypto = require('crypto');
+const util = require('util');
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function ensureColumn(db, table, columnSql) {
+  await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${columnSql};`);
+}
+
+// We accept a full SQL statement (without the trailing semicolon) to avoid mistakes.
+async function ensureIndex(db, sql) {
+  await db.query(sql.endsWith(';') ? sql : `${sql};`);
+}
+
+// Frozen copy of the server.js credential helper: the stored format must stay
+// verifiable by verifyPin().
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(pin), salt, 64, { N: 16384, r: 8, p: 1 });
+  return ['scrypt', 16384, 8, 1, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Hashes the PINs of databases created before pin_hash existed. Nobody is locked
+// out: each migrated account signs in with its PIN and its name, or the login it gets below.
+async function migratePlaintextPins(db) {
+  const col = await db.query(
+    "SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'pin'"
+  );
+  if (col.rows.length === 0) return;
+
+  const legacy = await db.query('SELECT id, pin FROM users WHERE pin_hash IS NULL AND pin IS NOT NULL');
+  for (const row of legacy.rows) {
+    await db.query('UPDATE users SET pin_hash=$1 WHERE id=$2', [await hashPin(row.pin), row.id]);
+  }
+
+  await db.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_pin_unique');
+  await db.query('ALTER TABLE users DROP COLUMN pin');
+}
+
+async function up(db) {
+  // 1) Users
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      login VARCHAR(255),
+      pin_hash VARCHAR(255),
+      login_assigned BOOLEAN NOT NULL DEFAULT FALSE,
+      failed_attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'users', 'login VARCHAR(255)');
+  await ensureColumn(db, 'users', 'pin_hash VARCHAR(255)');
+  await ensureColumn(db, 'users', 'login_assigned BOOLEAN NOT NULL DEFAULT FALSE');
+  await ensureColumn(db, 'users', 'failed_attempts INTEGER NOT NULL DEFAULT 0');
+  await ensureColumn(db, 'users', 'locked_until TIMESTAMP');
+
+  // Old databases: hash plaintext PINs, then drop the global UNIQUE(pin) and the column itself
+  await migratePlaintextPins(db);
+
+  // Every account signs in with a unique login; migrated accounts get their name
+  // (or name-id when two people share a name). login_assigned: they didn't choose
+  // it, so their name still signs them in until they use it (see POST /api/auth/login).
+  await db.query(`
+    UPDATE users u
+    SET login = CASE
+      WHEN (SELECT COUNT(*) FROM users x WHERE LOWER(x.name) = LOWER(u.name)) = 1 THEN u.name
+      ELSE u.name || '-' || u.id
+    END,
+    login_assigned = TRUE
+    WHERE login IS NULL;
+  `);
+  await ensureIndex(db, 'CREATE UNIQUE INDEX IF NOT EXISTS users_login_unique ON users (LOWER(login))');
+  await db.query('ALTER TABLE users ALTER COLUMN login SET NOT NULL');
+  await db.query('ALTER TABLE users ALTER COLUMN pin_hash SET NOT NULL');
+
+  // Failed logins per client IP (brute-force protection)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS login_ip_attempts (
+      ip VARCHAR(64) PRIMARY KEY,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP
+    );
+  `);
+
+  // Login sessions (one row per refresh token chain)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      user_agent VARCHAR(255),
+      ip VARCHAR(64),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id)');
+
+  // 2) Transactions
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS transactions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      description VARCHAR(255) NOT NULL,
+      amount NUMERIC(15, 2) NOT NULL,
+      type VARCHAR(10) CHECK (type IN ('income', 'expense')),
+      category VARCHAR(50),
+      subcategory VARCHAR(50),
+      date DATE NOT NULL,
+      payment_method VARCHAR(50),
+      is_recurring BOOLEAN DEFAULT FALSE,
+      card_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'transactions', 'user_id INTEGER');
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions (user_id, date DESC, id DESC)');
+
+  // 3) Goals
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS goals (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      name VARCHAR(255) NOT NULL,
+      target NUMERIC(15, 2) NOT NULL,
+      current_amount NUMERIC(15, 2) DEFAULT 0,
+      color VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'goals', 'user_id INTEGER');
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_goals_user ON goals (user_id, id ASC)');
+
+  // 4) Cards
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS cards (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      name VARCHAR(255) NOT NULL,
+      limit_amount NUMERIC(15, 2) NOT NULL,
+      used_amount NUMERIC(15, 2) DEFAULT 0,
+      due_day INTEGER,
+      color VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'cards', 'user_id INTEGER');
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_cards_user ON cards (user_id, id ASC)');
+
+  // 5) Investments
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS investments (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(50),
+      value_amount NUMERIC(15, 2) NOT NULL,
+      return_rate VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'investments', 'user_id INTEGER');
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_investments_user ON investments (user_id, id ASC)');
+
+  // 6) Budgets (unique per user+category)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER,
+      category VARCHAR(100) NOT NULL,
+      limit_amount NUMERIC(15, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await ensureColumn(db, 'budgets', 'user_id INTEGER');
+
+  // Replace old global UNIQUE(category) with UNIQUE(user_id, category) safely
+  await db.query(`
+    DO $$
+    DECLARE
+      has_old_unique BOOLEAN;
+    BEGIN
+      SELECT EXISTS(
+        SELECT 1
+        FROM pg_constraint c
+        JOIN pg_class t ON t.oid = c.conrelid
+        WHERE t.relname = 'budgets'
+          AND c.contype = 'u'
+          AND c.conname = 'budgets_category_key'
+      ) INTO has_old_unique;
+
+      IF has_old_unique THEN
+        ALTER TABLE budgets DROP CONSTRAINT budgets_category_key;
+      END IF;
+
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'budgets_user_category_unique'
+      ) THEN
+        ALTER TABLE budgets ADD CONSTRAINT budgets_user_category_unique UNIQUE (user_id, category);
+      END IF;
+    END $$;
+  `);
+
+  await ensureIndex(db, 'CREATE INDEX IF NOT EXISTS idx_budgets_user ON budgets (user_id, id ASC)');
+
+  // Foreign keys (optional, but helps integrity)
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_user_fk') THEN
+        ALTER TABLE transactions
+          ADD CONSTRAINT transactions_user_fk
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+      END IF;
+
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'goals_user_fk') THEN
+        ALTER TABLE goals
+          ADD CONSTRAINT goals_user_fk
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+      END IF;
+
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'cards_user_fk') THEN
+        ALTER TABLE cards
+          ADD CONSTRAINT cards_user_fk
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+      END IF;
+
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'investments_user_fk') THEN
+        ALTER TABLE investments
+          ADD CONSTRAINT investments_user_fk
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+      END IF;
+
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'budgets_user_fk') THEN
+        ALTER TABLE budgets
+          ADD CONSTRAINT budgets_user_fk
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+      END IF;
+    END $$;
+  `);
+
+  // Backfill old rows if there is exactly ONE user (helps migrations from your current single-user DB)
+  await db.query(`
+    DO $$
+    DECLARE
+      uid INTEGER;
+      ucount INTEGER;
+    BEGIN
+      SELECT COUNT(*) INTO ucount FROM users;
+
+      IF ucount = 1 THEN
+        SELECT id INTO uid FROM users ORDER BY id LIMIT 1;
+
+        UPDATE transactions SET user_id = uid WHERE user_id IS NULL;
+        UPDATE goals SET user_id = uid WHERE user_id IS NULL;
+        UPDATE cards SET user_id = uid WHERE user_id IS NULL;
+        UPDATE investments SET user_id = uid WHERE user_id IS NULL;
+        UPDATE budgets SET user_id = uid WHERE user_id IS NULL;
+      END IF;
+    END $$;
+  `);
+
+  // Enforce NOT NULL if possible (only when there are no nulls)
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM transactions WHERE user_id IS NULL LIMIT 1) THEN
+        ALTER TABLE transactions ALTER COLUMN user_id SET NOT NULL;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM goals WHERE user_id IS NULL LIMIT 1) THEN
+        ALTER TABLE goals ALTER COLUMN user_id SET NOT NULL;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM cards WHERE user_id IS NULL LIMIT 1) THEN
+        ALTER TABLE cards ALTER COLUMN user_id SET NOT NULL;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM investments WHERE user_id IS NULL LIMIT 1) THEN
+        ALTER TABLE investments ALTER COLUMN user_id SET NOT NULL;
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM budgets WHERE user_id IS NULL LIMIT 1) THEN
+        ALTER TABLE budgets ALTER COLUMN user_id SET NOT NULL;
+      END IF;
+    END $$;
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    DROP TABLE IF EXISTS budgets, investments, cards, goals, transactions,
+      login_ip_attempts, auth_sessions, users;
+  `);
+}
+
+module.exports = { up, down };
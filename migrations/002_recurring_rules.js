@@ -0,0 +1,94 @@
+/**
+ * 002 - Recurring rules
+ *
+ * Recurrence used to be just transactions.is_recurring. Rules now describe the
+ * schedule and recurring_occurrences records what happened to each scheduled
+ * date (posted, skipped, or still pending with per-occurrence overrides).
+ *
+ * Existing recurring transactions are grouped the way RecurringView used to
+ * group them (per user and description) into monthly rules. Those rules only
+ * start after the upgrade: months that were never entered by hand are not
+ * backfilled, and nothing already recorded gets posted twice. They are manual
+ * (auto_post = FALSE): users still enter those transactions by hand, so their
+ * due dates show up as pending instead of being posted next to the manual ones.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE recurring_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      description VARCHAR(255) NOT NULL,
+      amount NUMERIC(15, 2) NOT NULL,
+      type VARCHAR(10) NOT NULL CHECK (type IN ('income', 'expense')),
+      category VARCHAR(50),
+      subcategory VARCHAR(50),
+      payment_method VARCHAR(50),
+      card_id INTEGER,
+      frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'yearly', 'custom')),
+      interval_days INTEGER,
+      day INTEGER,
+      month INTEGER,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      auto_post BOOLEAN NOT NULL DEFAULT TRUE,
+      paused BOOLEAN NOT NULL DEFAULT FALSE,
+      generated_through DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_recurring_rules_user ON recurring_rules (user_id)');
+
+  await db.query(`
+    CREATE TABLE recurring_occurrences (
+      id SERIAL PRIMARY KEY,
+      rule_id INTEGER NOT NULL REFERENCES recurring_rules(id) ON DELETE CASCADE,
+      due_date DATE NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'posted', 'skipped')),
+      date DATE,
+      amount NUMERIC(15, 2),
+      description VARCHAR(255),
+      transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+      CONSTRAINT recurring_occurrences_rule_due_unique UNIQUE (rule_id, due_date)
+    );
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN recurring_rule_id INTEGER REFERENCES recurring_rules(id) ON DELETE SET NULL;
+  `);
+
+  // Legacy is_recurring rows -> one monthly rule per (user, description), based on the latest row.
+  await db.query(`
+    INSERT INTO recurring_rules
+      (user_id, description, amount, type, category, subcategory, payment_method, card_id,
+       frequency, day, start_date, generated_through, auto_post)
+    SELECT DISTINCT ON (user_id, description)
+      user_id, description, amount, COALESCE(type, 'expense'), category, subcategory, payment_method, card_id,
+      'monthly', EXTRACT(DAY FROM date)::int,
+      MIN(date) OVER (PARTITION BY user_id, description),
+      GREATEST(MAX(date) OVER (PARTITION BY user_id, description), CURRENT_DATE - 1),
+      FALSE
+    FROM transactions
+    WHERE is_recurring = TRUE AND user_id IS NOT NULL
+    ORDER BY user_id, description, date DESC, id DESC;
+  `);
+  await db.query(`
+    UPDATE transactions t SET recurring_rule_id = r.id
+    FROM recurring_rules r
+    WHERE t.is_recurring = TRUE AND t.user_id = r.user_id AND t.description = r.description;
+  `);
+  await db.query(`
+    INSERT INTO recurring_occurrences (rule_id, due_date, status, transaction_id)
+    SELECT DISTINCT ON (recurring_rule_id, date) recurring_rule_id, date, 'posted', id
+    FROM transactions
+    WHERE recurring_rule_id IS NOT NULL
+    ORDER BY recurring_rule_id, date, id;
+  `);
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS recurring_rule_id');
+  await db.query('DROP TABLE IF EXISTS recurring_occurrences, recurring_rules');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+/**
+ * 003 - Card statements
+ *
+ * Card usage is now derived from credit_card transactions instead of the typed
+ * used_amount. Cards get a closing day to cut purchases into monthly statements,
+ * installment purchases are stored as one transaction per installment, and
+ * statement payments are recorded in card_payments.
+ */
+async function up(db) {
+  await db.query('UPDATE cards SET due_day = LEAST(GREATEST(COALESCE(due_day, 10), 1), 31)');
+  await db.query('ALTER TABLE cards ALTER COLUMN due_day SET NOT NULL');
+
+  // Existing cards close a week before the due date (wrapping into the previous month).
+  await db.query('ALTER TABLE cards ADD COLUMN closing_day INTEGER');
+  await db.query('UPDATE cards SET closing_day = CASE WHEN due_day > 7 THEN due_day - 7 ELSE due_day + 21 END');
+  await db.query('ALTER TABLE cards ALTER COLUMN closing_day SET NOT NULL');
+  await db.query('ALTER TABLE cards DROP COLUMN used_amount');
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN installment_group UUID,
+      ADD COLUMN installment_number INTEGER,
+      ADD COLUMN installment_count INTEGER;
+  `);
+  await db.query(`
+    CREATE INDEX idx_transactions_card_date ON transactions (card_id, date)
+    WHERE card_id IS NOT NULL AND payment_method = 'credit_card';
+  `);
+
+  // statement_month is the month the statement is due (YYYY-MM).
+  await db.query(`
+    CREATE TABLE card_payments (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      card_id INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+      statement_month CHAR(7) NOT NULL,
+      amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+      date DATE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_card_payments_card ON card_payments (card_id, statement_month)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS card_payments');
+  await db.query('DROP INDEX IF EXISTS idx_transactions_card_date');
+  await db.query(`
+    ALTER TABLE transactions
+      DROP COLUMN IF EXISTS installment_group,
+      DROP COLUMN IF EXISTS installment_number,
+      DROP COLUMN IF EXISTS installment_count;
+  `);
+  await db.query('ALTER TABLE cards ADD COLUMN used_amount NUMERIC(15, 2) DEFAULT 0');
+  await db.query('ALTER TABLE cards ALTER COLUMN due_day DROP NOT NULL');
+  await db.query('ALTER TABLE cards DROP COLUMN IF EXISTS closing_day');
+}
+
+module.exports = { up, down };
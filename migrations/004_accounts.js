@@ -0,0 +1,82 @@
+/**
+ * 004 - Accounts
+ *
+ * Bank accounts and wallets with an opening balance, which counts from the
+ * account's opening date on. Transactions, recurring
+ * rules and card payments can point at the account the money moves through,
+ * and a new 'transfer' transaction type moves money from account_id to
+ * transfer_account_id without being income or expense.
+ *
+ * Existing transactions are left without an account.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE accounts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(10) NOT NULL CHECK (type IN ('checking', 'savings', 'cash', 'wallet')),
+      opening_balance NUMERIC(15, 2) NOT NULL DEFAULT 0,
+      opening_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      color VARCHAR(50),
+      archived BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_accounts_user ON accounts (user_id)');
+
+  // Accounts with transactions can't be deleted (only archived), so transfers always keep both sides.
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN account_id INTEGER REFERENCES accounts(id),
+      ADD COLUMN transfer_account_id INTEGER REFERENCES accounts(id);
+  `);
+  await db.query('ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check');
+  await db.query(`
+    ALTER TABLE transactions
+      ADD CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense', 'transfer')),
+      ADD CONSTRAINT transactions_transfer_check CHECK (
+        type <> 'transfer' OR (account_id IS NOT NULL AND transfer_account_id IS NOT NULL
+                               AND account_id <> transfer_account_id)
+      );
+  `);
+  await db.query('CREATE INDEX idx_transactions_account ON transactions (account_id) WHERE account_id IS NOT NULL');
+  await db.query(`
+    CREATE INDEX idx_transactions_transfer_account ON transactions (transfer_account_id)
+    WHERE transfer_account_id IS NOT NULL;
+  `);
+
+  await db.query('ALTER TABLE recurring_rules ADD COLUMN account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL');
+  await db.query('ALTER TABLE card_payments ADD COLUMN account_id INTEGER REFERENCES accounts(id)');
+
+  await db.query(`
+    CREATE TABLE account_reconciliations (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      statement_balance NUMERIC(15, 2) NOT NULL,
+      computed_balance NUMERIC(15, 2) NOT NULL,
+      adjustment_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_account_reconciliations_account ON account_reconciliations (account_id, date)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS account_reconciliations');
+  await db.query('ALTER TABLE card_payments DROP COLUMN IF EXISTS account_id');
+  await db.query('ALTER TABLE recurring_rules DROP COLUMN IF EXISTS account_id');
+  await db.query("DELETE FROM transactions WHERE type = 'transfer'");
+  await db.query(`
+    ALTER TABLE transactions
+      DROP CONSTRAINT IF EXISTS transactions_transfer_check,
+      DROP CONSTRAINT IF EXISTS transactions_type_check,
+      DROP COLUMN IF EXISTS transfer_account_id,
+      DROP COLUMN IF EXISTS account_id;
+  `);
+  await db.query("ALTER TABLE transactions ADD CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense'))");
+  await db.query('DROP TABLE IF EXISTS accounts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+/**
+ * 005 - Statement imports
+ *
+ * external_id keeps the bank's own id for imported transactions (OFX FITID,
+ * prefixed with the bank and account) so a statement imported twice is only
+ * inserted once. import_rules map descriptions to categories.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE transactions ADD COLUMN external_id VARCHAR(255)');
+  await db.query(`
+    CREATE UNIQUE INDEX idx_transactions_external_id ON transactions (user_id, external_id)
+    WHERE external_id IS NOT NULL;
+  `);
+
+  await db.query(`
+    CREATE TABLE import_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      pattern VARCHAR(100) NOT NULL,
+      type VARCHAR(10) CHECK (type IN ('income', 'expense')),
+      category VARCHAR(50) NOT NULL,
+      subcategory VARCHAR(50),
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_import_rules_user ON import_rules (user_id, position)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS import_rules');
+  await db.query('DROP INDEX IF EXISTS idx_transactions_external_id');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS external_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,97 @@
+/**
+ * 006 - Categories
+ *
+ * Per-user categories with one level of subcategories, replacing the list that
+ * was hard-coded in the frontend. Transactions, budgets and rules keep storing
+ * the category and subcategory names as text; the API renames them in place.
+ *
+ * Every existing user gets the old default list plus any category already used
+ * in their transactions, budgets or rules, so nothing shows up uncategorized.
+ */
+
+// Snapshot of the frontend defaults at the time of this migration.
+const DEFAULTS = {
+  expense: [
+    ['Moradia', '#8b5cf6', 'Home', ['Aluguel', 'Condomínio', 'Energia', 'Água', 'Internet', 'Gás', 'Manutenção']],
+    ['Alimentação', '#f59e0b', 'Utensils', ['Supermercado', 'Restaurante', 'Delivery', 'Lanches']],
+    ['Transporte', '#ef4444', 'Car', ['Combustível', 'Uber', 'Ônibus', 'IPVA']],
+    ['Lazer', '#06b6d4', 'Gamepad2', ['Viagens', 'Cinema', 'Streaming', 'Jogos', 'Assinaturas']],
+    ['Pessoal', '#ec4899', 'User', ['Roupas', 'Estética', 'Academia', 'Farmácia']],
+    ['Serviços', '#6366f1', 'Briefcase', ['Seguros', 'Bancos', 'Contador']],
+    ['Outros', '#64748b', 'Tag', ['Presentes', 'Imprevistos']],
+  ],
+  income: [
+    ['Salário', '#10b981', 'Wallet', ['Mensal', 'Adiantamento', '13º', 'Férias', 'Bônus']],
+    ['Extra', '#3b82f6', 'Coins', ['Freelance', 'Vendas', 'Investimentos']],
+  ],
+};
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE categories (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+      type VARCHAR(10) NOT NULL CHECK (type IN ('income', 'expense')),
+      name VARCHAR(50) NOT NULL,
+      color VARCHAR(50),
+      icon VARCHAR(50),
+      archived BOOLEAN NOT NULL DEFAULT FALSE,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query(`
+    CREATE UNIQUE INDEX idx_categories_unique_name
+    ON categories (user_id, type, COALESCE(parent_id, 0), LOWER(name));
+  `);
+  await db.query('CREATE INDEX idx_categories_parent ON categories (parent_id) WHERE parent_id IS NOT NULL');
+
+  for (const type of Object.keys(DEFAULTS)) {
+    for (const [index, [name, color, icon, subcategories]] of DEFAULTS[type].entries()) {
+      await db.query(
+        `INSERT INTO categories (user_id, type, name, color, icon, position)
+         SELECT id, $1, $2, $3, $4, $5 FROM users`,
+        [type, name, color, icon, index]
+      );
+      await db.query(
+        `INSERT INTO categories (user_id, parent_id, type, name, position)
+         SELECT p.user_id, p.id, p.type, s.name, s.position - 1
+         FROM categories p
+         CROSS JOIN UNNEST($3::text[]) WITH ORDINALITY AS s(name, position)
+         WHERE p.parent_id IS NULL AND p.type = $1 AND p.name = $2`,
+        [type, name, subcategories]
+      );
+    }
+  }
+
+  // Names already in use that aren't in the defaults (budgets are always expenses).
+  const used = `
+    SELECT user_id, type, category, subcategory FROM transactions WHERE type IN ('income', 'expense')
+    UNION SELECT user_id, type, category, subcategory FROM recurring_rules
+    UNION SELECT user_id, type, category, subcategory FROM import_rules WHERE type IS NOT NULL
+    UNION SELECT user_id, 'expense', category, NULL FROM budgets
+  `;
+  await db.query(`
+    INSERT INTO categories (user_id, type, name, position)
+    SELECT DISTINCT u.user_id, u.type, LEFT(u.category, 50), 1000
+    FROM (${used}) u
+    WHERE u.user_id IS NOT NULL AND COALESCE(TRIM(u.category), '') <> ''
+    ON CONFLICT DO NOTHING
+  `);
+  await db.query(`
+    INSERT INTO categories (user_id, parent_id, type, name, position)
+    SELECT DISTINCT p.user_id, p.id, p.type, LEFT(u.subcategory, 50), 1000
+    FROM (${used}) u
+    JOIN categories p ON p.user_id = u.user_id AND p.type = u.type AND p.parent_id IS NULL
+                     AND LOWER(p.name) = LOWER(LEFT(u.category, 50))
+    WHERE COALESCE(TRIM(u.subcategory), '') <> ''
+    ON CONFLICT DO NOTHING
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS categories');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+/**
+ * 007 - Budget periods
+ *
+ * Budget limits become monthly and keep their history: budget_limits holds the
+ * limit in effect from a month onwards (override = false) or for that single
+ * month (override = true). budgets.limit_amount stays as the latest default.
+ * Budgets can roll leftover / overspent amounts into the next month, and
+ * budget_months stores the income planned for a month (envelope planning).
+ *
+ * Existing limits are recorded as starting in the current month.
+ */
+async function up(db) {
+  await db.query(`
+    ALTER TABLE budgets
+      ADD COLUMN rollover BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN alerts BOOLEAN NOT NULL DEFAULT TRUE;
+  `);
+
+  await db.query(`
+    CREATE TABLE budget_limits (
+      id SERIAL PRIMARY KEY,
+      budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+      month CHAR(7) NOT NULL,
+      limit_amount NUMERIC(15, 2) NOT NULL CHECK (limit_amount >= 0),
+      override BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (budget_id, month, override)
+    );
+  `);
+  await db.query(`
+    INSERT INTO budget_limits (budget_id, month, limit_amount)
+    SELECT id, to_char(CURRENT_DATE, 'YYYY-MM'), COALESCE(limit_amount, 0) FROM budgets
+  `);
+
+  await db.query(`
+    CREATE TABLE budget_months (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      month CHAR(7) NOT NULL,
+      planned_income NUMERIC(15, 2) NOT NULL CHECK (planned_income >= 0),
+      PRIMARY KEY (user_id, month)
+    );
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS budget_months');
+  await db.query('DROP TABLE IF EXISTS budget_limits');
+  await db.query('ALTER TABLE budgets DROP COLUMN IF EXISTS rollover, DROP COLUMN IF EXISTS alerts');
+}
+
+module.exports = { up, down };
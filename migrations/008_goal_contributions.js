@@ -0,0 +1,54 @@
+/**
+ * 008 - Goal contributions
+ *
+ * A goal's saved amount is now the sum of its contributions (deposits minus
+ * withdrawals) instead of an editable current_amount. A contribution can point
+ * at the transaction (or transfer) that moved the money, at most once.
+ * Goals also get an optional deadline.
+ *
+ * Existing amounts become one deposit dated when the goal was created, flagged
+ * as the opening balance so it doesn't count as recent saving.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE goals ADD COLUMN deadline DATE');
+
+  await db.query(`
+    CREATE TABLE goal_contributions (
+      id SERIAL PRIMARY KEY,
+      goal_id INTEGER NOT NULL REFERENCES goals(id) ON DELETE CASCADE,
+      type VARCHAR(10) NOT NULL CHECK (type IN ('deposit', 'withdrawal')),
+      amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+      date DATE NOT NULL,
+      note VARCHAR(255),
+      transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+      opening BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_goal_contributions_goal ON goal_contributions (goal_id, date)');
+  await db.query(`
+    CREATE UNIQUE INDEX idx_goal_contributions_transaction ON goal_contributions (transaction_id)
+    WHERE transaction_id IS NOT NULL;
+  `);
+
+  await db.query(`
+    INSERT INTO goal_contributions (goal_id, type, amount, date, note, opening)
+    SELECT id, 'deposit', current_amount, COALESCE(created_at::date, CURRENT_DATE), 'Saldo inicial', TRUE
+    FROM goals WHERE current_amount > 0
+  `);
+  await db.query('ALTER TABLE goals DROP COLUMN current_amount');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE goals ADD COLUMN current_amount NUMERIC(15, 2) DEFAULT 0');
+  await db.query(`
+    UPDATE goals g SET current_amount = GREATEST(COALESCE((
+      SELECT SUM(CASE WHEN type = 'deposit' THEN amount ELSE -amount END)
+      FROM goal_contributions c WHERE c.goal_id = g.id
+    ), 0), 0)
+  `);
+  await db.query('DROP TABLE IF EXISTS goal_contributions');
+  await db.query('ALTER TABLE goals DROP COLUMN IF EXISTS deadline');
+}
+
+module.exports = { up, down };
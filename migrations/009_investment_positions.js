@@ -0,0 +1,87 @@
+/**
+ * 009 - Investment positions
+ *
+ * An investment becomes a position: investment_events records the money that
+ * goes in and out of it (buy, sell, contribution, dividend) and
+ * investment_snapshots its market value on a given date. Invested amount,
+ * current value and return are computed from those rows, replacing the single
+ * value_amount and the free-text return_rate.
+ *
+ * `type` held the asset class in practice; it moves to asset_class and `type`
+ * is left for an optional description (CDB, Tesouro Selic, ...). Existing
+ * values become a contribution plus a snapshot of the same amount, dated when
+ * the investment was created.
+ */
+const ASSET_CLASSES = { 'Renda Fixa': 'fixed_income', Ações: 'stocks', Cripto: 'crypto', FIIs: 'reits' };
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE investments
+      ADD COLUMN asset_class VARCHAR(20) NOT NULL DEFAULT 'other'
+        CHECK (asset_class IN ('fixed_income', 'stocks', 'crypto', 'reits', 'other')),
+      ADD COLUMN ticker VARCHAR(20);
+  `);
+  for (const [label, assetClass] of Object.entries(ASSET_CLASSES)) {
+    await db.query('UPDATE investments SET asset_class=$1, type=NULL WHERE type=$2', [assetClass, label]);
+  }
+
+  await db.query(`
+    CREATE TABLE investment_events (
+      id SERIAL PRIMARY KEY,
+      investment_id INTEGER NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('buy', 'sell', 'contribution', 'dividend')),
+      date DATE NOT NULL,
+      amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+      quantity NUMERIC(24, 8) CHECK (quantity > 0),
+      note VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_investment_events_investment ON investment_events (investment_id, date)');
+
+  await db.query(`
+    CREATE TABLE investment_snapshots (
+      id SERIAL PRIMARY KEY,
+      investment_id INTEGER NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      value NUMERIC(15, 2) NOT NULL CHECK (value >= 0),
+      UNIQUE (investment_id, date)
+    );
+  `);
+
+  await db.query(`
+    INSERT INTO investment_events (investment_id, type, date, amount, note)
+    SELECT id, 'contribution', COALESCE(created_at::date, CURRENT_DATE), value_amount, 'Saldo inicial'
+    FROM investments WHERE value_amount > 0
+  `);
+  await db.query(`
+    INSERT INTO investment_snapshots (investment_id, date, value)
+    SELECT id, COALESCE(created_at::date, CURRENT_DATE), value_amount FROM investments WHERE value_amount >= 0
+  `);
+  await db.query('ALTER TABLE investments DROP COLUMN value_amount, DROP COLUMN return_rate');
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE investments
+      ADD COLUMN value_amount NUMERIC(15, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN return_rate VARCHAR(50);
+  `);
+  // Latest snapshot, or the net amount invested when there is none.
+  await db.query(`
+    UPDATE investments i SET value_amount = GREATEST(COALESCE(
+      (SELECT value FROM investment_snapshots s WHERE s.investment_id = i.id ORDER BY date DESC LIMIT 1),
+      (SELECT SUM(CASE type WHEN 'sell' THEN -amount WHEN 'dividend' THEN 0 ELSE amount END)
+       FROM investment_events e WHERE e.investment_id = i.id),
+      0
+    ), 0)
+  `);
+  for (const [label, assetClass] of Object.entries(ASSET_CLASSES)) {
+    await db.query('UPDATE investments SET type=$1 WHERE asset_class=$2 AND type IS NULL', [label, assetClass]);
+  }
+  await db.query('DROP TABLE IF EXISTS investment_snapshots');
+  await db.query('DROP TABLE IF EXISTS investment_events');
+  await db.query('ALTER TABLE investments DROP COLUMN IF EXISTS asset_class, DROP COLUMN IF EXISTS ticker');
+}
+
+module.exports = { up, down };
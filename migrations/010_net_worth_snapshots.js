@@ -0,0 +1,29 @@
+/**
+ * 010 - Net worth snapshots
+ *
+ * One row per user and month with the net worth at the month's last day and
+ * its parts. The scheduler writes a month once it is over; the API computes
+ * months without a row (and the current one) on the fly.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE net_worth_snapshots (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      month CHAR(7) NOT NULL,
+      date DATE NOT NULL,
+      cash NUMERIC(15, 2) NOT NULL,
+      investments NUMERIC(15, 2) NOT NULL,
+      goals NUMERIC(15, 2) NOT NULL,
+      card_debt NUMERIC(15, 2) NOT NULL,
+      total NUMERIC(15, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, month)
+    );
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS net_worth_snapshots');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+/**
+ * 011 - Soft delete
+ *
+ * Transactions, goals, cards, investments and budgets get a deleted_at column:
+ * deleting one moves it to the trash, from where it can be restored until the
+ * scheduler purges it. Reads only see rows where deleted_at IS NULL.
+ *
+ * A budget in the trash must not block a new budget for the same category, so
+ * UNIQUE (user_id, category) becomes a unique index over the live rows only.
+ */
+const TABLES = ['transactions', 'goals', 'cards', 'investments', 'budgets'];
+
+async function up(db) {
+  for (const table of TABLES) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP`);
+    await db.query(
+      `CREATE INDEX idx_${table}_deleted ON ${table} (user_id, deleted_at) WHERE deleted_at IS NOT NULL`
+    );
+  }
+
+  await db.query('ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_user_category_unique');
+  await db.query(`
+    CREATE UNIQUE INDEX budgets_user_category_unique ON budgets (user_id, category)
+    WHERE deleted_at IS NULL;
+  `);
+}
+
+async function down(db) {
+  // Whatever is still in the trash is gone for good.
+  for (const table of TABLES) {
+    await db.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+  }
+  await db.query('DROP INDEX IF EXISTS budgets_user_category_unique');
+  await db.query('ALTER TABLE budgets ADD CONSTRAINT budgets_user_category_unique UNIQUE (user_id, category)');
+
+  for (const table of TABLES) {
+    await db.query(`DROP INDEX IF EXISTS idx_${table}_deleted`);
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deleted_at`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,97 @@
+/**
+ * 012 - Audit log and row versions
+ *
+ * audit_log is append-only: one row per insert, update or delete of user data,
+ * written by the server in the same transaction as the change. Child rows
+ * (goal contributions, investment events, ...) also point at their parent so a
+ * record's history includes them. A trigger refuses updates; rows only go away
+ * with their user.
+ *
+ * The records the API edits with PUT get updated_at and a version that a
+ * trigger bumps on every UPDATE that changes them, for optimistic concurrency
+ * checks.
+ */
+const VERSIONED = [
+  'accounts',
+  'categories',
+  'transactions',
+  'recurring_rules',
+  'import_rules',
+  'goals',
+  'cards',
+  'investments',
+  'budgets',
+];
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      entity VARCHAR(40) NOT NULL,
+      entity_id VARCHAR(40),
+      parent_entity VARCHAR(40),
+      parent_id VARCHAR(40),
+      action VARCHAR(20) NOT NULL,
+      label VARCHAR(255),
+      changes JSONB NOT NULL DEFAULT '{}',
+      ip VARCHAR(64),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_audit_log_user ON audit_log (user_id, id DESC)');
+  await db.query('CREATE INDEX idx_audit_log_entity ON audit_log (user_id, entity, entity_id)');
+  await db.query(`
+    CREATE INDEX idx_audit_log_parent ON audit_log (user_id, parent_entity, parent_id)
+    WHERE parent_entity IS NOT NULL;
+  `);
+  await db.query(`
+    CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await db.query(`
+    CREATE TRIGGER audit_log_append_only BEFORE UPDATE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+  `);
+
+  await db.query(`
+    CREATE FUNCTION bump_row_version() RETURNS trigger AS $$
+    BEGIN
+      -- The scheduler's bookkeeping isn't an edit.
+      IF to_jsonb(NEW) - 'generated_through' = to_jsonb(OLD) - 'generated_through' THEN
+        RETURN NEW;
+      END IF;
+      NEW.version := OLD.version + 1;
+      NEW.updated_at := CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  for (const table of VERSIONED) {
+    await db.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN updated_at TIMESTAMP,
+        ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    `);
+    await db.query(`
+      CREATE TRIGGER ${table}_bump_version BEFORE UPDATE ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+    `);
+  }
+}
+
+async function down(db) {
+  for (const table of VERSIONED) {
+    await db.query(`DROP TRIGGER IF EXISTS ${table}_bump_version ON ${table}`);
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS updated_at, DROP COLUMN IF EXISTS version`);
+  }
+  await db.query('DROP FUNCTION IF EXISTS bump_row_version()');
+  await db.query('DROP TABLE IF EXISTS audit_log');
+  await db.query('DROP FUNCTION IF EXISTS audit_log_append_only()');
+}
+
+module.exports = { up, down };
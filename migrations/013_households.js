@@ -0,0 +1,196 @@
+/**
+ * 013 - Households
+ *
+ * Data stops belonging to a single user: it belongs to a household, shared by
+ * its members with a role (owner, editor or viewer). New members join with a
+ * one-time invitation code; only its SHA-256 is stored.
+ *
+ * Every user gets a household with the same id as the user, owned by them, so
+ * the data tables only need user_id renamed to household_id (their unique keys
+ * and indexes follow the column) and the foreign key pointed at households.
+ * transactions.member_id records who spent it (NULL: shared, or posted by a
+ * recurring rule). audit_log keeps user_id for who did it, now nullable
+ * (scheduler jobs and members who deleted their account: the append-only
+ * trigger lets that one update through), and gets the household.
+ *
+ * down() can only give each user one household back: every household goes to
+ * its oldest owner, and a user who owns more than one keeps the oldest.
+ */
+const TABLES = [
+  'accounts',
+  'categories',
+  'cards',
+  'recurring_rules',
+  'transactions',
+  'card_payments',
+  'goals',
+  'investments',
+  'budgets',
+  'budget_months',
+  'import_rules',
+  'net_worth_snapshots',
+];
+
+// Name of the foreign key on `table`.`column`.
+async function foreignKey(db, table, column) {
+  const r = await db.query(
+    `SELECT c.conname FROM pg_constraint c
+     JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+     WHERE c.conrelid = $1::regclass AND c.contype = 'f' AND a.attname = $2`,
+    [table, column]
+  );
+  return r.rows[0].conname;
+}
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE households (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query(`
+    CREATE TABLE household_members (
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (household_id, user_id)
+    );
+  `);
+  await db.query('CREATE INDEX idx_household_members_user ON household_members (user_id, joined_at)');
+  await db.query(`
+    CREATE TABLE household_invites (
+      id SERIAL PRIMARY KEY,
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL UNIQUE,
+      role VARCHAR(10) NOT NULL CHECK (role IN ('editor', 'viewer')),
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      used_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_household_invites_household ON household_invites (household_id)');
+
+  await db.query('INSERT INTO households (id, name) SELECT id, name FROM users');
+  await db.query("SELECT setval('households_id_seq', GREATEST((SELECT MAX(id) FROM households), 1))");
+  await db.query(`
+    INSERT INTO household_members (household_id, user_id, role, joined_at)
+    SELECT id, id, 'owner', COALESCE(created_at, CURRENT_TIMESTAMP) FROM users
+  `);
+
+  for (const table of TABLES) {
+    await db.query(`ALTER TABLE ${table} DROP CONSTRAINT ${await foreignKey(db, table, 'user_id')}`);
+    await db.query(`ALTER TABLE ${table} RENAME COLUMN user_id TO household_id`);
+    await db.query(`
+      ALTER TABLE ${table} ADD CONSTRAINT ${table}_household_id_fkey
+      FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE CASCADE
+    `);
+  }
+
+  await db.query('ALTER TABLE transactions ADD COLUMN member_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  await db.query('UPDATE transactions SET member_id=household_id');
+  await db.query('CREATE INDEX idx_transactions_member ON transactions (household_id, member_id)');
+
+  await db.query('DROP INDEX idx_audit_log_user, idx_audit_log_entity, idx_audit_log_parent');
+  await db.query(`ALTER TABLE audit_log DROP CONSTRAINT ${await foreignKey(db, 'audit_log', 'user_id')}`);
+  await db.query('ALTER TABLE audit_log ALTER COLUMN user_id DROP NOT NULL');
+  await db.query(`
+    ALTER TABLE audit_log ADD CONSTRAINT audit_log_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  `);
+  await db.query('ALTER TABLE audit_log ADD COLUMN household_id INTEGER REFERENCES households(id) ON DELETE CASCADE');
+  // The append-only trigger refuses updates, including this one.
+  await db.query('ALTER TABLE audit_log DISABLE TRIGGER audit_log_append_only');
+  await db.query('UPDATE audit_log SET household_id=user_id');
+  await db.query('ALTER TABLE audit_log ENABLE TRIGGER audit_log_append_only');
+  await db.query('ALTER TABLE audit_log ALTER COLUMN household_id SET NOT NULL');
+  await db.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      -- A member deleting their account only forgets who made the change.
+      IF NEW.user_id IS NULL AND to_jsonb(NEW) - 'user_id' = to_jsonb(OLD) - 'user_id' THEN
+        RETURN NEW;
+      END IF;
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await db.query('CREATE INDEX idx_audit_log_household ON audit_log (household_id, id DESC)');
+  await db.query('CREATE INDEX idx_audit_log_entity ON audit_log (household_id, entity, entity_id)');
+  await db.query(`
+    CREATE INDEX idx_audit_log_parent ON audit_log (household_id, parent_entity, parent_id)
+    WHERE parent_entity IS NOT NULL;
+  `);
+}
+
+async function down(db) {
+  // household -> the user who gets it back
+  await db.query(`
+    CREATE TEMP TABLE household_owner ON COMMIT DROP AS
+    SELECT DISTINCT ON (user_id) household_id, user_id FROM (
+      SELECT DISTINCT ON (household_id) household_id, user_id, joined_at FROM household_members
+      WHERE role='owner' ORDER BY household_id, joined_at, user_id
+    ) o ORDER BY user_id, joined_at, household_id
+  `);
+
+  await db.query('DROP INDEX idx_audit_log_household, idx_audit_log_entity, idx_audit_log_parent');
+  await db.query('ALTER TABLE audit_log DISABLE TRIGGER audit_log_append_only');
+  await db.query(`
+    DELETE FROM audit_log a WHERE NOT EXISTS (SELECT 1 FROM household_owner o WHERE o.household_id=a.household_id)
+  `);
+  await db.query('UPDATE audit_log a SET user_id=o.user_id FROM household_owner o WHERE o.household_id=a.household_id');
+  await db.query('ALTER TABLE audit_log ENABLE TRIGGER audit_log_append_only');
+  await db.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await db.query('ALTER TABLE audit_log DROP COLUMN household_id');
+  await db.query('ALTER TABLE audit_log DROP CONSTRAINT audit_log_user_id_fkey');
+  await db.query('ALTER TABLE audit_log ALTER COLUMN user_id SET NOT NULL');
+  await db.query(`
+    ALTER TABLE audit_log ADD CONSTRAINT audit_log_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  `);
+  await db.query('CREATE INDEX idx_audit_log_user ON audit_log (user_id, id DESC)');
+  await db.query('CREATE INDEX idx_audit_log_entity ON audit_log (user_id, entity, entity_id)');
+  await db.query(`
+    CREATE INDEX idx_audit_log_parent ON audit_log (user_id, parent_entity, parent_id)
+    WHERE parent_entity IS NOT NULL;
+  `);
+
+  await db.query('DROP INDEX IF EXISTS idx_transactions_member');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS member_id');
+
+  // Children first, so deleting a household's rows never trips over a reference from another table.
+  for (const table of [...TABLES].reverse()) {
+    await db.query(`ALTER TABLE ${table} DROP CONSTRAINT ${table}_household_id_fkey`);
+    await db.query(
+      `DELETE FROM ${table} t WHERE NOT EXISTS (SELECT 1 FROM household_owner o WHERE o.household_id=t.household_id)`
+    );
+  }
+  for (const table of TABLES) {
+    // Through negative ids, so no row takes an id another household still holds (unique keys).
+    await db.query(`
+      UPDATE ${table} t SET household_id=-o.user_id FROM household_owner o WHERE o.household_id=t.household_id
+    `);
+    await db.query(`UPDATE ${table} SET household_id=-household_id`);
+    await db.query(`ALTER TABLE ${table} RENAME COLUMN household_id TO user_id`);
+    await db.query(`
+      ALTER TABLE ${table} ADD CONSTRAINT ${table}_user_id_fkey
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    `);
+  }
+
+  await db.query('DROP TABLE IF EXISTS household_invites');
+  await db.query('DROP TABLE IF EXISTS household_members');
+  await db.query('DROP TABLE IF EXISTS households');
+}
+
+module.exports = { up, down };
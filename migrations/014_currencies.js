@@ -0,0 +1,77 @@
+/**
+ * 014 - Currencies and exchange rates
+ *
+ * Transactions, recurring rules, accounts, cards and investments get the
+ * currency their amounts are in, and households the base currency reports are
+ * converted to. Existing rows are all in BRL.
+ *
+ * exchange_rates holds the rates the members entered or imported: 1 unit of
+ * from_currency = rate units of to_currency on that date. exchange_rate() picks
+ * the rate for a date (the latest one on or before it, else the earliest after
+ * it, either direction of the pair) and to_base() converts an amount to the
+ * household's base currency with it, leaving it as is when there is no rate.
+ */
+const TABLES = ['transactions', 'recurring_rules', 'accounts', 'cards', 'investments'];
+
+async function up(db) {
+  await db.query("ALTER TABLE households ADD COLUMN base_currency VARCHAR(10) NOT NULL DEFAULT 'BRL'");
+  for (const table of TABLES) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN currency VARCHAR(10) NOT NULL DEFAULT 'BRL'`);
+  }
+
+  await db.query(`
+    CREATE TABLE exchange_rates (
+      id SERIAL PRIMARY KEY,
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      from_currency VARCHAR(10) NOT NULL,
+      to_currency VARCHAR(10) NOT NULL,
+      date DATE NOT NULL,
+      rate NUMERIC(20, 10) NOT NULL CHECK (rate > 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT exchange_rates_pair_date_unique UNIQUE (household_id, from_currency, to_currency, date),
+      CHECK (from_currency <> to_currency)
+    );
+  `);
+  // The unique key covers lookups by from_currency; this one the inverse rates.
+  await db.query(`
+    CREATE INDEX idx_exchange_rates_inverse ON exchange_rates (household_id, to_currency, from_currency, date)
+  `);
+
+  await db.query(`
+    CREATE FUNCTION exchange_rate(p_household INTEGER, p_from VARCHAR, p_to VARCHAR, p_date DATE)
+    RETURNS NUMERIC AS $$
+      SELECT CASE WHEN p_from = p_to THEN 1 ELSE (
+        SELECT r.rate FROM (
+          SELECT rate, date FROM exchange_rates
+          WHERE household_id = p_household AND from_currency = p_from AND to_currency = p_to
+          UNION ALL
+          SELECT 1 / rate, date FROM exchange_rates
+          WHERE household_id = p_household AND from_currency = p_to AND to_currency = p_from
+        ) r
+        ORDER BY r.date > p_date, ABS(r.date - p_date)
+        LIMIT 1
+      ) END
+    $$ LANGUAGE sql STABLE;
+  `);
+  await db.query(`
+    CREATE FUNCTION to_base(p_household INTEGER, p_amount NUMERIC, p_currency VARCHAR, p_date DATE)
+    RETURNS NUMERIC AS $$
+      SELECT p_amount * COALESCE(
+        exchange_rate(p_household, p_currency, (SELECT base_currency FROM households WHERE id = p_household), p_date),
+        1
+      )
+    $$ LANGUAGE sql STABLE;
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP FUNCTION IF EXISTS to_base(INTEGER, NUMERIC, VARCHAR, DATE)');
+  await db.query('DROP FUNCTION IF EXISTS exchange_rate(INTEGER, VARCHAR, VARCHAR, DATE)');
+  await db.query('DROP TABLE IF EXISTS exchange_rates');
+  for (const table of TABLES) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS currency`);
+  }
+  await db.query('ALTER TABLE households DROP COLUMN IF EXISTS base_currency');
+}
+
+module.exports = { up, down };
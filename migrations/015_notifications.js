@@ -0,0 +1,80 @@
+/**
+ * 015 - Notifications
+ *
+ * notification_preferences holds each user's channels and reminder settings
+ * (no row: the defaults). notifications is the in-app inbox and the record of
+ * what was already sent: dedupe_key names the thing a reminder is about (a
+ * card's bill for a month, a recurring occurrence, ...), so the scheduler
+ * never builds the same one twice for a user. notification_deliveries tracks
+ * the copies sent through the other channels (e-mail, Web Push) for retries.
+ * push_subscriptions are the browsers that subscribed to Web Push.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE notification_preferences (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      email BOOLEAN NOT NULL DEFAULT FALSE,
+      email_address VARCHAR(255),
+      push BOOLEAN NOT NULL DEFAULT FALSE,
+      card_due_days INTEGER NOT NULL DEFAULT 3,
+      recurring_days INTEGER NOT NULL DEFAULT 2,
+      goal_deadline_days INTEGER NOT NULL DEFAULT 30,
+      budget_alerts BOOLEAN NOT NULL DEFAULT TRUE,
+      weekly_digest BOOLEAN NOT NULL DEFAULT TRUE,
+      digest_weekday INTEGER NOT NULL DEFAULT 1 CHECK (digest_weekday BETWEEN 0 AND 6),
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query(`
+    CREATE TABLE notifications (
+      id BIGSERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      household_id INTEGER REFERENCES households(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL,
+      dedupe_key VARCHAR(120) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      read_at TIMESTAMP,
+      CONSTRAINT notifications_dedupe_unique UNIQUE (user_id, dedupe_key)
+    );
+  `);
+  await db.query('CREATE INDEX idx_notifications_user ON notifications (user_id, id DESC)');
+  await db.query('CREATE INDEX idx_notifications_unread ON notifications (user_id) WHERE read_at IS NULL');
+  await db.query(`
+    CREATE TABLE notification_deliveries (
+      notification_id BIGINT NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+      channel VARCHAR(20) NOT NULL,
+      status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'skipped', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error VARCHAR(255),
+      sent_at TIMESTAMP,
+      PRIMARY KEY (notification_id, channel)
+    );
+  `);
+  await db.query(`
+    CREATE INDEX idx_notification_deliveries_failed ON notification_deliveries (notification_id) WHERE status='failed'
+  `);
+  await db.query(`
+    CREATE TABLE push_subscriptions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      endpoint TEXT NOT NULL UNIQUE,
+      p256dh VARCHAR(200) NOT NULL,
+      auth VARCHAR(100) NOT NULL,
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_push_subscriptions_user ON push_subscriptions (user_id)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS push_subscriptions');
+  await db.query('DROP TABLE IF EXISTS notification_deliveries');
+  await db.query('DROP TABLE IF EXISTS notifications');
+  await db.query('DROP TABLE IF EXISTS notification_preferences');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+/**
+ * 016 - Split lines, tags and attachments
+ *
+ * transaction_splits breaks a transaction into lines with their own category
+ * and amount (they add up to the transaction's); the transaction keeps the
+ * first line's category, so anything that doesn't know about lines still sees
+ * a sensible one. tags are free-form labels, lowercase. attachments are the
+ * files (receipts) kept for a transaction: the bytes live in the attachment
+ * storage under storage_key, the row only describes them.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE transaction_splits (
+      id SERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      subcategory VARCHAR(50),
+      amount NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+      CONSTRAINT transaction_splits_position_unique UNIQUE (transaction_id, position)
+    );
+  `);
+
+  await db.query("ALTER TABLE transactions ADD COLUMN tags VARCHAR(50)[] NOT NULL DEFAULT '{}'");
+  await db.query('CREATE INDEX idx_transactions_tags ON transactions USING GIN (tags)');
+
+  await db.query(`
+    CREATE TABLE attachments (
+      id SERIAL PRIMARY KEY,
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      storage_key VARCHAR(100) NOT NULL UNIQUE,
+      filename VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size INTEGER NOT NULL,
+      sha256 VARCHAR(64) NOT NULL,
+      uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_attachments_transaction ON attachments (transaction_id)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS attachments');
+  await db.query('DROP INDEX IF EXISTS idx_transactions_tags');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS tags');
+  await db.query('DROP TABLE IF EXISTS transaction_splits');
+}
+
+module.exports = { up, down };
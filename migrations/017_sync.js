@@ -0,0 +1,117 @@
+/**
+ * 017 - Offline sync
+ *
+ * Transactions get client_id, the id an offline client gave the ones it
+ * created, unique in the household so sending them again doesn't duplicate
+ * them.
+ *
+ * sync_log keeps one row per transaction with the sequence number of its
+ * latest change, so clients can ask what changed since the number they last
+ * saw. Triggers write it: any insert, update or delete of a transaction, or of
+ * its split lines and attachments, whichever code path (or cascade) did it.
+ * Deleted transactions keep their row (deleted = true) for the clients that
+ * still have them. changed_at is the clock time of the change, not of its
+ * transaction's start.
+ *
+ * sync_mutations records the outcome of each change a client sent, by the id
+ * the client gave it, so a batch sent again after a lost response is answered
+ * the same way instead of being applied twice.
+ */
+async function up(db) {
+  await db.query('ALTER TABLE transactions ADD COLUMN client_id UUID');
+  await db.query(`
+    CREATE UNIQUE INDEX transactions_client_id_unique ON transactions (household_id, client_id)
+    WHERE client_id IS NOT NULL
+  `);
+
+  await db.query('CREATE SEQUENCE sync_log_seq');
+  await db.query(`
+    CREATE TABLE sync_log (
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      entity VARCHAR(40) NOT NULL,
+      record_id INTEGER NOT NULL,
+      seq BIGINT NOT NULL DEFAULT nextval('sync_log_seq'),
+      deleted BOOLEAN NOT NULL DEFAULT FALSE,
+      changed_at TIMESTAMP NOT NULL DEFAULT clock_timestamp(),
+      PRIMARY KEY (entity, record_id)
+    );
+  `);
+  await db.query('CREATE INDEX idx_sync_log_household ON sync_log (household_id, entity, seq)');
+  await db.query(`
+    INSERT INTO sync_log (household_id, entity, record_id)
+    SELECT household_id, 'transactions', id FROM transactions ORDER BY id
+  `);
+
+  await db.query(`
+    CREATE FUNCTION sync_log_touch(p_household INTEGER, p_entity VARCHAR, p_id INTEGER, p_deleted BOOLEAN)
+    RETURNS void AS $$
+      -- Nothing to tell when the household itself is going away (its rows cascade).
+      INSERT INTO sync_log (household_id, entity, record_id, deleted)
+      SELECT p_household, p_entity, p_id, p_deleted WHERE EXISTS (SELECT 1 FROM households WHERE id = p_household)
+      ON CONFLICT (entity, record_id) DO UPDATE
+      SET seq = nextval('sync_log_seq'), deleted = EXCLUDED.deleted, changed_at = clock_timestamp()
+    $$ LANGUAGE sql;
+  `);
+  await db.query(`
+    CREATE FUNCTION sync_log_transactions() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' THEN
+        PERFORM sync_log_touch(OLD.household_id, 'transactions', OLD.id, TRUE);
+      ELSE
+        PERFORM sync_log_touch(NEW.household_id, 'transactions', NEW.id, FALSE);
+      END IF;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await db.query(`
+    CREATE TRIGGER transactions_sync_log AFTER INSERT OR UPDATE OR DELETE ON transactions
+    FOR EACH ROW EXECUTE FUNCTION sync_log_transactions();
+  `);
+  // Lines and attachments are part of their transaction: a change to them is a change to it.
+  // When the transaction itself is being deleted (cascade) it already logged that.
+  await db.query(`
+    CREATE FUNCTION sync_log_transaction_child() RETURNS trigger AS $$
+    DECLARE
+      parent INTEGER := CASE WHEN TG_OP = 'DELETE' THEN OLD.transaction_id ELSE NEW.transaction_id END;
+    BEGIN
+      UPDATE sync_log SET seq = nextval('sync_log_seq'), changed_at = clock_timestamp()
+      WHERE entity = 'transactions' AND record_id = parent AND NOT deleted;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  for (const table of ['transaction_splits', 'attachments']) {
+    await db.query(`
+      CREATE TRIGGER ${table}_sync_log AFTER INSERT OR UPDATE OR DELETE ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION sync_log_transaction_child();
+    `);
+  }
+
+  await db.query(`
+    CREATE TABLE sync_mutations (
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      id UUID NOT NULL,
+      result JSONB,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (household_id, id)
+    );
+  `);
+  await db.query('CREATE INDEX idx_sync_mutations_created ON sync_mutations (created_at)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS sync_mutations');
+  for (const table of ['attachments', 'transaction_splits', 'transactions']) {
+    await db.query(`DROP TRIGGER IF EXISTS ${table}_sync_log ON ${table}`);
+  }
+  await db.query('DROP FUNCTION IF EXISTS sync_log_transaction_child()');
+  await db.query('DROP FUNCTION IF EXISTS sync_log_transactions()');
+  await db.query('DROP FUNCTION IF EXISTS sync_log_touch(INTEGER, VARCHAR, INTEGER, BOOLEAN)');
+  await db.query('DROP TABLE IF EXISTS sync_log');
+  await db.query('DROP SEQUENCE IF EXISTS sync_log_seq');
+  await db.query('DROP INDEX IF EXISTS transactions_client_id_unique');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS client_id');
+}
+
+module.exports = { up, down };
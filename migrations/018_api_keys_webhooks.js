@@ -0,0 +1,85 @@
+/**
+ * 018 - API keys and webhooks
+ *
+ * api_keys are long-lived credentials a user makes for scripts and
+ * automations: each one acts as that user in one household, limited to the
+ * scopes it lists ({ resource: 'read' | 'write' }), until expires_on (the
+ * last day it works) or until revoked. Only the key's SHA-256 is stored;
+ * prefix is its first characters, to tell keys apart in lists.
+ *
+ * webhooks are the URLs a household's changes are POSTed to, for the
+ * resources each one subscribes to; secret signs the payloads (so it is kept
+ * as is). webhook_deliveries is the outbox and the delivery log: one row per
+ * event and webhook, written in the same database transaction as the change,
+ * with the outcome of its latest attempt and when to try again.
+ */
+async function up(db) {
+  await db.query(`
+    CREATE TABLE api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(20) NOT NULL,
+      key_hash VARCHAR(64) NOT NULL UNIQUE,
+      scopes JSONB NOT NULL,
+      expires_on DATE,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_api_keys_user ON api_keys (user_id)');
+
+  await db.query(`
+    CREATE TABLE webhooks (
+      id SERIAL PRIMARY KEY,
+      household_id INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+      url VARCHAR(2000) NOT NULL,
+      description VARCHAR(255),
+      resources VARCHAR(20)[] NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      version INTEGER NOT NULL DEFAULT 1
+    );
+  `);
+  await db.query('CREATE INDEX idx_webhooks_household ON webhooks (household_id)');
+  await db.query(`
+    CREATE TRIGGER webhooks_bump_version BEFORE UPDATE ON webhooks
+    FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+  `);
+
+  await db.query(`
+    CREATE TABLE webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(60) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      response_status INTEGER,
+      error VARCHAR(255),
+      duration_ms INTEGER,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at TIMESTAMP,
+      delivered_at TIMESTAMP
+    );
+  `);
+  await db.query('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id DESC)');
+  await db.query(`
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status='pending'
+  `);
+  await db.query('CREATE INDEX idx_webhook_deliveries_created ON webhook_deliveries (created_at)');
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS webhook_deliveries');
+  await db.query('DROP TABLE IF EXISTS webhooks');
+  await db.query('DROP TABLE IF EXISTS api_keys');
+}
+
+module.exports = { up, down };
@@ -2,6 +2,16 @@ const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const util = require('util');
+const zlib = require('zlib');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const app = express();
@@ -29,35 +39,1098 @@ const pool = new Pool({
   ...(useSSL ? { ssl: { rejectUnauthorized: false } } : {}),
 });
 
+// Runs fn(client) inside BEGIN/COMMIT on a dedicated client; rolls back if it throws.
+// Callbacks fn pushes to client.afterCommit run once the transaction committed.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  client.afterCommit = [];
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    client.afterCommit.forEach((callback) => callback());
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    delete client.afterCommit;
+    client.release();
+  }
+}
+
+/**
+ * --------------------
+ * Auth tokens
+ * --------------------
+ * Use:
+ *  - JWT_SECRET=<long random string>   (SECRET_KEY is accepted as a fallback)
+ * Optional:
+ *  - ACCESS_TOKEN_TTL=900              (seconds)
+ *  - REFRESH_TOKEN_TTL_DAYS=30
+ *  - LOGIN_MAX_ATTEMPTS=5              (failed logins per account before lockout)
+ *  - LOGIN_IP_MAX_ATTEMPTS=20          (failed logins per IP within the lock window)
+ *  - LOGIN_LOCK_MINUTES=15
+ *  - TRUST_PROXY=1                     (proxy hops in front of the app; 0 when exposed directly)
+ */
+let jwtSecret = process.env.JWT_SECRET || process.env.SECRET_KEY;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(48).toString('hex');
+  console.warn('JWT_SECRET não definido: usando uma chave temporária (todas as sessões caem ao reiniciar).');
+}
+
+const accessTokenTtl = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const loginMaxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const loginIpMaxAttempts = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const loginLockMinutes = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+/**
+ * --------------------
+ * Scheduler
+ * --------------------
+ * Optional:
+ *  - RECURRING_INTERVAL_MINUTES=60     (how often due recurring transactions are posted; 0 disables)
+ *  - NET_WORTH_INTERVAL_MINUTES=60     (how often last month's net worth snapshots are checked; 0 disables)
+ *  - TRASH_PURGE_INTERVAL_MINUTES=60   (how often expired items are removed from the trash; 0 disables)
+ *  - TRASH_RETENTION_DAYS=30           (how long deleted items can still be restored)
+ *  - NOTIFICATIONS_INTERVAL_MINUTES=60 (how often reminders and digests are built and sent; 0 disables)
+ *  - WEBHOOK_INTERVAL_SECONDS=30       (how often due webhook retries are sent; new events go out right away)
+ */
+const recurringIntervalMinutes = Number(process.env.RECURRING_INTERVAL_MINUTES ?? 60);
+const netWorthIntervalMinutes = Number(process.env.NET_WORTH_INTERVAL_MINUTES ?? 60);
+const trashPurgeIntervalMinutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? 60);
+const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const notificationsIntervalMinutes = Number(process.env.NOTIFICATIONS_INTERVAL_MINUTES ?? 60);
+const webhookIntervalSeconds = Number(process.env.WEBHOOK_INTERVAL_SECONDS) || 30;
+
+/**
+ * --------------------
+ * Notification channels
+ * --------------------
+ * E-mail is off without SMTP_HOST, Web Push without the VAPID keys
+ * (`node server.js notifications:vapid-keys` makes a pair).
+ * Optional:
+ *  - SMTP_HOST=smtp.example.com
+ *  - SMTP_PORT=587                     (465 with SMTP_SECURE)
+ *  - SMTP_SECURE=false                 (TLS from the start; otherwise STARTTLS whenever the server offers it)
+ *  - SMTP_USER= / SMTP_PASSWORD=       (AUTH PLAIN; none when unset)
+ *  - SMTP_FROM=Prospera <no-reply@example.com>
+ *  - VAPID_PUBLIC_KEY= / VAPID_PRIVATE_KEY=
+ *  - VAPID_SUBJECT=mailto:admin@example.com
+ *  - APP_URL=https://prospera.example.com   (linked from e-mails)
+ */
+const smtp = {
+  host: process.env.SMTP_HOST || null,
+  secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+  user: process.env.SMTP_USER || null,
+  password: process.env.SMTP_PASSWORD || '',
+  from: process.env.SMTP_FROM || 'Prospera <no-reply@localhost>',
+};
+smtp.port = Number(process.env.SMTP_PORT) || (smtp.secure ? 465 : 587);
+const vapid = {
+  publicKey: process.env.VAPID_PUBLIC_KEY || null,
+  privateKey: process.env.VAPID_PRIVATE_KEY || null,
+  subject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+};
+const appUrl = process.env.APP_URL || null;
+
+/**
+ * --------------------
+ * Attachments
+ * --------------------
+ * Receipts go to local disk; in a container, mount a volume there.
+ * Optional:
+ *  - ATTACHMENTS_DIR=./.attachments    (a dot directory, which the static handler skips)
+ *  - ATTACHMENT_MAX_MB=10              (per file)
+ */
+const attachmentsDir = path.resolve(process.env.ATTACHMENTS_DIR || path.join(__dirname, '.attachments'));
+const attachmentMaxBytes = Math.round((Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024);
+
 /**
  * --------------------
  * Middlewares
  * --------------------
  */
+// Easypanel puts a reverse proxy in front of the app; req.ip must be the client's.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
+
 app.use(cors());
+// Statement, snapshot and exchange rate imports carry the whole file in the JSON body, account restores the
+// whole archive, attachment uploads the file in base64.
+app.post('/api/import', express.json({ limit: '50mb' }));
+app.use('/api/import', express.json({ limit: '5mb' }));
+app.use('/api/investments/snapshots/import', express.json({ limit: '5mb' }));
+app.use('/api/exchange-rates/import', express.json({ limit: '5mb' }));
+app.use('/api/sync', express.json({ limit: '2mb' }));
+app.post('/api/transactions/:id/attachments', express.json({ limit: Math.ceil(attachmentMaxBytes / 3) * 4 + 4096 }));
 app.use(express.json());
 
-// Static (index.html + assets)
-app.use(express.static(path.join(__dirname, '/')));
+// Static (index.html + assets). Nothing under a dot directory, where attachments are kept by default.
+app.use(express.static(path.join(__dirname, '/'), { dotfiles: 'ignore' }));
 
 /**
  * --------------------
- * Helpers / Auth (multi-user via header x-user-id)
+ * Helpers / Auth (multi-user via Bearer access token)
  * --------------------
- * The updated index.html sends x-user-id automatically after login.
+ * index.html sends `Authorization: Bearer <access_token>` after login.
+ * Access tokens are short-lived JWTs bound to a row in auth_sessions, so
+ * revoking the session (logout) invalidates them immediately. Refresh tokens
+ * are opaque random strings; only their SHA-256 is stored.
+ *
+ * Data belongs to households. Requests act on the one in `X-Household-Id`
+ * (default: the first the user joined) as req.householdId, with the user's
+ * role there as req.householdRole. Viewers can only read: anything else but
+ * their own account, memberships, notifications and API keys answers 403
+ * read_only (POST /api/sync gets through to pull, and refuses their changes itself).
+ *
+ * API keys (`Authorization: Bearer prospera_...`) stand in for the access
+ * token in scripts: the request acts as the key's user in the key's household
+ * (req.apiKey), on the API_KEY_RESOURCES its scopes list. 'read' allows GET,
+ * 'write' everything; any other route answers 403 insufficient_scope.
  */
-function requireUserId(req, res, next) {
-  const raw = req.header('x-user-id');
-  const userId = Number(raw);
+const API_KEY_PREFIX = 'prospera_';
+// What an API key can be scoped to and the routes each covers. The rest (account, households, notifications,
+// keys and webhooks, export / restore, trash) is only for people signed in.
+const API_KEY_RESOURCES = {
+  transactions: /^\/api\/((transactions|attachments|tags|sync)(\/|$)|import\/)/,
+  accounts: /^\/api\/accounts(\/|$)/,
+  categories: /^\/api\/categories(\/|$)/,
+  cards: /^\/api\/cards(\/|$)/,
+  budgets: /^\/api\/budgets(\/|$)/,
+  goals: /^\/api\/goals(\/|$)/,
+  investments: /^\/api\/investments(\/|$)/,
+  recurring: /^\/api\/recurring(\/|$)/,
+  currencies: /^\/api\/exchange-rates(\/|$)/,
+  reports: /^\/api\/(reports|net-worth|forecast)(\/|$)/,
+  activity: /^\/api\/(history|activity)(\/|$)/,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+  };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ sid: sessionId }, jwtSecret, {
+    algorithm: 'HS256',
+    subject: String(userId),
+    expiresIn: accessTokenTtl,
+  });
+}
+
+function tokenResponse(userId, sessionId, refreshToken) {
+  return {
+    access_token: signAccessToken(userId, sessionId),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: accessTokenTtl,
+  };
+}
+
+async function createSession(userId, req) {
+  const refresh = newRefreshToken();
+  const r = await pool.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+    [userId, refresh.hash, (req.header('user-agent') || '').slice(0, 255), req.ip, refresh.expiresAt]
+  );
+  return tokenResponse(userId, r.rows[0].id, refresh.token);
+}
+
+// -> the key's row (id, user_id, household_id, scopes) when `token` is a live API key, else null.
+async function findApiKey(token) {
+  const r = await pool.query(
+    `UPDATE api_keys SET last_used_at=CURRENT_TIMESTAMP
+     WHERE key_hash=$1 AND revoked_at IS NULL AND (expires_on IS NULL OR expires_on >= CURRENT_DATE)
+     RETURNING id, user_id, household_id, scopes`,
+    [hashToken(token)]
+  );
+  return r.rows[0] || null;
+}
 
-  if (!raw || !Number.isFinite(userId) || userId <= 0) {
-    return res.status(401).json({ error: 'missing_user' });
+// Whether the key's scopes allow the request: 'read' a GET (or a pull from POST /api/sync), 'write' anything.
+function apiKeyAllows(apiKey, req) {
+  const resource = Object.keys(API_KEY_RESOURCES).find((name) => API_KEY_RESOURCES[name].test(req.path));
+  if (!resource) return false;
+  if (['GET', 'HEAD'].includes(req.method) || req.path === '/api/sync') return Boolean(apiKey.scopes[resource]);
+  return apiKey.scopes[resource] === 'write';
+}
+
+async function requireUserId(req, res, next) {
+  const [scheme, token] = (req.header('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'missing_token' });
+  }
+
+  const requested = req.header('x-household-id');
+  if (requested !== undefined && !/^[1-9]\d{0,9}$/.test(requested)) {
+    return res.status(403).json({ error: 'not_a_member' });
+  }
+
+  let payload = null;
+  if (!token.startsWith(API_KEY_PREFIX)) {
+    try {
+      payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+    } catch (e) {
+      return res.status(401).json({ error: e.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token' });
+    }
+    const sub = Number(payload.sub);
+    if (!Number.isFinite(sub) || sub <= 0 || !payload.sid) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+  }
+
+  let userId;
+  let apiKey = null;
+  let membership;
+  try {
+    let householdId = requested === undefined ? null : Number(requested);
+    if (payload) {
+      userId = Number(payload.sub);
+      const s = await pool.query(
+        'SELECT 1 FROM auth_sessions WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL',
+        [payload.sid, userId]
+      );
+      if (s.rows.length === 0) return res.status(401).json({ error: 'session_revoked' });
+    } else {
+      apiKey = await findApiKey(token);
+      if (!apiKey) return res.status(401).json({ error: 'invalid_api_key' });
+      // A key only ever acts on its own household.
+      if (householdId !== null && householdId !== apiKey.household_id) {
+        return res.status(403).json({ error: 'not_a_member' });
+      }
+      userId = apiKey.user_id;
+      householdId = apiKey.household_id;
+    }
+
+    const m = await pool.query(
+      `SELECT m.household_id, m.role, h.base_currency
+       FROM household_members m JOIN households h ON h.id=m.household_id
+       WHERE m.user_id=$1 AND ($2::int IS NULL OR m.household_id=$2)
+       ORDER BY m.joined_at, m.household_id LIMIT 1`,
+      [userId, householdId]
+    );
+    membership = m.rows[0];
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'Erro' });
   }
+  if (!membership) return res.status(403).json({ error: 'not_a_member' });
+  const ownPaths = /^\/api\/(auth|households|notifications|sync|api-keys)(\/|$)/;
+  if (membership.role === 'viewer' && !['GET', 'HEAD'].includes(req.method) && !ownPaths.test(req.path)) {
+    return res.status(403).json({ error: 'read_only' });
+  }
+  if (apiKey && !apiKeyAllows(apiKey, req)) return res.status(403).json({ error: 'insufficient_scope' });
 
   req.userId = userId;
+  req.sessionId = payload ? payload.sid : null;
+  req.apiKey = apiKey ? { id: apiKey.id, scopes: apiKey.scopes } : null;
+  req.householdId = membership.household_id;
+  req.householdRole = membership.role;
+  req.baseCurrency = membership.base_currency;
   next();
 }
 
+/**
+ * --------------------
+ * Helpers / Credentials
+ * --------------------
+ * PINs (or longer passwords) are stored as `scrypt$N$r$p$salt$hash`.
+ */
+const scryptAsync = util.promisify(crypto.scrypt);
+const PIN_SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = PIN_SCRYPT;
+  const key = await scryptAsync(String(pin), salt, keylen, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPin(pin, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scryptAsync(String(pin), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function publicUser(row) {
+  return { id: row.id, name: row.name, login: row.login, created_at: row.created_at };
+}
+
+function tooManyAttempts(res, lockedUntil) {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'too_many_attempts', retry_after: retryAfter });
+}
+
+// Returns the lock expiry when this IP is currently blocked, otherwise null.
+async function ipLockedUntil(ip) {
+  const r = await pool.query(
+    'SELECT locked_until FROM login_ip_attempts WHERE ip=$1 AND locked_until > CURRENT_TIMESTAMP',
+    [ip]
+  );
+  return r.rows.length > 0 ? r.rows[0].locked_until : null;
+}
+
+// Counts a failed credential check against the IP and (when known) the account(s) it was tried on.
+async function recordFailedLogin(ip, ...userIds) {
+  const ids = userIds.filter(Boolean);
+  await pool.query(
+    `INSERT INTO login_ip_attempts (ip, failed_count, window_started_at)
+     VALUES ($1, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (ip) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_ip_attempts.window_started_at < CURRENT_TIMESTAMP - make_interval(mins => $3) THEN 1
+         ELSE login_ip_attempts.failed_count + 1
+       END,
+       window_started_at = CASE
+         WHEN login_ip_attempts.window_started_at < CURRENT_TIMESTAMP - make_interval(mins => $3) THEN CURRENT_TIMESTAMP
+         ELSE login_ip_attempts.window_started_at
+       END,
+       locked_until = CASE
+         WHEN login_ip_attempts.window_started_at >= CURRENT_TIMESTAMP - make_interval(mins => $3)
+          AND login_ip_attempts.failed_count + 1 >= $2
+         THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+         ELSE login_ip_attempts.locked_until
+       END`,
+    [ip, loginIpMaxAttempts, loginLockMinutes]
+  );
+
+  // A lock that already ran out starts the count over, instead of the next miss locking the account again.
+  if (ids.length > 0) {
+    await pool.query(
+      `UPDATE users u
+       SET failed_attempts = n.attempts,
+           locked_until = CASE
+             WHEN n.attempts >= $2 THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+             WHEN u.locked_until <= CURRENT_TIMESTAMP THEN NULL
+             ELSE u.locked_until
+           END
+       FROM (
+         SELECT id, CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 1 ELSE failed_attempts + 1 END AS attempts
+         FROM users WHERE id = ANY($1)
+       ) n
+       WHERE u.id=n.id`,
+      [ids, loginMaxAttempts, loginLockMinutes]
+    );
+  }
+}
+
+async function resetFailedLogins(userId) {
+  await pool.query('UPDATE users SET failed_attempts=0, locked_until=NULL WHERE id=$1', [userId]);
+}
+
+// Verifies the PIN of an already authenticated user (change-pin / delete account / delete household).
+// Sends the error response itself and resolves to false when the check fails.
+async function confirmPin(req, res, pin) {
+  if (!pin) {
+    res.status(400).json({ error: 'missing_fields' });
+    return false;
+  }
+
+  const r = await pool.query('SELECT id, pin_hash, locked_until FROM users WHERE id=$1', [req.userId]);
+  const user = r.rows[0];
+  if (!user) {
+    res.status(404).json({ error: 'not_found' });
+    return false;
+  }
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    tooManyAttempts(res, user.locked_until);
+    return false;
+  }
+  if (!(await verifyPin(pin, user.pin_hash))) {
+    await recordFailedLogin(req.ip, user.id);
+    res.status(401).json({ error: 'PIN incorreto' });
+    return false;
+  }
+
+  await resetFailedLogins(user.id);
+  return true;
+}
+
+/**
+ * --------------------
+ * Validation
+ * --------------------
+ * Each resource declares its fields once; `validate(schema)` checks req.body
+ * (or req.params / req.query) against it, replaces it with the normalized values
+ * and answers 400 with every failing field:
+ *
+ *   { error: 'validation_error', fields: [{ field: 'amount', code: 'too_small', message: '...' }] }
+ *
+ * Rules: type (string | number | integer | boolean | date | month | enum | currency | tags | uuid),
+ * required, nullable, default, min / max / gt / decimals (numbers), minLength /
+ * maxLength (strings), values (enum). Currencies are codes like BRL or USDT, uppercased.
+ * Tags are a list (array or comma-separated), normalized by normalizeTag.
+ */
+const PAYMENT_METHODS = ['pix', 'money', 'debit', 'credit_card'];
+const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly', 'custom'];
+const ACCOUNT_TYPES = ['checking', 'savings', 'cash', 'wallet'];
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const IMPORT_MAX_ROWS = 5000;
+const TRANSACTION_MAX_SPLITS = 20;
+const TRANSACTION_MAX_TAGS = 20;
+const ASSET_CLASSES = {
+  fixed_income: 'Renda Fixa',
+  stocks: 'Ações',
+  crypto: 'Cripto',
+  reits: 'FIIs',
+  other: 'Outros',
+};
+const INVESTMENT_EVENT_TYPES = ['buy', 'sell', 'contribution', 'dividend'];
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+const CURRENCY_PATTERN = /^[A-Z][A-Z0-9]{2,9}$/; // ISO 4217 codes, plus the likes of USDT
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const DEFAULT_CURRENCY = 'BRL';
+// Tables written to audit_log: `parent` is [table, column] for child rows, `label` the column shown in feeds.
+const AUDIT_ENTITIES = {
+  accounts: { label: 'name' },
+  account_reconciliations: { parent: ['accounts', 'account_id'], label: 'date' },
+  categories: { label: 'name' },
+  transactions: { label: 'description' },
+  recurring_rules: { label: 'description' },
+  recurring_occurrences: { parent: ['recurring_rules', 'rule_id'], label: 'due_date' },
+  import_rules: { label: 'pattern' },
+  goals: { label: 'name' },
+  goal_contributions: { parent: ['goals', 'goal_id'], label: 'date' },
+  cards: { label: 'name' },
+  card_payments: { parent: ['cards', 'card_id'], label: 'statement_month' },
+  investments: { label: 'name' },
+  investment_events: { parent: ['investments', 'investment_id'], label: 'date' },
+  investment_snapshots: { parent: ['investments', 'investment_id'], label: 'date' },
+  budgets: { label: 'category' },
+  budget_limits: { parent: ['budgets', 'budget_id'], label: 'month' },
+  budget_months: { label: 'month' },
+  archive: { label: 'mode' }, // backup restores: one entry per restore, with its counts
+  households: { label: 'name' },
+  household_members: { parent: ['households', 'household_id'], label: 'name' }, // entity id: the user id
+  household_invites: { parent: ['households', 'household_id'], label: 'role' },
+  exchange_rates: { label: 'date' },
+  transaction_splits: { parent: ['transactions', 'transaction_id'], label: 'category' },
+  attachments: { parent: ['transactions', 'transaction_id'], label: 'filename' },
+  webhooks: { label: 'url' },
+};
+const MAX_AMOUNT = 9999999999999.99; // NUMERIC(15, 2)
+
+function isEmpty(raw) {
+  return raw === undefined || raw === null || raw === '' || raw === 'undefined' || raw === 'null';
+}
+
+function isValidDate(raw) {
+  if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) return false;
+  const d = new Date(`${raw}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === raw;
+}
+
+function normalizeTag(text) {
+  return text.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Returns { value } when the raw value satisfies the rule, otherwise { code, message }.
+function checkField(rule, raw) {
+  if (isEmpty(raw)) {
+    if (rule.required) return { code: 'required', message: 'Campo obrigatório' };
+    return { value: rule.default !== undefined ? rule.default : null };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string') return { code: 'invalid_type', message: 'Deve ser um texto' };
+      const value = raw.trim();
+      if (rule.required && value.length === 0) return { code: 'required', message: 'Campo obrigatório' };
+      if (rule.minLength && value.length < rule.minLength) {
+        return { code: 'too_short', message: `Mínimo de ${rule.minLength} caracteres` };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { code: 'too_long', message: `Máximo de ${rule.maxLength} caracteres` };
+      }
+      return { value };
+    }
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: 'invalid_type', message: 'Deve ser um número' };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return { code: 'invalid_type', message: 'Deve ser um número inteiro' };
+      }
+      // Money columns are NUMERIC(x, 2): 0.001 would be stored as 0.00, past the `gt: 0` below.
+      if (rule.decimals !== undefined && Number(value.toFixed(rule.decimals)) !== value) {
+        return { code: 'too_precise', message: `Máximo de ${rule.decimals} casas decimais` };
+      }
+      if (rule.gt !== undefined && !(value > rule.gt)) {
+        return { code: 'too_small', message: `Deve ser maior que ${rule.gt}` };
+      }
+      if (rule.min !== undefined && value < rule.min) return { code: 'too_small', message: `Mínimo: ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { code: 'too_large', message: `Máximo: ${rule.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true' || raw === 'on' || raw === 1) return { value: true };
+      if (raw === false || raw === 'false' || raw === 0) return { value: false };
+      return { code: 'invalid_type', message: 'Deve ser verdadeiro ou falso' };
+    }
+    case 'date': {
+      if (!isValidDate(raw)) return { code: 'invalid_date', message: 'Data inválida (use AAAA-MM-DD)' };
+      return { value: raw };
+    }
+    case 'month': {
+      if (typeof raw !== 'string' || !isValidDate(`${raw}-01`)) {
+        return { code: 'invalid_date', message: 'Mês inválido (use AAAA-MM)' };
+      }
+      return { value: raw };
+    }
+    case 'enum': {
+      if (!rule.values.includes(raw)) {
+        return { code: 'invalid_option', message: `Valor inválido (opções: ${rule.values.join(', ')})` };
+      }
+      return { value: raw };
+    }
+    case 'currency': {
+      const value = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+      if (!CURRENCY_PATTERN.test(value)) {
+        return { code: 'invalid_currency', message: 'Moeda inválida (ex.: BRL, USD)' };
+      }
+      return { value };
+    }
+    case 'uuid': {
+      const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+      if (!UUID_PATTERN.test(value)) return { code: 'invalid_uuid', message: 'Identificador inválido' };
+      return { value };
+    }
+    case 'tags': {
+      // An array or a comma-separated list; lowercase, inner spaces as dashes, no repeats.
+      const list = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+        return { code: 'invalid_type', message: 'Deve ser uma lista de textos' };
+      }
+      const value = [...new Set(list.map(normalizeTag).filter(Boolean))];
+      if (value.some((tag) => tag.length > 50)) {
+        return { code: 'too_long', message: 'Máximo de 50 caracteres por tag' };
+      }
+      if (value.length > TRANSACTION_MAX_TAGS) {
+        return { code: 'too_many', message: `Máximo de ${TRANSACTION_MAX_TAGS} tags` };
+      }
+      return { value };
+    }
+    default:
+      throw new Error(`Tipo de regra desconhecido: ${rule.type}`);
+  }
+}
+
+function validateObject(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = checkField(rule, source[field]);
+    if (result.code) errors.push({ field, code: result.code, message: result.message });
+    else value[field] = result.value;
+  }
+  return { value, errors };
+}
+
+function validate(schema, source = 'body') {
+  return (req, res, next) => {
+    const { value, errors } = validateObject(schema, req[source]);
+    if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+    req[source] = value;
+    next();
+  };
+}
+
+// Shared by the transaction list and the report endpoints, so both read the same rows.
+const transactionFilterFields = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  type: { type: 'enum', values: TRANSACTION_TYPES },
+  category: { type: 'string', maxLength: 50 },
+  subcategory: { type: 'string', maxLength: 50 },
+  paymentMethod: { type: 'enum', values: PAYMENT_METHODS },
+  cardId: { type: 'integer', min: 1 },
+  accountId: { type: 'integer', min: 1 },
+  isRecurring: { type: 'boolean' },
+  minAmount: { type: 'number', min: 0, max: MAX_AMOUNT },
+  maxAmount: { type: 'number', min: 0, max: MAX_AMOUNT },
+  q: { type: 'string', maxLength: 100 },
+  memberId: { type: 'integer', min: 1 },
+  currency: { type: 'currency' },
+  tag: { type: 'string', maxLength: 50 },
+};
+
+const schemas = {
+  idParam: {
+    id: { type: 'integer', required: true, min: 1 },
+  },
+  transaction: {
+    description: { type: 'string', required: true, maxLength: 255 },
+    amount: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    type: { type: 'enum', required: true, values: TRANSACTION_TYPES },
+    category: { type: 'string', maxLength: 50 },
+    subcategory: { type: 'string', maxLength: 50 },
+    date: { type: 'date', required: true },
+    paymentMethod: { type: 'enum', values: PAYMENT_METHODS },
+    isRecurring: { type: 'boolean', default: false },
+    cardId: { type: 'integer', min: 1 },
+    accountId: { type: 'integer', min: 1 },
+    transferAccountId: { type: 'integer', min: 1 }, // destination of a transfer
+    memberId: { type: 'integer', min: 1 }, // the member who spent it; null: the whole household
+    currency: { type: 'currency' }, // defaults to the account's or card's, else the household's base currency
+    installments: { type: 'integer', min: 1, max: 48, default: 1 }, // POST only, credit_card purchases
+    tags: { type: 'tags', default: [] },
+    version: { type: 'integer', min: 1 }, // PUT only: the version being edited (optimistic concurrency)
+    clientId: { type: 'uuid' }, // POST only: the client's id for it, so sending it again doesn't duplicate it
+  },
+  transactionSplit: {
+    category: { type: 'string', required: true, maxLength: 50 },
+    subcategory: { type: 'string', maxLength: 50 },
+    amount: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+  },
+  attachmentUpload: {
+    filename: { type: 'string', required: true, maxLength: 255 },
+    content: { type: 'string', required: true }, // base64
+  },
+  sync: {
+    cursor: { type: 'integer', min: 0, default: 0 }, // the `cursor` of the last response; 0: everything
+  },
+  syncChange: {
+    id: { type: 'uuid', required: true }, // the client's id for the change: a repeat gets the first answer back
+    op: { type: 'enum', required: true, values: ['create', 'update', 'delete'] },
+    clientId: { type: 'uuid' }, // create: the transaction's id on the client; update / delete: instead of recordId
+    recordId: { type: 'integer', min: 1 },
+    version: { type: 'integer', min: 1 }, // update / delete: the version the client last saw
+  },
+  goal: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    target: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    // POST only, recorded as the first deposit
+    current: { type: 'number', min: 0, max: MAX_AMOUNT, decimals: 2, default: 0 },
+    color: { type: 'string', maxLength: 50 },
+    deadline: { type: 'date' },
+    version: { type: 'integer', min: 1 },
+  },
+  goalContribution: {
+    type: { type: 'enum', values: ['deposit', 'withdrawal'], default: 'deposit' },
+    amount: { type: 'number', gt: 0, max: MAX_AMOUNT, decimals: 2 }, // defaults to the linked transaction's
+    date: { type: 'date' },
+    note: { type: 'string', maxLength: 255 },
+    transactionId: { type: 'integer', min: 1 },
+  },
+  goalContributionParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    contributionId: { type: 'integer', required: true, min: 1 },
+  },
+  card: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    limit: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+    dueDay: { type: 'integer', required: true, min: 1, max: 31 },
+    closingDay: { type: 'integer', min: 1, max: 31 },
+    color: { type: 'string', maxLength: 50 },
+    currency: { type: 'currency' }, // defaults to the household's base currency
+    version: { type: 'integer', min: 1 },
+  },
+  statementParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    month: { type: 'month', required: true },
+  },
+  statementQuery: {
+    from: { type: 'month' },
+    to: { type: 'month' },
+  },
+  cardPayment: {
+    amount: { type: 'number', gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    date: { type: 'date' },
+    accountId: { type: 'integer', min: 1 },
+  },
+  account: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    type: { type: 'enum', required: true, values: ACCOUNT_TYPES },
+    openingBalance: { type: 'number', min: -MAX_AMOUNT, max: MAX_AMOUNT, decimals: 2, default: 0 },
+    openingDate: { type: 'date' }, // defaults to today on create, unchanged on update
+    color: { type: 'string', maxLength: 50 },
+    currency: { type: 'currency' }, // defaults to the household's base currency
+    archived: { type: 'boolean', default: false },
+    version: { type: 'integer', min: 1 },
+  },
+  category: {
+    name: { type: 'string', required: true, maxLength: 50 },
+    type: { type: 'enum', required: true, values: ['income', 'expense'] },
+    parentId: { type: 'integer', min: 1 }, // makes it a subcategory (one level only)
+    color: { type: 'string', maxLength: 50 },
+    icon: { type: 'string', maxLength: 50 },
+    archived: { type: 'boolean', default: false },
+    position: { type: 'integer', min: 0, max: 10000, default: 0 },
+  },
+  categoryUpdate: {
+    name: { type: 'string', required: true, maxLength: 50 },
+    color: { type: 'string', maxLength: 50 },
+    icon: { type: 'string', maxLength: 50 },
+    archived: { type: 'boolean', default: false },
+    position: { type: 'integer', min: 0, max: 10000, default: 0 },
+    version: { type: 'integer', min: 1 },
+  },
+  categoryMerge: {
+    targetId: { type: 'integer', required: true, min: 1 },
+  },
+  csvLayout: {
+    delimiter: { type: 'enum', values: [',', ';', '\t', 'auto'], default: 'auto' },
+    hasHeader: { type: 'boolean', default: true },
+    date: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', required: true, maxLength: 100 },
+    amount: { type: 'string', required: true, maxLength: 100 },
+    id: { type: 'string', maxLength: 100 },
+    dateFormat: { type: 'enum', values: ['DD/MM/YYYY', 'DD/MM/YY', 'YYYY-MM-DD'], default: 'DD/MM/YYYY' },
+    decimalSeparator: { type: 'enum', values: [',', '.'], default: ',' },
+    invertSign: { type: 'boolean', default: false },
+  },
+  importPreview: {
+    format: { type: 'enum', required: true, values: ['ofx', 'csv'] },
+    content: { type: 'string', required: true, maxLength: 5 * 1024 * 1024 },
+    preset: { type: 'string', maxLength: 50 }, // key of CSV_PRESETS
+  },
+  importItem: {
+    date: { type: 'date', required: true },
+    description: { type: 'string', required: true, maxLength: 255 },
+    amount: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    type: { type: 'enum', required: true, values: ['income', 'expense'] },
+    category: { type: 'string', maxLength: 50 },
+    subcategory: { type: 'string', maxLength: 50 },
+    externalId: { type: 'string', maxLength: 255 },
+  },
+  importCommit: {
+    accountId: { type: 'integer', min: 1 },
+    cardId: { type: 'integer', min: 1 },
+    paymentMethod: { type: 'enum', values: PAYMENT_METHODS },
+    currency: { type: 'currency' }, // defaults to the account's or card's, else the household's base currency
+    skipDuplicates: { type: 'boolean', default: true },
+  },
+  importRule: {
+    pattern: { type: 'string', required: true, maxLength: 100 },
+    type: { type: 'enum', values: ['income', 'expense'] },
+    category: { type: 'string', required: true, maxLength: 50 },
+    subcategory: { type: 'string', maxLength: 50 },
+    position: { type: 'integer', min: 0, max: 10000, default: 0 },
+    version: { type: 'integer', min: 1 },
+  },
+  ledgerQuery: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+  },
+  reconciliation: {
+    balance: { type: 'number', required: true, min: -MAX_AMOUNT, max: MAX_AMOUNT, decimals: 2 },
+    date: { type: 'date' },
+    adjust: { type: 'boolean', default: false },
+  },
+  cardPaymentParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    paymentId: { type: 'integer', required: true, min: 1 },
+  },
+  investment: {
+    name: { type: 'string', required: true, maxLength: 255 },
+    assetClass: { type: 'enum', values: Object.keys(ASSET_CLASSES), default: 'other' },
+    type: { type: 'string', maxLength: 50 }, // free description: CDB, Tesouro Selic, ...
+    ticker: { type: 'string', maxLength: 20 },
+    currency: { type: 'currency' }, // defaults to the household's base currency
+    value: { type: 'number', min: 0, max: MAX_AMOUNT, decimals: 2 }, // POST only: initial contribution and snapshot
+    version: { type: 'integer', min: 1 },
+  },
+  investmentEvent: {
+    type: { type: 'enum', required: true, values: INVESTMENT_EVENT_TYPES },
+    date: { type: 'date' },
+    amount: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    quantity: { type: 'number', gt: 0 },
+    note: { type: 'string', maxLength: 255 },
+  },
+  investmentEventParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    eventId: { type: 'integer', required: true, min: 1 },
+  },
+  investmentSnapshot: {
+    value: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+  },
+  investmentSnapshotParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    date: { type: 'date', required: true },
+  },
+  investmentSnapshotImport: {
+    content: { type: 'string', required: true, maxLength: 5 * 1024 * 1024 },
+    dryRun: { type: 'boolean', default: false },
+  },
+  investmentSummaryQuery: {
+    months: { type: 'integer', min: 1, max: 120, default: 12 },
+  },
+  budget: {
+    category: { type: 'string', required: true, maxLength: 100 },
+    limit: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+    rollover: { type: 'boolean' },
+    alerts: { type: 'boolean' },
+    month: { type: 'month' }, // first month the limit applies to
+  },
+  budgetLimit: {
+    limit: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+    rollover: { type: 'boolean' },
+    alerts: { type: 'boolean' },
+    month: { type: 'month' },
+    version: { type: 'integer', min: 1 },
+  },
+  budgetOverride: {
+    limit: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+  },
+  budgetMonthParams: {
+    category: { type: 'string', required: true, maxLength: 100 },
+    month: { type: 'month', required: true },
+  },
+  budgetPlanParams: {
+    month: { type: 'month', required: true },
+  },
+  budgetPlan: {
+    income: { type: 'number', required: true, min: 0, max: MAX_AMOUNT, decimals: 2 },
+  },
+  budgetStatusQuery: {
+    month: { type: 'month' },
+  },
+  transactionQuery: {
+    ...transactionFilterFields,
+    sort: { type: 'enum', values: ['date_desc', 'date_asc', 'amount_desc', 'amount_asc'], default: 'date_desc' },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    cursor: { type: 'string', maxLength: 200 },
+  },
+  recurringRule: {
+    description: { type: 'string', required: true, maxLength: 255 },
+    amount: { type: 'number', required: true, gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    type: { type: 'enum', required: true, values: ['income', 'expense'] },
+    category: { type: 'string', maxLength: 50 },
+    subcategory: { type: 'string', maxLength: 50 },
+    paymentMethod: { type: 'enum', values: PAYMENT_METHODS },
+    cardId: { type: 'integer', min: 1 },
+    accountId: { type: 'integer', min: 1 },
+    currency: { type: 'currency' }, // as for transactions
+    frequency: { type: 'enum', required: true, values: RECURRING_FREQUENCIES },
+    intervalDays: { type: 'integer', min: 1, max: 366 },
+    day: { type: 'integer', min: 0, max: 31 },
+    month: { type: 'integer', min: 1, max: 12 },
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date' },
+    autoPost: { type: 'boolean', default: true },
+    version: { type: 'integer', min: 1 },
+  },
+  occurrenceParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    date: { type: 'date', required: true },
+  },
+  occurrenceOverride: {
+    date: { type: 'date' },
+    amount: { type: 'number', gt: 0, max: MAX_AMOUNT, decimals: 2 },
+    description: { type: 'string', maxLength: 255 },
+  },
+  occurrenceQuery: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+  },
+  exportQuery: {
+    format: { type: 'enum', values: ['json', 'csv'], default: 'json' },
+  },
+  archiveImport: {
+    mode: { type: 'enum', values: ['merge', 'replace'], default: 'merge' },
+    dryRun: { type: 'boolean', default: false },
+    discardAttachments: { type: 'boolean', default: false },
+  },
+  netWorthQuery: {
+    months: { type: 'integer', min: 1, max: 120, default: 12 },
+  },
+  forecastQuery: {
+    months: { type: 'integer', min: 3, max: 12, default: 6 },
+  },
+  historyParams: {
+    entity: { type: 'enum', values: Object.keys(AUDIT_ENTITIES), required: true },
+    id: { type: 'string', required: true, maxLength: 40 },
+  },
+  historyQuery: {
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  },
+  activityQuery: {
+    entity: { type: 'enum', values: Object.keys(AUDIT_ENTITIES) },
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  },
+  household: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    baseCurrency: { type: 'currency' }, // what reports convert to; PUT: null keeps it
+  },
+  householdInvite: {
+    role: { type: 'enum', values: ['editor', 'viewer'], default: 'editor' },
+  },
+  householdJoin: {
+    code: { type: 'string', required: true, maxLength: 20 },
+  },
+  householdMember: {
+    role: { type: 'enum', values: HOUSEHOLD_ROLES, required: true },
+  },
+  householdMemberParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    userId: { type: 'integer', required: true, min: 1 },
+  },
+  householdInviteParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    inviteId: { type: 'integer', required: true, min: 1 },
+  },
+  exchangeRate: {
+    from: { type: 'currency', required: true },
+    to: { type: 'currency', required: true },
+    date: { type: 'date', required: true },
+    rate: { type: 'number', required: true, gt: 0, max: 1e9 }, // 1 `from` = rate `to`
+  },
+  exchangeRateQuery: {
+    currency: { type: 'currency' }, // rates from or to it
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 1000, default: 200 },
+  },
+  exchangeRateImport: {
+    content: { type: 'string', required: true, maxLength: 5 * 1024 * 1024 },
+    dryRun: { type: 'boolean', default: false },
+  },
+  notificationPreferences: {
+    email: { type: 'boolean', default: false },
+    emailAddress: { type: 'string', maxLength: 255 }, // required with email
+    push: { type: 'boolean', default: false },
+    cardDueDays: { type: 'integer', min: 0, max: 15, default: 3 }, // days ahead of a card bill; 0: off
+    recurringDays: { type: 'integer', min: 0, max: 15, default: 2 },
+    goalDeadlineDays: { type: 'integer', min: 0, max: 90, default: 30 },
+    budgetAlerts: { type: 'boolean', default: true },
+    weeklyDigest: { type: 'boolean', default: true },
+    digestWeekday: { type: 'integer', min: 0, max: 6, default: 1 }, // 0: Sunday
+  },
+  notificationQuery: {
+    unread: { type: 'boolean', default: false },
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 30 },
+  },
+  pushSubscription: {
+    endpoint: { type: 'string', required: true, maxLength: 2000 },
+    p256dh: { type: 'string', required: true, maxLength: 200 }, // subscription.toJSON().keys
+    auth: { type: 'string', required: true, maxLength: 100 },
+  },
+  pushSubscriptionQuery: {
+    endpoint: { type: 'string', required: true, maxLength: 2000 },
+  },
+  apiKey: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    expiresOn: { type: 'date' }, // last day it works; null: until revoked
+  },
+  // { resource: 'read' | 'write' } for the resources the key may use (at least one)
+  apiKeyScopes: Object.fromEntries(
+    Object.keys(API_KEY_RESOURCES).map((resource) => [resource, { type: 'enum', values: ['read', 'write'] }])
+  ),
+  webhook: {
+    url: { type: 'string', required: true, maxLength: 2000 },
+    description: { type: 'string', maxLength: 255 },
+    active: { type: 'boolean', default: true },
+    version: { type: 'integer', min: 1 },
+  },
+  webhookDeliveryQuery: {
+    status: { type: 'enum', values: ['pending', 'sent', 'failed'] },
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 30 },
+  },
+  webhookDeliveryParams: {
+    id: { type: 'integer', required: true, min: 1 },
+    deliveryId: { type: 'integer', required: true, min: 1 },
+  },
+  trashParams: {
+    type: { type: 'enum', values: ['transactions', 'goals', 'cards', 'investments', 'budgets'], required: true },
+    id: { type: 'integer', required: true, min: 1 },
+  },
+  monthlyReport: {
+    ...transactionFilterFields,
+    month: { type: 'month' },
+    months: { type: 'integer', min: 1, max: 60, default: 12 },
+  },
+  categoryReport: {
+    ...transactionFilterFields,
+  },
+  cashFlowReport: {
+    ...transactionFilterFields,
+    month: { type: 'month' },
+  },
+  merchantReport: {
+    ...transactionFilterFields,
+    limit: { type: 'integer', min: 1, max: 50, default: 10 },
+  },
+  memberReport: {
+    ...transactionFilterFields,
+  },
+  tagReport: {
+    ...transactionFilterFields,
+  },
+};
+
+const validateId = validate(schemas.idParam, 'params');
+
+/**
+ * --------------------
+ * Helpers / Dates
+ * --------------------
+ * Calendar dates travel as YYYY-MM-DD strings and months as YYYY-MM; the math
+ * is done in UTC so the server's timezone never shifts a day.
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function today() {
+  return toDateString(new Date());
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateString(d);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+function addMonths(month, count) {
+  const d = new Date(`${month}-01T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + count);
+  return toDateString(d).slice(0, 7);
+}
+
+function monthBounds(month) {
+  return { from: `${month}-01`, to: addDays(`${addMonths(month, 1)}-01`, -1) };
+}
+
+// Day `day` of `month`, clamped to the month's last day (31 -> 30/29/28).
+function dayOfMonth(month, day) {
+  const last = Number(monthBounds(month).to.slice(8));
+  return `${month}-${String(Math.min(day, last)).padStart(2, '0')}`;
+}
+
+function currentMonth() {
+  return today().slice(0, 7);
+}
+
 /**
  * --------------------
  * Healthcheck
@@ -74,352 +1147,292 @@ app.get('/health', async (req, res) => {
 
 /**
  * --------------------
- * Init DB + Safe migrations for multi-user
+ * Migrations
  * --------------------
- * - Adds user_id columns to data tables
- * - Creates indexes + per-user unique constraints
- * - Tries to backfill old data if there is exactly 1 user
+ * Numbered files in ./migrations (e.g. 001_initial_schema.js) export
+ * `up(db)` and `down(db)`. Each one runs in its own transaction and is recorded
+ * in schema_migrations; a Postgres advisory lock keeps two instances booting at
+ * the same time from applying the same migration twice.
+ *
+ *  - node server.js                 apply pending migrations, then start the HTTP server
+ *  - node server.js migrate         apply pending migrations and exit
+ *  - node server.js migrate:status  list applied / pending migrations
+ *  - node server.js migrate:down N  roll back the last N migrations (default 1)
  */
-async function ensureColumn(table, columnSql) {
-  await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${columnSql};`);
-}
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_KEY = 727073; // arbitrary, shared by every instance of this app
 
-// NOTE: Fixed! CREATE INDEX requires "ON <table> (...)".
-// We accept a full SQL statement (without the trailing semicolon) to avoid mistakes.
-async function ensureIndex(sql) {
-  await pool.query(sql.endsWith(';') ? sql : `${sql};`);
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)_([\w-]+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
 }
 
-const initDB = async () => {
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
   try {
-    // 1) Users
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        pin VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Unique PIN per user (recommended for your current login model)
-    await pool.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_constraint WHERE conname = 'users_pin_unique'
-        ) THEN
-          ALTER TABLE users ADD CONSTRAINT users_pin_unique UNIQUE (pin);
-        END IF;
-      END $$;
-    `);
-
-    // 2) Transactions
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS transactions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
-        description VARCHAR(255) NOT NULL,
-        amount NUMERIC(15, 2) NOT NULL,
-        type VARCHAR(10) CHECK (type IN ('income', 'expense')),
-        category VARCHAR(50),
-        subcategory VARCHAR(50),
-        date DATE NOT NULL,
-        payment_method VARCHAR(50),
-        is_recurring BOOLEAN DEFAULT FALSE,
-        card_id INTEGER,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-    await ensureColumn('transactions', 'user_id INTEGER');
-    await ensureIndex('CREATE INDEX IF NOT EXISTS idx_transactions_user_date ON transactions (user_id, date DESC, id DESC)');
-
-    // 3) Goals
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS goals (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
-        name VARCHAR(255) NOT NULL,
-        target NUMERIC(15, 2) NOT NULL,
-        current_amount NUMERIC(15, 2) DEFAULT 0,
-        color VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-    await ensureColumn('goals', 'user_id INTEGER');
-    await ensureIndex('CREATE INDEX IF NOT EXISTS idx_goals_user ON goals (user_id, id ASC)');
-
-    // 4) Cards
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS cards (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
         name VARCHAR(255) NOT NULL,
-        limit_amount NUMERIC(15, 2) NOT NULL,
-        used_amount NUMERIC(15, 2) DEFAULT 0,
-        due_day INTEGER,
-        color VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
-    await ensureColumn('cards', 'user_id INTEGER');
-    await ensureIndex('CREATE INDEX IF NOT EXISTS idx_cards_user ON cards (user_id, id ASC)');
-
-    // 5) Investments
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS investments (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
-        name VARCHAR(255) NOT NULL,
-        type VARCHAR(50),
-        value_amount NUMERIC(15, 2) NOT NULL,
-        return_rate VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-    await ensureColumn('investments', 'user_id INTEGER');
-    await ensureIndex('CREATE INDEX IF NOT EXISTS idx_investments_user ON investments (user_id, id ASC)');
-
-    // 6) Budgets (unique per user+category)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS budgets (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER,
-        category VARCHAR(100) NOT NULL,
-        limit_amount NUMERIC(15, 2) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-    await ensureColumn('budgets', 'user_id INTEGER');
-
-    // Replace old global UNIQUE(category) with UNIQUE(user_id, category) safely (best-effort)
-    await pool.query(`
-      DO $$
-      DECLARE
-        has_old_unique BOOLEAN;
-      BEGIN
-        SELECT EXISTS(
-          SELECT 1
-          FROM pg_constraint c
-          JOIN pg_class t ON t.oid = c.conrelid
-          WHERE t.relname = 'budgets'
-            AND c.contype = 'u'
-            AND c.conname = 'budgets_category_key'
-        ) INTO has_old_unique;
-
-        IF has_old_unique THEN
-          ALTER TABLE budgets DROP CONSTRAINT budgets_category_key;
-        END IF;
-
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_constraint WHERE conname = 'budgets_user_category_unique'
-        ) THEN
-          ALTER TABLE budgets ADD CONSTRAINT budgets_user_category_unique UNIQUE (user_id, category);
-        END IF;
-      END $$;
-    `);
+    const applied = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return await fn(client, applied.rows);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
 
-    await ensureIndex('CREATE INDEX IF NOT EXISTS idx_budgets_user ON budgets (user_id, id ASC)');
-
-    // Foreign keys (optional, but helps integrity). Best-effort.
-    await pool.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'transactions_user_fk') THEN
-          ALTER TABLE transactions
-            ADD CONSTRAINT transactions_user_fk
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'goals_user_fk') THEN
-          ALTER TABLE goals
-            ADD CONSTRAINT goals_user_fk
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'cards_user_fk') THEN
-          ALTER TABLE cards
-            ADD CONSTRAINT cards_user_fk
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'investments_user_fk') THEN
-          ALTER TABLE investments
-            ADD CONSTRAINT investments_user_fk
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-
-        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'budgets_user_fk') THEN
-          ALTER TABLE budgets
-            ADD CONSTRAINT budgets_user_fk
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-      END $$;
-    `);
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
 
-    // Backfill old rows if there is exactly ONE user (helps migrations from your current single-user DB)
-    await pool.query(`
-      DO $$
-      DECLARE
-        uid INTEGER;
-        ucount INTEGER;
-      BEGIN
-        SELECT COUNT(*) INTO ucount FROM users;
-
-        IF ucount = 1 THEN
-          SELECT id INTO uid FROM users ORDER BY id LIMIT 1;
-
-          UPDATE transactions SET user_id = uid WHERE user_id IS NULL;
-          UPDATE goals SET user_id = uid WHERE user_id IS NULL;
-          UPDATE cards SET user_id = uid WHERE user_id IS NULL;
-          UPDATE investments SET user_id = uid WHERE user_id IS NULL;
-          UPDATE budgets SET user_id = uid WHERE user_id IS NULL;
-        END IF;
-      END $$;
-    `);
+async function migrateUp() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client, applied) => {
+    const done = new Set(applied.map((m) => m.version));
+    const pending = migrations.filter((m) => !done.has(m.version));
 
-    // Enforce NOT NULL if possible (only when there are no nulls)
-    await pool.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (SELECT 1 FROM transactions WHERE user_id IS NULL LIMIT 1) THEN
-          ALTER TABLE transactions ALTER COLUMN user_id SET NOT NULL;
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM goals WHERE user_id IS NULL LIMIT 1) THEN
-          ALTER TABLE goals ALTER COLUMN user_id SET NOT NULL;
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM cards WHERE user_id IS NULL LIMIT 1) THEN
-          ALTER TABLE cards ALTER COLUMN user_id SET NOT NULL;
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM investments WHERE user_id IS NULL LIMIT 1) THEN
-          ALTER TABLE investments ALTER COLUMN user_id SET NOT NULL;
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM budgets WHERE user_id IS NULL LIMIT 1) THEN
-          ALTER TABLE budgets ALTER COLUMN user_id SET NOT NULL;
-        END IF;
-      EXCEPTION WHEN others THEN
-        NULL;
-      END $$;
-    `);
+    for (const m of pending) {
+      try {
+        await runInTransaction(client, async () => {
+          await m.up(client);
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+        });
+      } catch (err) {
+        err.message = `Migração ${m.file} falhou: ${err.message}`;
+        throw err;
+      }
+      console.log(`Migração aplicada: ${m.file}`);
+    }
+    return pending.length;
+  });
+}
 
-    console.log('Banco de dados conectado e migrações multiusuário aplicadas (best-effort).');
-  } catch (err) {
-    console.error('Erro ao inicializar:', err);
+async function migrateDown(steps = 1) {
+  // slice(-steps) with 0, a negative or a fraction would revert (nearly) everything.
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('Uso: node server.js migrate:down [N], com N inteiro maior que zero');
   }
-};
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  return withMigrationLock(async (client, applied) => {
+    const toRevert = applied.slice(-Math.min(steps, applied.length)).reverse();
+
+    for (const row of toRevert) {
+      const m = migrations.get(row.version);
+      if (!m) throw new Error(`Arquivo da migração ${row.version}_${row.name} não encontrado`);
+      await runInTransaction(client, async () => {
+        await m.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version=$1', [m.version]);
+      });
+      console.log(`Migração revertida: ${m.file}`);
+    }
+    return toRevert.length;
+  });
+}
 
-initDB();
+async function migrationStatus() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client, applied) => {
+    const byVersion = new Map(applied.map((m) => [m.version, m]));
+    return migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      applied_at: byVersion.has(m.version) ? byVersion.get(m.version).applied_at : null,
+    }));
+  });
+}
 
 /**
  * --------------------
  * AUTH (multi-user)
  * --------------------
- * - register: creates a new user with unique PIN
- * - login: finds user by PIN
+ * - register: creates a new user with a unique login and a hashed PIN
+ * - login: login + PIN. Accounts from before logins existed were given one
+ *   (login_assigned): until their owner signs in with it, the account's name
+ *   works too, and the answer tells the login (loginAssigned).
+ * - refresh: rotates the refresh token and issues a new access token
+ * - logout: revokes the session (or every session with { all: true })
+ * - change-pin / DELETE account: require the current PIN again
  */
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 128;
+
+function isValidPin(pin) {
+  return typeof pin === 'string' && pin.length >= PIN_MIN_LENGTH && pin.length <= PIN_MAX_LENGTH;
+}
+
 app.post('/api/auth/register', async (req, res) => {
   const { name, pin } = req.body;
+  const login = String(req.body.login || '').trim();
 
-  if (!name || !pin) return res.status(400).json({ error: 'missing_fields' });
+  if (!name || !login || !pin) return res.status(400).json({ error: 'missing_fields' });
+  if (!isValidPin(pin)) return res.status(400).json({ error: 'invalid_pin' });
 
   try {
-    const exists = await pool.query('SELECT id FROM users WHERE pin=$1', [pin]);
-    if (exists.rows.length > 0) return res.status(409).json({ error: 'pin_already_exists' });
+    const exists = await pool.query('SELECT id FROM users WHERE LOWER(login)=LOWER($1)', [login]);
+    if (exists.rows.length > 0) return res.status(409).json({ error: 'login_already_exists' });
 
-    const result = await pool.query(
-      'INSERT INTO users (name, pin) VALUES ($1, $2) RETURNING id, name, pin, created_at',
-      [name, pin]
-    );
+    const pinHash = await hashPin(pin);
+    const user = await withTransaction(async (db) => {
+      const result = await db.query(
+        'INSERT INTO users (name, login, pin_hash) VALUES ($1, $2, $3) RETURNING id, name, login, created_at',
+        [name, login, pinHash]
+      );
+      await createHousehold(db, result.rows[0].id, name);
+      return result.rows[0];
+    });
 
-    res.json({ success: true, user: result.rows[0] });
+    res.json({ success: true, user: publicUser(user), ...(await createSession(user.id, req)) });
   } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'login_already_exists' });
     console.error(err);
     res.status(500).json({ error: 'Erro no registro' });
   }
 });
 
 app.post('/api/auth/login', async (req, res) => {
-  const { pin } = req.body;
-  if (!pin) return res.status(400).json({ error: 'missing_fields' });
+  const { login, pin } = req.body;
+  if (!login || !pin) return res.status(400).json({ error: 'missing_fields' });
 
   try {
-    const result = await pool.query('SELECT id, name, pin, created_at FROM users WHERE pin = $1', [pin]);
-    if (result.rows.length > 0) {
-      res.json({ success: true, user: result.rows[0] });
-    } else {
-      res.status(401).json({ error: 'PIN incorreto' });
+    const ipLock = await ipLockedUntil(req.ip);
+    if (ipLock) return tooManyAttempts(res, ipLock);
+
+    const given = String(login).trim();
+    let byName = false;
+    let result = await pool.query('SELECT * FROM users WHERE LOWER(login) = LOWER($1)', [given]);
+    if (result.rows.length === 0) {
+      // Two people may share a name: the PIN tells which one it is.
+      result = await pool.query('SELECT * FROM users WHERE login_assigned AND LOWER(name) = LOWER($1) ORDER BY id', [
+        given,
+      ]);
+      byName = true;
     }
+    const now = new Date();
+    const candidates = result.rows.filter((row) => !row.locked_until || new Date(row.locked_until) <= now);
+    if (candidates.length === 0 && result.rows.length > 0) {
+      return tooManyAttempts(res, result.rows.map((row) => new Date(row.locked_until)).sort((a, b) => a - b)[0]);
+    }
+
+    let user = null;
+    for (const candidate of candidates) {
+      if (await verifyPin(pin, candidate.pin_hash)) {
+        user = candidate;
+        break;
+      }
+    }
+    // Hash anyway for unknown logins so response time doesn't reveal which ones exist.
+    if (candidates.length === 0) await hashPin(pin);
+    if (!user) {
+      await recordFailedLogin(req.ip, ...candidates.map((row) => row.id));
+      return res.status(401).json({ error: 'Usuário ou PIN incorreto' });
+    }
+
+    await resetFailedLogins(user.id);
+    // Signing in with the assigned login shows its owner knows it: the name stops working.
+    if (user.login_assigned && !byName) {
+      await pool.query('UPDATE users SET login_assigned=FALSE WHERE id=$1', [user.id]);
+    }
+    res.json({
+      success: true,
+      user: publicUser(user),
+      ...(byName && { loginAssigned: user.login }),
+      ...(await createSession(user.id, req)),
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erro no login' });
   }
 });
 
-/**
- * --------------------
- * Transactions (multi-user)
- * --------------------
- */
-app.get('/api/transactions', requireUserId, async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refresh_token: refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== 'string') return res.status(400).json({ error: 'missing_fields' });
+
   try {
-    const result = await pool.query(
-      'SELECT * FROM transactions WHERE user_id=$1 ORDER BY date DESC, id DESC',
-      [req.userId]
+    // Rotate in a single statement so two concurrent refreshes can't both win.
+    const next = newRefreshToken();
+    const r = await pool.query(
+      `UPDATE auth_sessions
+       SET refresh_token_hash=$1, expires_at=$2, last_used_at=CURRENT_TIMESTAMP
+       WHERE refresh_token_hash=$3 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING id, user_id`,
+      [next.hash, next.expiresAt, hashToken(refreshToken)]
     );
+    if (r.rows.length === 0) return res.status(401).json({ error: 'invalid_refresh_token' });
 
-    const formatted = result.rows.map((row) => ({
-      id: row.id,
-      description: row.description,
-      amount: parseFloat(row.amount),
-      type: row.type,
-      category: row.category,
-      subcategory: row.subcategory,
-      date: row.date.toISOString().split('T')[0],
-      paymentMethod: row.payment_method,
-      isRecurring: row.is_recurring,
-      cardId: row.card_id,
-    }));
-
-    res.json(formatted);
+    const { id, user_id: userId } = r.rows[0];
+    res.json({ success: true, ...tokenResponse(userId, id, next.token) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.post('/api/transactions', requireUserId, async (req, res) => {
-  const { description, amount, type, category, subcategory, date, paymentMethod, isRecurring, cardId } = req.body;
-  const safeCardId = cardId === '' || cardId === 'undefined' ? null : cardId;
+app.post('/api/auth/logout', async (req, res) => {
+  const { refresh_token: refreshToken, all } = req.body;
+  if (!refreshToken || typeof refreshToken !== 'string') return res.status(400).json({ error: 'missing_fields' });
 
   try {
-    const result = await pool.query(
-      `INSERT INTO transactions
-        (user_id, description, amount, type, category, subcategory, date, payment_method, is_recurring, card_id)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-       RETURNING id`,
-      [req.userId, description, amount, type, category, subcategory, date, paymentMethod, isRecurring, safeCardId]
-    );
-    res.json({ success: true, id: result.rows[0].id });
+    const s = await pool.query('SELECT id, user_id FROM auth_sessions WHERE refresh_token_hash=$1', [
+      hashToken(refreshToken),
+    ]);
+    if (s.rows.length === 0) return res.json({ success: true });
+
+    if (all) {
+      await pool.query(
+        'UPDATE auth_sessions SET revoked_at=CURRENT_TIMESTAMP WHERE user_id=$1 AND revoked_at IS NULL',
+        [s.rows[0].user_id]
+      );
+    } else {
+      await pool.query('UPDATE auth_sessions SET revoked_at=CURRENT_TIMESTAMP WHERE id=$1 AND revoked_at IS NULL', [
+        s.rows[0].id,
+      ]);
+    }
+    res.json({ success: true });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.put('/api/transactions/:id', requireUserId, async (req, res) => {
-  const { description, amount, type, category, subcategory, date, paymentMethod, isRecurring, cardId } = req.body;
-  const safeCardId = cardId === '' || cardId === 'undefined' ? null : cardId;
+app.post('/api/auth/change-pin', requireUserId, async (req, res) => {
+  const { current_pin: currentPin, new_pin: newPin } = req.body;
+  if (!newPin) return res.status(400).json({ error: 'missing_fields' });
+  if (!isValidPin(newPin)) return res.status(400).json({ error: 'invalid_pin' });
 
   try {
-    const updated = await pool.query(
-      `UPDATE transactions
-       SET description=$1, amount=$2, type=$3, category=$4, subcategory=$5, date=$6,
-           payment_method=$7, is_recurring=$8, card_id=$9
-       WHERE id=$10 AND user_id=$11`,
-      [description, amount, type, category, subcategory, date, paymentMethod, isRecurring, safeCardId, req.params.id, req.userId]
-    );
+    if (!(await confirmPin(req, res, currentPin))) return;
 
-    if (updated.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    await pool.query('UPDATE users SET pin_hash=$1 WHERE id=$2', [
+      await hashPin(newPin),
+      req.userId,
+    ]);
+    // Other devices must sign in again with the new PIN.
+    await pool.query(
+      'UPDATE auth_sessions SET revoked_at=CURRENT_TIMESTAMP WHERE user_id=$1 AND id<>$2 AND revoked_at IS NULL',
+      [req.userId, req.sessionId]
+    );
     res.json({ success: true });
   } catch (err) {
     console.error(err);
@@ -427,10 +1440,27 @@ app.put('/api/transactions/:id', requireUserId, async (req, res) => {
   }
 });
 
-app.delete('/api/transactions/:id', requireUserId, async (req, res) => {
+app.delete('/api/auth/account', requireUserId, async (req, res) => {
   try {
-    const del = await pool.query('DELETE FROM transactions WHERE id=$1 AND user_id=$2', [req.params.id, req.userId]);
-    if (del.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    if (!(await confirmPin(req, res, req.body && req.body.pin))) return;
+
+    await withTransaction(async (db) => {
+      // Households nobody else is in go with the user (their data cascades); shared ones keep an owner.
+      const alone = await db.query(
+        `SELECT household_id FROM household_members m WHERE user_id=$1
+         AND NOT EXISTS (SELECT 1 FROM household_members o WHERE o.household_id=m.household_id AND o.user_id<>$1)`,
+        [req.userId]
+      );
+      const householdIds = alone.rows.map((row) => row.household_id);
+      await deleteAttachments(db, 't.household_id = ANY($1)', [householdIds]);
+      await db.query('DELETE FROM households WHERE id = ANY($1)', [householdIds]);
+      const owned = await db.query("SELECT household_id FROM household_members WHERE user_id=$1 AND role='owner'", [
+        req.userId,
+      ]);
+      await db.query('DELETE FROM household_members WHERE user_id=$1', [req.userId]);
+      for (const { household_id: householdId } of owned.rows) await ensureOwner(db, householdId);
+      await db.query('DELETE FROM users WHERE id=$1', [req.userId]);
+    });
     res.json({ success: true });
   } catch (err) {
     console.error(err);
@@ -440,49 +1470,103 @@ app.delete('/api/transactions/:id', requireUserId, async (req, res) => {
 
 /**
  * --------------------
- * Goals (multi-user)
+ * API keys (multi-user)
  * --------------------
+ * Keys for scripts and automations (see Helpers / Auth). A key belongs to the
+ * user who made it and acts in the household that was active then, never with
+ * more than the user's role there allows: a viewer only gets read scopes, and
+ * a member who leaves takes their keys' access along. The key itself is only
+ * ever returned when it is made: the database keeps its hash.
  */
-app.get('/api/goals', requireUserId, async (req, res) => {
+const API_KEY_SQL = `
+  SELECT k.*, h.name AS household_name FROM api_keys k JOIN households h ON h.id=k.household_id`;
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    household: { id: row.household_id, name: row.household_name },
+    scopes: row.scopes,
+    expiresOn: row.expires_on ? toDateString(row.expires_on) : null,
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// `scopes` as req.apiKeyScopes, the resources given only; runs before validate(schemas.apiKey), which drops it.
+function validateApiKeyScopes(req, res, next) {
+  const { value, errors } = validateObject(schemas.apiKeyScopes, req.body && req.body.scopes);
+  const fields = errors.map((e) => ({ ...e, field: `scopes.${e.field}` }));
+  const scopes = Object.fromEntries(Object.entries(value).filter(([, level]) => level));
+  if (fields.length === 0 && Object.keys(scopes).length === 0) {
+    fields.push({ field: 'scopes', code: 'required', message: 'Escolha ao menos um acesso' });
+  }
+  if (fields.length === 0 && req.householdRole === 'viewer' && Object.values(scopes).includes('write')) {
+    fields.push({ field: 'scopes', code: 'read_only', message: 'Quem só visualiza a casa só cria chave de leitura' });
+  }
+  if (fields.length > 0) return res.status(400).json({ error: 'validation_error', fields });
+  req.apiKeyScopes = scopes;
+  next();
+}
+
+// GET /api/api-keys -> the user's keys, in every household, newest first
+app.get('/api/api-keys', requireUserId, async (req, res) => {
   try {
-    const r = await pool.query('SELECT * FROM goals WHERE user_id=$1 ORDER BY id ASC', [req.userId]);
-    res.json(
-      r.rows.map((row) => ({
-        id: row.id,
-        name: row.name,
-        target: parseFloat(row.target),
-        current: parseFloat(row.current_amount),
-        color: row.color,
-      }))
-    );
+    const r = await pool.query(`${API_KEY_SQL} WHERE k.user_id=$1 AND k.revoked_at IS NULL ORDER BY k.id DESC`, [
+      req.userId,
+    ]);
+    res.json(r.rows.map(formatApiKey));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.post('/api/goals', requireUserId, async (req, res) => {
-  const { name, target, current, color } = req.body;
+/*
+ * POST /api/api-keys { name, scopes: { transactions: 'write', reports: 'read', ... }, expiresOn }
+ *   -> { ...key, key: 'prospera_...' }
+ * Scopes are among API_KEY_RESOURCES. The key works in the active household.
+ */
+app.post('/api/api-keys', requireUserId, validateApiKeyScopes, validate(schemas.apiKey), async (req, res) => {
+  const { name, expiresOn } = req.body;
+  if (expiresOn && expiresOn < today()) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'expiresOn', code: 'too_small', message: 'A data já passou' }],
+    });
+  }
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
   try {
     const r = await pool.query(
-      'INSERT INTO goals (user_id, name, target, current_amount, color) VALUES ($1,$2,$3,$4,$5) RETURNING id',
-      [req.userId, name, target, current || 0, color]
+      `INSERT INTO api_keys (user_id, household_id, name, prefix, key_hash, scopes, expires_on)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+      [
+        req.userId,
+        req.householdId,
+        name,
+        key.slice(0, API_KEY_PREFIX.length + 6),
+        hashToken(key),
+        req.apiKeyScopes,
+        expiresOn,
+      ]
     );
-    res.json({ success: true, id: r.rows[0].id });
+    const k = await pool.query(`${API_KEY_SQL} WHERE k.id=$1`, [r.rows[0].id]);
+    res.json({ ...formatApiKey(k.rows[0]), key });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.put('/api/goals/:id', requireUserId, async (req, res) => {
-  const { name, target, current, color } = req.body;
+// DELETE /api/api-keys/:id -> revokes it (requests with it answer 401 invalid_api_key from then on)
+app.delete('/api/api-keys/:id', requireUserId, validateId, async (req, res) => {
   try {
-    const u = await pool.query(
-      'UPDATE goals SET name=$1, target=$2, current_amount=$3, color=$4 WHERE id=$5 AND user_id=$6',
-      [name, target, current, color, req.params.id, req.userId]
+    const r = await pool.query(
+      'UPDATE api_keys SET revoked_at=CURRENT_TIMESTAMP WHERE id=$1 AND user_id=$2 AND revoked_at IS NULL',
+      [req.params.id, req.userId]
     );
-    if (u.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    if (r.rowCount === 0) return res.status(404).json({ error: 'not_found' });
     res.json({ success: true });
   } catch (e) {
     console.error(e);
@@ -490,11 +1574,200 @@ app.put('/api/goals/:id', requireUserId, async (req, res) => {
   }
 });
 
-app.delete('/api/goals/:id', requireUserId, async (req, res) => {
-  try {
-    const d = await pool.query('DELETE FROM goals WHERE id=$1 AND user_id=$2', [req.params.id, req.userId]);
-    if (d.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+/**
+ * --------------------
+ * Audit log (multi-user)
+ * --------------------
+ * Every insert, update and delete of household data appends a row to audit_log
+ * in the same database transaction: the member, IP and user agent (or 'scheduler'),
+ * the entity (table) and id, the action (create / update / delete / restore /
+ * purge, merge for categories) and `changes`, { field: { from, to } } with the
+ * fields that changed (all of them on create and delete). Values are the row
+ * as to_jsonb renders it: dates as YYYY-MM-DD, numerics as numbers.
+ *
+ * Child rows (contributions, events, payments, ...) also record their parent,
+ * so GET /api/history/goals/7 includes the goal's contributions. Changes that
+ * cascade from another one (a category rename rewriting its transactions) are
+ * logged once, on the record the user changed.
+ * Entries about transactions, budgets and goals are also the events sent to
+ * the household's webhooks.
+ *
+ * Versioned tables bump `version` and updated_at on every UPDATE (trigger).
+ * PUT routes take the version the client last saw, optionally, and answer
+ * 409 { error: 'version_conflict', version, updatedAt } when it is stale.
+ */
+const AUDIT_IGNORED = ['id', 'household_id', 'created_at', 'updated_at', 'version', 'code_hash', 'secret'];
+
+const camelCase = (key) => key.replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+
+// -> Map(id -> row as JSON) for rows `ids` of `table`.
+async function auditRows(db, table, ids) {
+  if (ids.length === 0) return new Map();
+  const r = await db.query(`SELECT id, to_jsonb(t) AS row FROM ${table} t WHERE id = ANY($1::int[])`, [ids]);
+  return new Map(r.rows.map((row) => [row.id, row.row]));
+}
+
+function auditDiff(before, after) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (AUDIT_IGNORED.includes(key)) continue;
+    const from = before && before[key] !== undefined ? before[key] : null;
+    const to = after && after[key] !== undefined ? after[key] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[camelCase(key)] = { from, to };
+  }
+  return changes;
+}
+
+// Stands in for `req` in writeAudit when a scheduler job changes a household's data.
+function schedulerActor(householdId) {
+  return { householdId, userId: null, userAgent: 'scheduler' };
+}
+
+/*
+ * Appends one row per entry ({ id, before, after, extra }) to audit_log.
+ * `req` is the request, or schedulerActor(householdId) for scheduler jobs.
+ */
+async function writeAudit(db, req, entity, action, entries) {
+  if (entries.length === 0) return;
+  const { parent, label } = AUDIT_ENTITIES[entity];
+  const columns = { ids: [], parentIds: [], labels: [], changes: [] };
+  for (const { id, before = null, after = null, extra = {} } of entries) {
+    const row = after || before || {};
+    columns.ids.push(String(id));
+    columns.parentIds.push(parent && row[parent[1]] !== undefined ? String(row[parent[1]]) : null);
+    columns.labels.push(row[label] === undefined || row[label] === null ? null : String(row[label]).slice(0, 255));
+    columns.changes.push(JSON.stringify({ ...auditDiff(before, after), ...extra }));
+  }
+  const userAgent = req.get ? req.get('user-agent') : req.userAgent;
+  const a = await db.query(
+    `INSERT INTO audit_log
+       (household_id, user_id, entity, entity_id, parent_entity, parent_id, action, label, changes, ip, user_agent)
+     SELECT $1, $2, $3, e.id, $4, e.parent_id, $5, e.label, e.changes::jsonb, $6, $7
+     FROM UNNEST($8::text[], $9::text[], $10::text[], $11::text[]) AS e(id, parent_id, label, changes)
+     RETURNING id, entity_id`,
+    [
+      req.householdId,
+      req.userId || null,
+      entity,
+      parent ? parent[0] : null,
+      action,
+      req.ip || null,
+      userAgent ? userAgent.slice(0, 255) : null,
+      columns.ids,
+      columns.parentIds,
+      columns.labels,
+      columns.changes,
+    ]
+  );
+  await queueWebhookEvents(db, req, entity, action, entries, a.rows);
+}
+
+// Logs `action` on rows `ids` of `entity`, diffing `before` (from auditRows) with their state now.
+async function logChange(db, req, entity, ids, action, before = new Map()) {
+  const numericIds = ids.map(Number);
+  const after = action === 'delete' ? new Map() : await auditRows(db, entity, numericIds);
+  await writeAudit(
+    db,
+    req,
+    entity,
+    action,
+    numericIds.map((id) => ({ id, before: before.get(id) || null, after: after.get(id) || null }))
+  );
+}
+
+// Logs an upsert of row `id`: create without `before`, update when something changed, nothing otherwise.
+async function logUpsert(db, req, entity, id, before, after) {
+  if (Object.keys(auditDiff(before, after)).length === 0) return;
+  await writeAudit(db, req, entity, before ? 'update' : 'create', [{ id, before, after }]);
+}
+
+// version / updatedAt for API responses, so clients can send the version back on PUT.
+function rowVersion(row) {
+  return { version: row.version, updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null };
+}
+
+// -> the 409 body when `version` (the one the client last saw, optional) is no longer the row's, else null.
+function versionConflict(row, version) {
+  if (version === null || version === undefined || version === row.version) return null;
+  return { error: 'version_conflict', ...rowVersion(row) };
+}
+
+/*
+ * Locks the household's row for a change. -> { before } (as auditRows), or { status, body } when it
+ * doesn't exist (or is in the trash) or `version` is stale.
+ */
+async function lockForUpdate(db, table, id, householdId, version = null) {
+  const live = TRASH_TYPES[table] ? 'AND deleted_at IS NULL' : '';
+  const r = await db.query(
+    `SELECT to_jsonb(t) AS row FROM ${table} t WHERE id=$1 AND household_id=$2 ${live} FOR UPDATE`,
+    [id, householdId]
+  );
+  if (r.rows.length === 0) return { status: 404, body: { error: 'not_found' } };
+  const row = r.rows[0].row;
+  const conflict = versionConflict(row, version);
+  if (conflict) return { status: 409, body: conflict };
+  return { before: new Map([[row.id, row]]) };
+}
+
+function formatAuditEntry(row) {
+  return {
+    id: Number(row.id),
+    entity: row.entity,
+    entityId: row.entity_id,
+    parent: row.parent_entity ? { entity: row.parent_entity, id: row.parent_id } : null,
+    action: row.action,
+    label: row.label,
+    changes: row.changes,
+    user: row.user_id ? { id: row.user_id, name: row.user_name } : null,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+/*
+ * GET /api/history/:entity/:id?limit=50&before=<entry id>
+ *   { items: [...newest first], nextCursor }
+ * The record's own entries plus those of its child rows.
+ */
+app.get(
+  '/api/history/:entity/:id',
+  requireUserId,
+  validate(schemas.historyParams, 'params'),
+  validate(schemas.historyQuery, 'query'),
+  async (req, res) => {
+    const { entity, id } = req.params;
+    try {
+      const r = await pool.query(
+        `SELECT a.*, u.name AS user_name FROM audit_log a LEFT JOIN users u ON u.id=a.user_id
+         WHERE a.household_id=$1 AND ((entity=$2 AND entity_id=$3) OR (parent_entity=$2 AND parent_id=$3))
+           AND ($4::bigint IS NULL OR a.id < $4)
+         ORDER BY a.id DESC LIMIT $5`,
+        [req.householdId, entity, String(id), req.query.before, req.query.limit + 1]
+      );
+      const items = r.rows.slice(0, req.query.limit).map(formatAuditEntry);
+      const nextCursor = r.rows.length > req.query.limit ? items[items.length - 1].id : null;
+      res.json({ items, nextCursor });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// GET /api/activity?entity=cards&limit=50&before=<entry id> -> { items: [...newest first], nextCursor }
+app.get('/api/activity', requireUserId, validate(schemas.activityQuery, 'query'), async (req, res) => {
+  const { entity, before, limit } = req.query;
+  try {
+    const r = await pool.query(
+      `SELECT a.*, u.name AS user_name FROM audit_log a LEFT JOIN users u ON u.id=a.user_id
+       WHERE a.household_id=$1 AND ($2::text IS NULL OR entity=$2 OR parent_entity=$2)
+         AND ($3::bigint IS NULL OR a.id < $3)
+       ORDER BY a.id DESC LIMIT $4`,
+      [req.householdId, entity, before, limit + 1]
+    );
+    const items = r.rows.slice(0, limit).map(formatAuditEntry);
+    res.json({ items, nextCursor: r.rows.length > limit ? items[items.length - 1].id : null });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
@@ -503,20 +1776,145 @@ app.delete('/api/goals/:id', requireUserId, async (req, res) => {
 
 /**
  * --------------------
- * Cards (multi-user)
+ * Households (multi-user)
  * --------------------
+ * Data belongs to a household, shared by its members. Whoever creates one owns
+ * it; others join with a one-time invite code (valid HOUSEHOLD_INVITE_TTL_HOURS)
+ * as editor or viewer:
+ *  - owner   the data, plus renaming / deleting the household, invites and roles
+ *  - editor  reads and writes the data
+ *  - viewer  reads the data
+ * A household always keeps an owner, and a user always has a household: anyone
+ * left without one (removed, or theirs deleted) gets a new, empty one.
+ *
+ * These routes act on the household in the URL, not on X-Household-Id.
  */
-app.get('/api/cards', requireUserId, async (req, res) => {
+const HOUSEHOLD_INVITE_TTL_HOURS = 72;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to mistype
+const INVITE_CODE_LENGTH = 8;
+
+function newInviteCode() {
+  const pick = () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  return Array.from({ length: INVITE_CODE_LENGTH }, pick).join('');
+}
+
+// Codes are typed by hand: case, spaces and dashes don't matter.
+function inviteCodeHash(code) {
+  return hashToken(code.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+// Stands in for `req` in writeAudit for changes to household `householdId` (not the active one).
+function householdActor(req, householdId) {
+  return { householdId, userId: req.userId, ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+async function createHousehold(db, userId, name, baseCurrency = DEFAULT_CURRENCY) {
+  const r = await db.query('INSERT INTO households (name, base_currency) VALUES ($1,$2) RETURNING id', [
+    name.slice(0, 100),
+    baseCurrency,
+  ]);
+  const householdId = r.rows[0].id;
+  await db.query("INSERT INTO household_members (household_id, user_id, role) VALUES ($1,$2,'owner')", [
+    householdId,
+    userId,
+  ]);
+  await seedCategories(db, householdId);
+  return householdId;
+}
+
+// Gives a new household to each of `userIds` that no longer has any.
+async function ensureHousehold(db, userIds) {
+  const r = await db.query(
+    `SELECT id, name FROM users u WHERE id = ANY($1::int[])
+     AND NOT EXISTS (SELECT 1 FROM household_members m WHERE m.user_id=u.id)`,
+    [userIds]
+  );
+  for (const user of r.rows) await createHousehold(db, user.id, user.name);
+}
+
+// Makes the longest-standing member owner when the household has none left.
+async function ensureOwner(db, householdId) {
+  await db.query(
+    `UPDATE household_members SET role='owner'
+     WHERE household_id=$1 AND NOT EXISTS (SELECT 1 FROM household_members WHERE household_id=$1 AND role='owner')
+       AND user_id=(SELECT user_id FROM household_members WHERE household_id=$1 ORDER BY joined_at, user_id LIMIT 1)`,
+    [householdId]
+  );
+}
+
+// Member rows of the household, locked for the rest of the transaction, as to_jsonb plus the user's name.
+async function lockMembers(db, householdId) {
+  const r = await db.query(
+    `SELECT to_jsonb(m) || jsonb_build_object('name', u.name) AS row
+     FROM household_members m JOIN users u ON u.id=m.user_id
+     WHERE m.household_id=$1 ORDER BY m.joined_at, m.user_id FOR UPDATE OF m`,
+    [householdId]
+  );
+  return r.rows.map((row) => row.row);
+}
+
+/*
+ * Middleware for /api/households/:id/...: answers 404 unless the user is a
+ * member of household :id, and 403 owner_only unless their role is in `roles`.
+ * Sets req.membershipRole.
+ */
+function requireHouseholdRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const r = await pool.query('SELECT role FROM household_members WHERE household_id=$1 AND user_id=$2', [
+        req.params.id,
+        req.userId,
+      ]);
+      if (r.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+      if (!roles.includes(r.rows[0].role)) return res.status(403).json({ error: 'owner_only' });
+      req.membershipRole = r.rows[0].role;
+      next();
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  };
+}
+
+// Middleware for transaction bodies: memberId must be a member of the active household.
+async function validateMember(req, res, next) {
+  if (!req.body.memberId) return next();
+  try {
+    const r = await pool.query('SELECT 1 FROM household_members WHERE household_id=$1 AND user_id=$2', [
+      req.householdId,
+      req.body.memberId,
+    ]);
+    if (r.rows.length === 0) {
+      return res.status(400).json({
+        error: 'validation_error',
+        fields: [{ field: 'memberId', code: 'not_found', message: 'Membro não encontrado' }],
+      });
+    }
+    next();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+}
+
+// GET /api/households -> the user's households, in the order joined; `active` is the one this request acted on
+app.get('/api/households', requireUserId, async (req, res) => {
   try {
-    const r = await pool.query('SELECT * FROM cards WHERE user_id=$1 ORDER BY id ASC', [req.userId]);
+    const r = await pool.query(
+      `SELECT h.id, h.name, h.base_currency, m.role,
+              (SELECT COUNT(*) FROM household_members x WHERE x.household_id=h.id) AS members
+       FROM household_members m JOIN households h ON h.id=m.household_id
+       WHERE m.user_id=$1 ORDER BY m.joined_at, h.id`,
+      [req.userId]
+    );
     res.json(
       r.rows.map((row) => ({
         id: row.id,
         name: row.name,
-        limit: parseFloat(row.limit_amount),
-        used: parseFloat(row.used_amount),
-        dueDay: row.due_day,
-        color: row.color,
+        baseCurrency: row.base_currency,
+        role: row.role,
+        members: Number(row.members),
+        active: row.id === req.householdId,
       }))
     );
   } catch (e) {
@@ -525,28 +1923,57 @@ app.get('/api/cards', requireUserId, async (req, res) => {
   }
 });
 
-app.post('/api/cards', requireUserId, async (req, res) => {
-  const { name, limit, used, dueDay, color } = req.body;
+// POST /api/households { name, baseCurrency } -> a new household owned by the user, with the default categories
+app.post('/api/households', requireUserId, validate(schemas.household), async (req, res) => {
   try {
-    const r = await pool.query(
-      'INSERT INTO cards (user_id, name, limit_amount, used_amount, due_day, color) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id',
-      [req.userId, name, limit, used || 0, dueDay, color]
-    );
-    res.json({ success: true, id: r.rows[0].id });
+    const id = await withTransaction(async (db) => {
+      const householdId = await createHousehold(db, req.userId, req.body.name, req.body.baseCurrency || undefined);
+      await logChange(db, householdActor(req, householdId), 'households', [householdId], 'create');
+      return householdId;
+    });
+    res.json({ success: true, id });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.put('/api/cards/:id', requireUserId, async (req, res) => {
-  const { name, limit, used, dueDay, color } = req.body;
+app.put(
+  '/api/households/:id',
+  requireUserId,
+  validateId,
+  requireHouseholdRole('owner'),
+  validate(schemas.household),
+  async (req, res) => {
+    try {
+      await withTransaction(async (db) => {
+        const before = await auditRows(db, 'households', [req.params.id]);
+        await db.query('UPDATE households SET name=$1, base_currency=COALESCE($2, base_currency) WHERE id=$3', [
+          req.body.name,
+          req.body.baseCurrency,
+          req.params.id,
+        ]);
+        await logChange(db, householdActor(req, req.params.id), 'households', [req.params.id], 'update', before);
+      });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// DELETE /api/households/:id { pin } -> deletes the household and all its data (its log included)
+app.delete('/api/households/:id', requireUserId, validateId, requireHouseholdRole('owner'), async (req, res) => {
   try {
-    const u = await pool.query(
-      'UPDATE cards SET name=$1, limit_amount=$2, used_amount=$3, due_day=$4, color=$5 WHERE id=$6 AND user_id=$7',
-      [name, limit, used, dueDay, color, req.params.id, req.userId]
-    );
-    if (u.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    if (!(await confirmPin(req, res, req.body && req.body.pin))) return;
+
+    await withTransaction(async (db) => {
+      const members = await lockMembers(db, req.params.id);
+      await deleteAttachments(db, 't.household_id=$1', [req.params.id]);
+      await db.query('DELETE FROM households WHERE id=$1', [req.params.id]);
+      await ensureHousehold(db, members.map((m) => m.user_id));
+    });
     res.json({ success: true });
   } catch (e) {
     console.error(e);
@@ -554,11 +1981,228 @@ app.put('/api/cards/:id', requireUserId, async (req, res) => {
   }
 });
 
-app.delete('/api/cards/:id', requireUserId, async (req, res) => {
+app.get(
+  '/api/households/:id/members',
+  requireUserId,
+  validateId,
+  requireHouseholdRole(...HOUSEHOLD_ROLES),
+  async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT m.user_id, m.role, m.joined_at, u.name, u.login
+         FROM household_members m JOIN users u ON u.id=m.user_id
+         WHERE m.household_id=$1 ORDER BY m.joined_at, m.user_id`,
+        [req.params.id]
+      );
+      res.json(
+        r.rows.map((row) => ({
+          userId: row.user_id,
+          name: row.name,
+          login: row.login,
+          role: row.role,
+          joinedAt: new Date(row.joined_at).toISOString(),
+          you: row.user_id === req.userId,
+        }))
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// PUT /api/households/:id/members/:userId { role } -> 409 last_owner when it would leave the household without one
+app.put(
+  '/api/households/:id/members/:userId',
+  requireUserId,
+  validate(schemas.householdMemberParams, 'params'),
+  requireHouseholdRole('owner'),
+  validate(schemas.householdMember),
+  async (req, res) => {
+    const { id, userId } = req.params;
+    try {
+      const result = await withTransaction(async (db) => {
+        const members = await lockMembers(db, id);
+        const before = members.find((m) => m.user_id === userId);
+        if (!before) return { status: 404, body: { error: 'not_found' } };
+        const owners = members.filter((m) => m.role === 'owner').length;
+        if (before.role === 'owner' && req.body.role !== 'owner' && owners === 1) {
+          return { status: 409, body: { error: 'last_owner' } };
+        }
+
+        await db.query('UPDATE household_members SET role=$1 WHERE household_id=$2 AND user_id=$3', [
+          req.body.role,
+          id,
+          userId,
+        ]);
+        await logUpsert(db, householdActor(req, id), 'household_members', userId, before, {
+          ...before,
+          role: req.body.role,
+        });
+        return { status: 200, body: { success: true } };
+      });
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * DELETE /api/households/:id/members/:userId
+ * The owner removes a member, or a member leaves (their own userId). The last
+ * owner can't leave while others remain (409 last_owner), nor can the last
+ * member (409 last_member: delete the household instead).
+ */
+app.delete(
+  '/api/households/:id/members/:userId',
+  requireUserId,
+  validate(schemas.householdMemberParams, 'params'),
+  requireHouseholdRole(...HOUSEHOLD_ROLES),
+  async (req, res) => {
+    const { id, userId } = req.params;
+    if (userId !== req.userId && req.membershipRole !== 'owner') {
+      return res.status(403).json({ error: 'owner_only' });
+    }
+    try {
+      const result = await withTransaction(async (db) => {
+        const members = await lockMembers(db, id);
+        const before = members.find((m) => m.user_id === userId);
+        if (!before) return { status: 404, body: { error: 'not_found' } };
+        if (members.length === 1) return { status: 409, body: { error: 'last_member' } };
+        if (before.role === 'owner' && members.filter((m) => m.role === 'owner').length === 1) {
+          return { status: 409, body: { error: 'last_owner' } };
+        }
+
+        await db.query('DELETE FROM household_members WHERE household_id=$1 AND user_id=$2', [id, userId]);
+        await writeAudit(db, householdActor(req, id), 'household_members', 'delete', [{ id: userId, before }]);
+        await ensureHousehold(db, [userId]);
+        return { status: 200, body: { success: true } };
+      });
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// GET /api/households/:id/invites -> the invites not used yet and not expired
+app.get('/api/households/:id/invites', requireUserId, validateId, requireHouseholdRole('owner'), async (req, res) => {
   try {
-    const d = await pool.query('DELETE FROM cards WHERE id=$1 AND user_id=$2', [req.params.id, req.userId]);
-    if (d.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+    const r = await pool.query(
+      `SELECT i.id, i.role, i.expires_at, i.created_at, u.name AS created_by_name
+       FROM household_invites i LEFT JOIN users u ON u.id=i.created_by
+       WHERE i.household_id=$1 AND i.used_at IS NULL AND i.expires_at > NOW()
+       ORDER BY i.created_at DESC, i.id DESC`,
+      [req.params.id]
+    );
+    res.json(
+      r.rows.map((row) => ({
+        id: row.id,
+        role: row.role,
+        createdBy: row.created_by_name,
+        createdAt: new Date(row.created_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString(),
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/households/:id/invites { role: 'editor' | 'viewer' }
+ *   { success, id, code, role, expiresAt }
+ * The code is only ever returned here: the database keeps its hash.
+ */
+app.post(
+  '/api/households/:id/invites',
+  requireUserId,
+  validateId,
+  requireHouseholdRole('owner'),
+  validate(schemas.householdInvite),
+  async (req, res) => {
+    const code = newInviteCode();
+    const expiresAt = new Date(Date.now() + HOUSEHOLD_INVITE_TTL_HOURS * 60 * 60 * 1000);
+    try {
+      const id = await withTransaction(async (db) => {
+        const r = await db.query(
+          `INSERT INTO household_invites (household_id, code_hash, role, created_by, expires_at)
+           VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+          [req.params.id, inviteCodeHash(code), req.body.role, req.userId, expiresAt]
+        );
+        await logChange(db, householdActor(req, req.params.id), 'household_invites', [r.rows[0].id], 'create');
+        return r.rows[0].id;
+      });
+      res.json({ success: true, id, code, role: req.body.role, expiresAt: expiresAt.toISOString() });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/households/:id/invites/:inviteId',
+  requireUserId,
+  validate(schemas.householdInviteParams, 'params'),
+  requireHouseholdRole('owner'),
+  async (req, res) => {
+    const { id, inviteId } = req.params;
+    try {
+      const result = await withTransaction(async (db) => {
+        const r = await db.query(
+          `DELETE FROM household_invites i WHERE id=$1 AND household_id=$2 AND used_at IS NULL
+           RETURNING to_jsonb(i) AS row`,
+          [inviteId, id]
+        );
+        if (r.rows.length === 0) return { status: 404, body: { error: 'not_found' } };
+        await writeAudit(db, householdActor(req, id), 'household_invites', 'delete', [
+          { id: inviteId, before: r.rows[0].row },
+        ]);
+        return { status: 200, body: { success: true } };
+      });
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/households/join { code } -> { success, householdId, role }
+ * 404 invalid_invite (unknown, used or expired), 409 already_member (the code stays unused).
+ */
+app.post('/api/households/join', requireUserId, validate(schemas.householdJoin), async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const r = await db.query(
+        `SELECT id, household_id, role FROM household_invites
+         WHERE code_hash=$1 AND used_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+        [inviteCodeHash(req.body.code)]
+      );
+      const invite = r.rows[0];
+      if (!invite) return { status: 404, body: { error: 'invalid_invite' } };
+
+      const joined = await db.query(
+        `INSERT INTO household_members (household_id, user_id, role) VALUES ($1,$2,$3)
+         ON CONFLICT DO NOTHING RETURNING to_jsonb(household_members) AS row`,
+        [invite.household_id, req.userId, invite.role]
+      );
+      if (joined.rows.length === 0) return { status: 409, body: { error: 'already_member' } };
+      await db.query('UPDATE household_invites SET used_at=NOW(), used_by=$1 WHERE id=$2', [req.userId, invite.id]);
+
+      const user = await db.query('SELECT name FROM users WHERE id=$1', [req.userId]);
+      await writeAudit(db, householdActor(req, invite.household_id), 'household_members', 'create', [
+        { id: req.userId, after: { ...joined.rows[0].row, name: user.rows[0].name } },
+      ]);
+      return { status: 200, body: { success: true, householdId: invite.household_id, role: invite.role } };
+    });
+    res.status(result.status).json(result.body);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
@@ -567,144 +2211,7368 @@ app.delete('/api/cards/:id', requireUserId, async (req, res) => {
 
 /**
  * --------------------
- * Investments (multi-user)
+ * Currencies (multi-user)
  * --------------------
+ * Amounts are stored in their own currency: every transaction, recurring rule,
+ * account, card and investment has one. Transactions on an account or card are
+ * in its currency, so balances and statements add up as they are; the others
+ * default to the household's base currency, which reports, budgets, totals and
+ * net worth convert everything to.
+ *
+ * Rates are typed in or imported from CSV, never fetched. An amount converts at
+ * the rate for its date (exchange_rate() in migration 014: the latest one up to
+ * that date, else the first one after it, in either direction of the pair).
+ * A currency with no rate at all to the base one counts 1:1 and is listed in
+ * `missing` by GET /api/exchange-rates.
  */
-app.get('/api/investments', requireUserId, async (req, res) => {
+const EXCHANGE_RATE_CSV_COLUMNS = {
+  date: ['DATA', 'DATE'],
+  from: ['MOEDA', 'DE', 'FROM', 'CURRENCY'],
+  to: ['PARA', 'TO'], // optional: the base currency
+  rate: ['TAXA', 'COTACAO', 'RATE'],
+};
+
+// SQL for a transactions row's amount in the base currency, to the cent. `alias` prefixes the columns ('t.').
+function baseAmountSql(alias = '') {
+  return `ROUND(to_base(${alias}household_id, ${alias}amount, ${alias}currency, ${alias}date), 2)`;
+}
+
+// -> Map('USD|2026-10-01' -> rate to the base currency, null without any) for `keys` [{ currency, date }].
+async function baseRates(db, householdId, keys) {
+  const unique = [...new Set(keys.map(({ currency, date }) => `${currency}|${date}`))];
+  const r = await db.query(
+    `SELECT k.key, exchange_rate(h.id, k.currency, h.base_currency, k.date) AS rate
+     FROM households h,
+          LATERAL (SELECT key, split_part(key, '|', 1) AS currency, split_part(key, '|', 2)::date AS date
+                   FROM UNNEST($2::text[]) AS key) k
+     WHERE h.id=$1`,
+    [householdId, unique]
+  );
+  return new Map(r.rows.map((row) => [row.key, row.rate === null ? null : parseFloat(row.rate)]));
+}
+
+// `amount` in the base currency with the rates from baseRates (1:1 without one).
+function toBase(rates, amount, currency, date) {
+  const rate = rates.get(`${currency}|${date}`);
+  return Math.round(amount * (rate === null || rate === undefined ? 1 : rate) * 100) / 100;
+}
+
+// Currencies the household uses besides its base one that have no rate to it.
+async function missingRates(db, householdId) {
+  const r = await db.query(
+    `SELECT DISTINCT c.currency FROM (
+       SELECT currency FROM transactions WHERE household_id=$1 AND deleted_at IS NULL
+       UNION SELECT currency FROM recurring_rules WHERE household_id=$1
+       UNION SELECT currency FROM accounts WHERE household_id=$1
+       UNION SELECT currency FROM cards WHERE household_id=$1 AND deleted_at IS NULL
+       UNION SELECT currency FROM investments WHERE household_id=$1 AND deleted_at IS NULL
+     ) c JOIN households h ON h.id=$1
+     WHERE c.currency <> h.base_currency AND exchange_rate($1, c.currency, h.base_currency, CURRENT_DATE) IS NULL
+     ORDER BY c.currency`,
+    [householdId]
+  );
+  return r.rows.map((row) => row.currency);
+}
+
+/*
+ * Middleware for transaction and recurring rule bodies, after validateAccountLinks:
+ * the currency of the account(s) or card they use, which must agree, or the
+ * household's base currency. An explicit `currency` must be that same one.
+ */
+async function validateCurrency(req, res, next) {
+  const body = req.body;
+  const links = ['accountId', 'transferAccountId', 'cardId'].filter((field) => body[field]);
   try {
-    const r = await pool.query('SELECT * FROM investments WHERE user_id=$1 ORDER BY id ASC', [req.userId]);
-    res.json(
-      r.rows.map((row) => ({
-        id: row.id,
-        name: row.name,
-        type: row.type,
-        value: parseFloat(row.value_amount),
-        returnRate: row.return_rate,
-      }))
+    const r = await pool.query(
+      `SELECT 'account' AS kind, id, currency FROM accounts WHERE household_id=$1 AND id = ANY($2::int[])
+       UNION ALL
+       SELECT 'card', id, currency FROM cards WHERE household_id=$1 AND id=$3`,
+      [req.householdId, [body.accountId, body.transferAccountId].filter(Boolean), body.cardId || null]
     );
+    const currencyOf = new Map(r.rows.map((row) => [`${row.kind}|${row.id}`, row.currency]));
+    let expected = null;
+    for (const field of links) {
+      const currency = currencyOf.get(`${field === 'cardId' ? 'card' : 'account'}|${body[field]}`);
+      if (!currency) continue;
+      if (expected && currency !== expected) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field, code: 'currency_mismatch', message: `Moedas diferentes (${expected} e ${currency})` }],
+        });
+      }
+      expected = currency;
+    }
+    if (body.currency && expected && body.currency !== expected) {
+      return res.status(400).json({
+        error: 'validation_error',
+        fields: [{ field: 'currency', code: 'currency_mismatch', message: `Deve ser ${expected}, a moeda da conta` }],
+      });
+    }
+    body.currency = expected || body.currency || req.baseCurrency;
+    next();
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
-});
+}
 
-app.post('/api/investments', requireUserId, async (req, res) => {
-  const { name, type, value, returnRate } = req.body;
+// What ties an account or card to its currency: rows in it that would be left in another one.
+const CURRENCY_USES = {
+  accounts: `SELECT 1 FROM transactions WHERE $1 IN (account_id, transfer_account_id)
+             UNION ALL SELECT 1 FROM recurring_rules WHERE account_id=$1
+             UNION ALL SELECT 1 FROM card_payments WHERE account_id=$1`,
+  cards: `SELECT 1 FROM transactions WHERE card_id=$1
+          UNION ALL SELECT 1 FROM recurring_rules WHERE card_id=$1
+          UNION ALL SELECT 1 FROM card_payments WHERE card_id=$1`,
+};
+
+// -> the 409 body when `row` (accounts or cards, as auditRows) is in use and `currency` isn't its own, else null.
+async function currencyLocked(db, table, row, currency) {
+  if (!currency || currency === row.currency) return null;
+  const r = await db.query(`SELECT EXISTS (${CURRENCY_USES[table]}) AS used`, [row.id]);
+  return r.rows[0].used ? { status: 409, body: { error: 'currency_in_use', currency: row.currency } } : null;
+}
+
+function formatExchangeRate(row) {
+  return {
+    id: row.id,
+    from: row.from_currency,
+    to: row.to_currency,
+    date: toDateString(row.date),
+    rate: parseFloat(row.rate),
+  };
+}
+
+async function upsertExchangeRate(db, req, { from, to, date, rate }) {
+  const found = await db.query(
+    `SELECT to_jsonb(r) AS row FROM exchange_rates r
+     WHERE household_id=$1 AND from_currency=$2 AND to_currency=$3 AND date=$4 FOR UPDATE`,
+    [req.householdId, from, to, date]
+  );
+  const before = found.rows.length > 0 ? found.rows[0].row : null;
+  const r = await db.query(
+    `INSERT INTO exchange_rates (household_id, from_currency, to_currency, date, rate) VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (household_id, from_currency, to_currency, date) DO UPDATE SET rate=EXCLUDED.rate
+     RETURNING to_jsonb(exchange_rates) AS row`,
+    [req.householdId, from, to, date, rate]
+  );
+  await logUpsert(db, req, 'exchange_rates', r.rows[0].row.id, before, r.rows[0].row);
+  return r.rows[0].row.id;
+}
+
+// CSV with a header row: data, moeda, taxa and optionally para (default: the base currency).
+function parseExchangeRateCsv(content, baseCurrency) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = parseCsv(text, detectDelimiter(text));
+  if (rows.length === 0) return { rows: [], errors: [{ row: null, message: 'Arquivo vazio' }] };
+
+  const header = rows[0].cells.map(normalizeText);
+  const columns = {};
+  for (const [field, names] of Object.entries(EXCHANGE_RATE_CSV_COLUMNS)) {
+    columns[field] = header.findIndex((cell) => names.includes(cell));
+    if (columns[field] === -1 && field !== 'to') {
+      const message = `Coluna "${names[0].toLowerCase()}" não encontrada`;
+      return { rows: [], errors: [{ row: rows[0].line, message }] };
+    }
+  }
+
+  const parsed = [];
+  const errors = [];
+  for (const { line, cells } of rows.slice(1)) {
+    const date = parseImportDate(cells[columns.date], /^\d{4}-/.test(cells[columns.date]) ? 'YYYY-MM-DD' : null);
+    const from = checkField({ type: 'currency', required: true }, cells[columns.from]);
+    const to = checkField({ type: 'currency', default: baseCurrency }, columns.to === -1 ? null : cells[columns.to]);
+    const rawRate = String(cells[columns.rate] || '');
+    const rate = parseAmount(rawRate, rawRate.lastIndexOf(',') > rawRate.lastIndexOf('.') ? ',' : '.');
+    if (!date) errors.push({ row: line, message: `Data inválida: "${cells[columns.date] || ''}"` });
+    else if (from.code) errors.push({ row: line, message: `Moeda inválida: "${cells[columns.from] || ''}"` });
+    else if (to.code) errors.push({ row: line, message: `Moeda inválida: "${cells[columns.to] || ''}"` });
+    else if (from.value === to.value) errors.push({ row: line, message: `Moedas iguais: ${from.value}` });
+    else if (rate === null || !(rate > 0)) errors.push({ row: line, message: `Taxa inválida: "${rawRate}"` });
+    else parsed.push({ row: line, from: from.value, to: to.value, date, rate });
+  }
+  return { rows: parsed, errors };
+}
+
+/*
+ * GET /api/exchange-rates?currency=USD&from=2026-01-01&to=2026-10-31&limit=200
+ *   { baseCurrency, currencies: [in use], missing: [without a rate to baseCurrency],
+ *     items: [{ id, from, to, date, rate }] (newest first) }
+ */
+app.get('/api/exchange-rates', requireUserId, validate(schemas.exchangeRateQuery, 'query'), async (req, res) => {
+  const { currency, from, to, limit } = req.query;
   try {
-    const r = await pool.query(
-      'INSERT INTO investments (user_id, name, type, value_amount, return_rate) VALUES ($1,$2,$3,$4,$5) RETURNING id',
-      [req.userId, name, type, value, returnRate]
-    );
-    res.json({ success: true, id: r.rows[0].id });
+    const [rates, used, missing] = await Promise.all([
+      pool.query(
+        `SELECT * FROM exchange_rates
+         WHERE household_id=$1 AND ($2::text IS NULL OR $2 IN (from_currency, to_currency))
+           AND ($3::date IS NULL OR date >= $3) AND ($4::date IS NULL OR date <= $4)
+         ORDER BY date DESC, from_currency, to_currency LIMIT $5`,
+        [req.householdId, currency, from, to, limit]
+      ),
+      pool.query(
+        `SELECT currency FROM transactions WHERE household_id=$1 AND deleted_at IS NULL
+         UNION SELECT currency FROM accounts WHERE household_id=$1
+         UNION SELECT currency FROM cards WHERE household_id=$1 AND deleted_at IS NULL
+         UNION SELECT currency FROM investments WHERE household_id=$1 AND deleted_at IS NULL
+         UNION SELECT base_currency FROM households WHERE id=$1
+         ORDER BY 1`,
+        [req.householdId]
+      ),
+      missingRates(pool, req.householdId),
+    ]);
+    res.json({
+      baseCurrency: req.baseCurrency,
+      currencies: used.rows.map((row) => row.currency),
+      missing,
+      items: rates.rows.map(formatExchangeRate),
+    });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.put('/api/investments/:id', requireUserId, async (req, res) => {
-  const { name, type, value, returnRate } = req.body;
+// POST /api/exchange-rates { from, to, date, rate } -> replaces the pair's rate on that date, if any
+app.post('/api/exchange-rates', requireUserId, validate(schemas.exchangeRate), async (req, res) => {
+  if (req.body.from === req.body.to) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'to', code: 'same_currency', message: 'Escolha outra moeda' }],
+    });
+  }
   try {
-    const u = await pool.query(
-      'UPDATE investments SET name=$1, type=$2, value_amount=$3, return_rate=$4 WHERE id=$5 AND user_id=$6',
-      [name, type, value, returnRate, req.params.id, req.userId]
-    );
-    if (u.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+    const id = await withTransaction((db) => upsertExchangeRate(db, req, req.body));
+    res.json({ success: true, id });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.delete('/api/investments/:id', requireUserId, async (req, res) => {
+app.delete('/api/exchange-rates/:id', requireUserId, validateId, async (req, res) => {
   try {
-    const d = await pool.query('DELETE FROM investments WHERE id=$1 AND user_id=$2', [req.params.id, req.userId]);
-    if (d.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+    const result = await withTransaction(async (db) => {
+      const before = await db.query(
+        'SELECT to_jsonb(r) AS row FROM exchange_rates r WHERE id=$1 AND household_id=$2 FOR UPDATE',
+        [req.params.id, req.householdId]
+      );
+      if (before.rows.length === 0) return { status: 404, body: { error: 'not_found' } };
+      await db.query('DELETE FROM exchange_rates WHERE id=$1', [req.params.id]);
+      await writeAudit(db, req, 'exchange_rates', 'delete', [{ id: req.params.id, before: before.rows[0].row }]);
+      return { status: 200, body: { success: true } };
+    });
+    res.status(result.status).json(result.body);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
+/*
+ * POST /api/exchange-rates/import { content, dryRun }
+ *   { items: [{ row, from, to, date, rate }], errors: [{ row, message }], imported }
+ * The CSV needs the columns data, moeda and taxa (1 moeda = taxa para), plus
+ * optionally para (default: the base currency). Valid rows replace the pair's
+ * rate on that date; dryRun saves nothing.
+ */
+app.post(
+  '/api/exchange-rates/import',
+  requireUserId,
+  validate(schemas.exchangeRateImport),
+  async (req, res) => {
+    try {
+      const { rows, errors } = parseExchangeRateCsv(req.body.content, req.baseCurrency);
+      if (rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'content', code: 'too_long', message: `Máximo de ${IMPORT_MAX_ROWS} linhas por arquivo` }],
+        });
+      }
+      if (!req.body.dryRun && rows.length > 0) {
+        await withTransaction(async (db) => {
+          for (const row of rows) await upsertExchangeRate(db, req, row);
+        });
+      }
+      res.json({ items: rows, errors, imported: req.body.dryRun ? 0 : rows.length });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
 /**
  * --------------------
- * Budgets (multi-user, upsert by category)
+ * Accounts (multi-user)
  * --------------------
+ * Checking / savings accounts, cash and wallets. An account's balance is its
+ * opening balance (from its opening date on) plus every movement linked to it:
+ *  - income (+) and expense (-) with account_id
+ *  - transfers: out of account_id (-), into transfer_account_id (+)
+ *  - card statement payments taken from the account (-)
+ * Transfers are neither income nor expense, so reports leave them out.
+ * Credit card purchases don't touch an account until the statement is paid.
  */
-app.get('/api/budgets', requireUserId, async (req, res) => {
+const ACCOUNT_MOVES_SQL = `
+  SELECT account_id, 'transaction' AS kind, id, date, description, type, category,
+         CASE WHEN type='income' THEN amount ELSE -amount END AS delta
+  FROM transactions WHERE household_id=$1 AND account_id IS NOT NULL AND deleted_at IS NULL
+  UNION ALL
+  SELECT transfer_account_id, 'transaction', id, date, description, type, category, amount
+  FROM transactions WHERE household_id=$1 AND type='transfer' AND deleted_at IS NULL
+  UNION ALL
+  SELECT p.account_id, 'card_payment', p.id, p.date, c.name, 'card_payment', NULL, -p.amount
+  FROM card_payments p JOIN cards c ON c.id=p.card_id
+  WHERE p.household_id=$1 AND p.account_id IS NOT NULL
+  UNION ALL
+  SELECT id, 'opening', id, opening_date, 'Saldo inicial', 'opening', NULL, opening_balance
+  FROM accounts WHERE household_id=$1`;
+
+function formatAccount(row) {
+  const balance = parseFloat(row.moved || 0);
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    openingBalance: parseFloat(row.opening_balance),
+    openingDate: toDateString(row.opening_date),
+    color: row.color,
+    currency: row.currency,
+    archived: row.archived,
+    balance,
+    baseBalance: Math.round(balance * (row.base_rate === null ? 1 : parseFloat(row.base_rate)) * 100) / 100,
+    projectedBalance: parseFloat(row.moved_total || 0),
+    lastReconciliation: row.reconciled_date
+      ? { date: toDateString(row.reconciled_date), balance: parseFloat(row.reconciled_balance) }
+      : null,
+    ...rowVersion(row),
+  };
+}
+
+// Balance at the end of `date` (future-dated movements excluded).
+async function accountBalance(db, account, date) {
+  const r = await db.query(
+    `SELECT COALESCE(SUM(delta), 0) AS moved FROM (${ACCOUNT_MOVES_SQL}) m WHERE account_id=$2 AND date <= $3`,
+    [account.household_id, account.id, date]
+  );
+  return Math.round(parseFloat(r.rows[0].moved) * 100) / 100;
+}
+
+async function findAccount(householdId, accountId) {
+  const r = await pool.query('SELECT * FROM accounts WHERE id=$1 AND household_id=$2', [accountId, householdId]);
+  return r.rows[0] || null;
+}
+
+/*
+ * Middleware for bodies that may reference accounts (transactions, recurring
+ * rules, card payments): transfers need two different accounts and carry no
+ * category / payment method / card, card purchases can't come out of an
+ * account, and every referenced account, and the card, must belong to the
+ * household (a card in the trash takes no new charges).
+ */
+async function validateAccountLinks(req, res, next) {
+  const body = req.body;
+  const errors = [];
+  const required = (field) => errors.push({ field, code: 'required', message: 'Campo obrigatório' });
+
+  if (body.type === 'transfer') {
+    if (!body.accountId) required('accountId');
+    if (!body.transferAccountId) required('transferAccountId');
+    else if (body.transferAccountId === body.accountId) {
+      errors.push({ field: 'transferAccountId', code: 'same_account', message: 'Escolha outra conta' });
+    }
+    Object.assign(body, { category: null, subcategory: null, paymentMethod: null, cardId: null, isRecurring: false });
+  } else {
+    body.transferAccountId = null;
+    if (body.accountId && body.paymentMethod === 'credit_card') {
+      errors.push({ field: 'accountId', code: 'not_allowed', message: 'Compras no cartão não saem de uma conta' });
+    }
+  }
+  if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+
+  const links = ['accountId', 'transferAccountId'].filter((field) => body[field]);
+  if (links.length === 0 && !body.cardId) return next();
   try {
-    const r = await pool.query('SELECT * FROM budgets WHERE user_id=$1 ORDER BY id ASC', [req.userId]);
-    res.json(r.rows.map((row) => ({ id: row.id, category: row.category, limit: parseFloat(row.limit_amount) })));
+    const owned = await pool.query('SELECT id FROM accounts WHERE household_id=$1 AND id = ANY($2)', [
+      req.householdId,
+      links.map((field) => body[field]),
+    ]);
+    const ids = new Set(owned.rows.map((row) => row.id));
+    const missing = links
+      .filter((field) => !ids.has(body[field]))
+      .map((field) => ({ field, code: 'not_found', message: 'Conta não encontrada' }));
+    if (body.cardId) {
+      const card = await pool.query('SELECT id FROM cards WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL', [
+        body.cardId,
+        req.householdId,
+      ]);
+      if (card.rowCount === 0) missing.push({ field: 'cardId', code: 'not_found', message: 'Cartão não encontrado' });
+    }
+    if (missing.length > 0) return res.status(400).json({ error: 'validation_error', fields: missing });
+    next();
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
-});
-
-// Upsert by category (per user)
-app.post('/api/budgets', requireUserId, async (req, res) => {
-  const { category, limit } = req.body;
-  if (!category) return res.status(400).json({ error: 'missing_fields' });
+}
 
+/*
+ * GET /api/accounts -> balance today (and as baseBalance, in the base currency at today's rate),
+ * projectedBalance (incl. future-dated entries) and the last reconciliation
+ */
+app.get('/api/accounts', requireUserId, async (req, res) => {
   try {
-    const c = await pool.query('SELECT id FROM budgets WHERE user_id=$1 AND category=$2', [req.userId, category]);
-
-    if (c.rows.length > 0) {
-      await pool.query('UPDATE budgets SET limit_amount=$1 WHERE id=$2 AND user_id=$3', [limit, c.rows[0].id, req.userId]);
-      return res.json({ success: true, id: c.rows[0].id });
-    }
-
     const r = await pool.query(
-      'INSERT INTO budgets (user_id, category, limit_amount) VALUES ($1,$2,$3) RETURNING id',
-      [req.userId, category, limit]
+      `WITH moves AS (${ACCOUNT_MOVES_SQL})
+       SELECT a.*,
+              (SELECT SUM(delta) FROM moves m WHERE m.account_id=a.id AND m.date <= $2) AS moved,
+              (SELECT SUM(delta) FROM moves m WHERE m.account_id=a.id) AS moved_total,
+              exchange_rate(a.household_id, a.currency, $3, $2) AS base_rate,
+              rec.date AS reconciled_date, rec.statement_balance AS reconciled_balance
+       FROM accounts a
+       LEFT JOIN LATERAL (
+         SELECT date, statement_balance FROM account_reconciliations
+         WHERE account_id=a.id ORDER BY date DESC, id DESC LIMIT 1
+       ) rec ON TRUE
+       WHERE a.household_id=$1
+       ORDER BY a.archived, a.name, a.id`,
+      [req.householdId, today(), req.baseCurrency]
     );
-    res.json({ success: true, id: r.rows[0].id });
+    res.json(r.rows.map(formatAccount));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.put('/api/budgets/:category', requireUserId, async (req, res) => {
-  const { limit } = req.body;
-  const { category } = req.params;
+app.post('/api/accounts', requireUserId, validate(schemas.account), async (req, res) => {
+  const { name, type, openingBalance, openingDate, color, currency, archived } = req.body;
+  try {
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        `INSERT INTO accounts (household_id, name, type, opening_balance, opening_date, color, currency, archived)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+        [
+          req.householdId,
+          name,
+          type,
+          openingBalance,
+          openingDate || today(),
+          color,
+          currency || req.baseCurrency,
+          archived,
+        ]
+      );
+      await logChange(db, req, 'accounts', [r.rows[0].id], 'create');
+      return r.rows[0].id;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
 
+// A currency can only change while nothing is recorded in the old one; null keeps it.
+app.put('/api/accounts/:id', requireUserId, validateId, validate(schemas.account), async (req, res) => {
+  const { name, type, openingBalance, openingDate, color, currency, archived, version } = req.body;
   try {
-    const u = await pool.query('UPDATE budgets SET limit_amount=$1 WHERE user_id=$2 AND category=$3', [
-      limit,
-      req.userId,
-      category,
-    ]);
-    if (u.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'accounts', req.params.id, req.householdId, version);
+      if (!lock.before) return lock;
+      const locked = await currencyLocked(db, 'accounts', lock.before.get(Number(req.params.id)), currency);
+      if (locked) return locked;
+      const u = await db.query(
+        `UPDATE accounts SET name=$1, type=$2, opening_balance=$3, opening_date=COALESCE($4, opening_date), color=$5,
+           currency=COALESCE($6, currency), archived=$7
+         WHERE id=$8 RETURNING version`,
+        [name, type, openingBalance, openingDate, color, currency, archived, req.params.id]
+      );
+      await logChange(db, req, 'accounts', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
-app.delete('/api/budgets/:category', requireUserId, async (req, res) => {
+// Accounts with history can only be archived, otherwise their transfers would lose a side.
+app.delete('/api/accounts/:id', requireUserId, validateId, async (req, res) => {
   try {
-    const d = await pool.query('DELETE FROM budgets WHERE user_id=$1 AND category=$2', [req.userId, req.params.category]);
-    if (d.rowCount === 0) return res.status(404).json({ error: 'not_found' });
-    res.json({ success: true });
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'accounts', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query('DELETE FROM accounts WHERE id=$1', [req.params.id]);
+      await logChange(db, req, 'accounts', [req.params.id], 'delete', lock.before);
+      return { status: 200, body: { success: true } };
+    });
+    res.status(result.status).json(result.body);
   } catch (e) {
+    if (e.code === '23503') return res.status(409).json({ error: 'account_in_use' });
     console.error(e);
     res.status(500).json({ error: 'Erro' });
   }
 });
 
+/*
+ * GET /api/accounts/:id/ledger?from=2026-10-01&to=2026-10-31 (defaults to the current month)
+ * Movements in date order with the running balance after each one.
+ *
+ *   { openingBalance, closingBalance, entries: [{ kind, id, date, description, type, category, amount, balance }] }
+ */
+app.get(
+  '/api/accounts/:id/ledger',
+  requireUserId,
+  validateId,
+  validate(schemas.ledgerQuery, 'query'),
+  async (req, res) => {
+    try {
+      const account = await findAccount(req.householdId, req.params.id);
+      if (!account) return res.status(404).json({ error: 'not_found' });
+
+      const period = monthBounds(currentMonth());
+      if (req.query.from) period.from = req.query.from;
+      if (req.query.to) period.to = req.query.to;
+      if (period.from > period.to) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'to', code: 'invalid_range', message: 'Deve ser depois de "from"' }],
+        });
+      }
+
+      const [openingBalance, moves] = await Promise.all([
+        accountBalance(pool, account, addDays(period.from, -1)),
+        pool.query(
+          `SELECT * FROM (${ACCOUNT_MOVES_SQL}) m
+           WHERE account_id=$2 AND date >= $3 AND date <= $4
+           ORDER BY date, kind <> 'opening', kind, id`,
+          [req.householdId, account.id, period.from, period.to]
+        ),
+      ]);
+
+      let balance = openingBalance;
+      const entries = moves.rows.map((row) => {
+        const amount = parseFloat(row.delta);
+        balance = Math.round((balance + amount) * 100) / 100;
+        return {
+          kind: row.kind,
+          id: row.id,
+          date: toDateString(row.date),
+          description: row.description,
+          type: row.type,
+          category: row.category,
+          amount,
+          balance,
+        };
+      });
+      res.json({ period, openingBalance, closingBalance: balance, entries });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/accounts/:id/reconcile { balance, date?, adjust? }
+ * Compares the balance the bank reports at the end of `date` (default today)
+ * with the computed one. With adjust=true a difference is booked as an
+ * "Ajuste" income / expense on that date so both match from then on.
+ */
+app.post(
+  '/api/accounts/:id/reconcile',
+  requireUserId,
+  validateId,
+  validate(schemas.reconciliation),
+  async (req, res) => {
+    try {
+      const account = await findAccount(req.householdId, req.params.id);
+      if (!account) return res.status(404).json({ error: 'not_found' });
+
+      const date = req.body.date || today();
+      const result = await withTransaction(async (db) => {
+        const computedBalance = await accountBalance(db, account, date);
+        const difference = Math.round((req.body.balance - computedBalance) * 100) / 100;
+
+        let adjustmentId = null;
+        if (req.body.adjust && difference !== 0) {
+          const adjustment = await db.query(
+            `INSERT INTO transactions (household_id, description, amount, type, category, date, account_id, currency)
+             VALUES ($1, 'Ajuste de conciliação', $2, $3, 'Ajuste', $4, $5, $6) RETURNING id`,
+            [
+              req.householdId,
+              Math.abs(difference),
+              difference > 0 ? 'income' : 'expense',
+              date,
+              account.id,
+              account.currency,
+            ]
+          );
+          adjustmentId = adjustment.rows[0].id;
+          await logChange(db, req, 'transactions', [adjustmentId], 'create');
+        }
+        const r = await db.query(
+          `INSERT INTO account_reconciliations
+             (account_id, date, statement_balance, computed_balance, adjustment_transaction_id)
+           VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+          [account.id, date, req.body.balance, computedBalance, adjustmentId]
+        );
+        await logChange(db, req, 'account_reconciliations', [r.rows[0].id], 'create');
+        return { computedBalance, difference, adjustmentId };
+      });
+
+      res.json({
+        success: true,
+        date,
+        statementBalance: req.body.balance,
+        ...result,
+        reconciled: result.difference === 0 || result.adjustmentId !== null,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
 /**
  * --------------------
- * SPA fallback
+ * Categories (multi-user)
  * --------------------
+ * Income and expense categories with one level of subcategories. Transactions,
+ * recurring rules, import rules and budgets store the names as text, so renames
+ * and merges rewrite those names in the same database transaction.
  */
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+const DEFAULT_CATEGORIES = {
+  expense: [
+    ['Moradia', '#8b5cf6', 'Home', ['Aluguel', 'Condomínio', 'Energia', 'Água', 'Internet', 'Gás', 'Manutenção']],
+    ['Alimentação', '#f59e0b', 'Utensils', ['Supermercado', 'Restaurante', 'Delivery', 'Lanches']],
+    ['Transporte', '#ef4444', 'Car', ['Combustível', 'Uber', 'Ônibus', 'IPVA']],
+    ['Lazer', '#06b6d4', 'Gamepad2', ['Viagens', 'Cinema', 'Streaming', 'Jogos', 'Assinaturas']],
+    ['Pessoal', '#ec4899', 'User', ['Roupas', 'Estética', 'Academia', 'Farmácia']],
+    ['Serviços', '#6366f1', 'Briefcase', ['Seguros', 'Bancos', 'Contador']],
+    ['Outros', '#64748b', 'Tag', ['Presentes', 'Imprevistos']],
+  ],
+  income: [
+    ['Salário', '#10b981', 'Wallet', ['Mensal', 'Adiantamento', '13º', 'Férias', 'Bônus']],
+    ['Extra', '#3b82f6', 'Coins', ['Freelance', 'Vendas', 'Investimentos']],
+  ],
+};
+
+async function seedCategories(db, householdId) {
+  for (const type of Object.keys(DEFAULT_CATEGORIES)) {
+    for (const [index, [name, color, icon, subcategories]] of DEFAULT_CATEGORIES[type].entries()) {
+      const r = await db.query(
+        `INSERT INTO categories (household_id, type, name, color, icon, position)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+        [householdId, type, name, color, icon, index]
+      );
+      await db.query(
+        `INSERT INTO categories (household_id, parent_id, type, name, position)
+         SELECT $1, $2, $3, s.name, s.position - 1 FROM UNNEST($4::text[]) WITH ORDINALITY AS s(name, position)`,
+        [householdId, r.rows[0].id, type, subcategories]
+      );
+    }
+  }
+}
+
+function formatCategory(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    type: row.type,
+    name: row.name,
+    color: row.color,
+    icon: row.icon,
+    archived: row.archived,
+    position: row.position,
+    ...rowVersion(row),
+  };
+}
+
+// Locks the category for the rest of the transaction; parent_name is set for subcategories.
+async function lockCategory(db, householdId, categoryId) {
+  const r = await db.query(
+    `SELECT c.*, p.name AS parent_name FROM categories c
+     LEFT JOIN categories p ON p.id = c.parent_id
+     WHERE c.id=$1 AND c.household_id=$2 FOR UPDATE OF c`,
+    [categoryId, householdId]
+  );
+  return r.rows[0] || null;
+}
+
+// { category, subcategory } names a category row as transactions store it.
+function categoryRef(row) {
+  if (row.parent_id) return { category: row.parent_name, subcategory: row.name };
+  return { category: row.name, subcategory: null };
+}
+
+// Sends budget rows to the trash, limits and all, the way DELETE /api/budgets/:category does.
+async function trashBudgets(db, req, rows) {
+  if (rows.length === 0) return;
+  await db.query('UPDATE budgets SET deleted_at=NOW() WHERE id = ANY($1)', [rows.map((row) => row.id)]);
+  await writeAudit(db, req, 'budgets', 'delete', rows.map((row) => ({ id: row.id, before: row })));
+}
+
+/*
+ * Points everything that uses `from` at `to`. Moving a top-level category keeps
+ * each row's subcategory. Budgets only exist for top-level expense categories;
+ * when both names have one, the target's budget wins and the other goes to the
+ * trash. Trashed budgets follow too, so they come back under a name that exists.
+ */
+async function moveCategoryReferences(db, req, type, from, to) {
+  const { householdId } = req;
+  const tables = ['transactions', 'recurring_rules', 'import_rules'];
+  for (const table of tables) {
+    // Import rules without a type apply to both, so they follow either side.
+    const typeMatch = table === 'import_rules' ? '(type=$2 OR type IS NULL)' : 'type=$2';
+    if (from.subcategory === null) {
+      await db.query(`UPDATE ${table} SET category=$4 WHERE household_id=$1 AND ${typeMatch} AND category=$3`, [
+        householdId,
+        type,
+        from.category,
+        to.category,
+      ]);
+    } else {
+      await db.query(
+        `UPDATE ${table} SET category=$5, subcategory=$6
+         WHERE household_id=$1 AND ${typeMatch} AND category=$3 AND subcategory=$4`,
+        [householdId, type, from.category, from.subcategory, to.category, to.subcategory]
+      );
+    }
+  }
+  if (from.subcategory === null) {
+    await db.query(
+      `UPDATE transaction_splits s SET category=$4 FROM transactions t
+       WHERE t.id=s.transaction_id AND t.household_id=$1 AND t.type=$2 AND s.category=$3`,
+      [householdId, type, from.category, to.category]
+    );
+  } else {
+    await db.query(
+      `UPDATE transaction_splits s SET category=$5, subcategory=$6 FROM transactions t
+       WHERE t.id=s.transaction_id AND t.household_id=$1 AND t.type=$2 AND s.category=$3 AND s.subcategory=$4`,
+      [householdId, type, from.category, from.subcategory, to.category, to.subcategory]
+    );
+  }
+
+  if (type === 'expense' && from.subcategory === null) {
+    const clash = await db.query(
+      `SELECT to_jsonb(b) AS row FROM budgets b WHERE household_id=$1 AND category=$2 AND deleted_at IS NULL
+       AND EXISTS (SELECT 1 FROM budgets WHERE household_id=$1 AND category=$3 AND deleted_at IS NULL)
+       FOR UPDATE`,
+      [householdId, from.category, to.category]
+    );
+    await trashBudgets(db, req, clash.rows.map((r) => r.row));
+    await db.query('UPDATE budgets SET category=$3 WHERE household_id=$1 AND category=$2', [
+      householdId,
+      from.category,
+      to.category,
+    ]);
+  }
+}
+
+async function categoryInUse(db, householdId, row) {
+  const { category, subcategory } = categoryRef(row);
+  const r = await db.query(
+    `SELECT 1 FROM transactions
+     WHERE household_id=$1 AND type=$2 AND category=$3 AND ($4::text IS NULL OR subcategory=$4)
+       AND deleted_at IS NULL
+     UNION ALL
+     SELECT 1 FROM transaction_splits s JOIN transactions t ON t.id=s.transaction_id
+     WHERE t.household_id=$1 AND t.type=$2 AND s.category=$3 AND ($4::text IS NULL OR s.subcategory=$4)
+       AND t.deleted_at IS NULL
+     UNION ALL
+     SELECT 1 FROM recurring_rules
+     WHERE household_id=$1 AND type=$2 AND category=$3 AND ($4::text IS NULL OR subcategory=$4)
+     LIMIT 1`,
+    [householdId, row.type, category, subcategory]
+  );
+  return r.rows.length > 0;
+}
+
+// GET /api/categories -> top-level categories (archived included) with their subcategories
+app.get('/api/categories', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM categories WHERE household_id=$1 ORDER BY position, LOWER(name), id', [
+      req.householdId,
+    ]);
+    const parents = r.rows
+      .filter((row) => !row.parent_id)
+      .map((row) => ({ ...formatCategory(row), subcategories: [] }));
+    const byId = new Map(parents.map((parent) => [parent.id, parent]));
+    for (const row of r.rows) {
+      if (row.parent_id && byId.has(row.parent_id)) byId.get(row.parent_id).subcategories.push(formatCategory(row));
+    }
+    res.json(parents);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/categories', requireUserId, validate(schemas.category), async (req, res) => {
+  const { name, type, parentId, color, icon, archived, position } = req.body;
+  try {
+    if (parentId) {
+      const p = await pool.query('SELECT type, parent_id FROM categories WHERE id=$1 AND household_id=$2', [
+        parentId,
+        req.householdId,
+      ]);
+      const parent = p.rows[0];
+      if (!parent) return res.status(404).json({ error: 'parent_not_found' });
+      if (parent.parent_id) return res.status(400).json({ error: 'nested_subcategory' });
+      if (parent.type !== type) return res.status(400).json({ error: 'category_type_mismatch' });
+    }
+
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        `INSERT INTO categories (household_id, parent_id, type, name, color, icon, archived, position)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+        [req.householdId, parentId || null, type, name, color, icon, archived, position]
+      );
+      await logChange(db, req, 'categories', [r.rows[0].id], 'create');
+      return r.rows[0].id;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'category_exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Type and parent can't change; a new name is applied to every transaction, rule and budget using the old one.
+app.put('/api/categories/:id', requireUserId, validateId, validate(schemas.categoryUpdate), async (req, res) => {
+  const { name, color, icon, archived, position, version } = req.body;
+  try {
+    const result = await withTransaction(async (db) => {
+      const row = await lockCategory(db, req.householdId, req.params.id);
+      if (!row) return { status: 404, body: { error: 'not_found' } };
+      const conflict = versionConflict(row, version);
+      if (conflict) return { status: 409, body: conflict };
+      const before = await auditRows(db, 'categories', [row.id]);
+
+      const u = await db.query(
+        'UPDATE categories SET name=$1, color=$2, icon=$3, archived=$4, position=$5 WHERE id=$6 RETURNING version',
+        [name, color, icon, archived, position, row.id]
+      );
+      if (name !== row.name) {
+        const from = categoryRef(row);
+        await moveCategoryReferences(db, req, row.type, from, categoryRef({ ...row, name }));
+      }
+      await logChange(db, req, 'categories', [row.id], 'update', before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'category_exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Categories still used by transactions or recurring rules must be archived or merged instead.
+app.delete('/api/categories/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const row = await lockCategory(db, req.householdId, req.params.id);
+      if (!row) return 'not_found';
+      if (await categoryInUse(db, req.householdId, row)) return 'category_in_use';
+
+      const before = await auditRows(db, 'categories', [row.id]);
+      if (!row.parent_id && row.type === 'expense') {
+        const budget = await lockBudget(db, req.householdId, row.name);
+        if (budget) await trashBudgets(db, req, [budget]);
+      }
+      await db.query('DELETE FROM categories WHERE id=$1', [row.id]);
+      await logChange(db, req, 'categories', [row.id], 'delete', before);
+      return null;
+    });
+    if (result === 'not_found') return res.status(404).json({ error: result });
+    if (result) return res.status(409).json({ error: result });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/categories/:id/merge { targetId }
+ * Moves everything from this category into the target (same type and level)
+ * and deletes it. Subcategories of a merged top-level category move under the
+ * target, folding into any it already has with the same name.
+ */
+app.post(
+  '/api/categories/:id/merge',
+  requireUserId,
+  validateId,
+  validate(schemas.categoryMerge),
+  async (req, res) => {
+    const { targetId } = req.body;
+    if (targetId === req.params.id) return res.status(400).json({ error: 'invalid_merge' });
+
+    try {
+      const result = await withTransaction(async (db) => {
+        // Lock in id order so two opposite merges can't deadlock.
+        const [first, second] = [req.params.id, targetId].sort((a, b) => a - b);
+        const locked = { [first]: await lockCategory(db, req.householdId, first) };
+        locked[second] = await lockCategory(db, req.householdId, second);
+        const source = locked[req.params.id];
+        const target = locked[targetId];
+        if (!source || !target) return 'not_found';
+        if (source.type !== target.type || !source.parent_id !== !target.parent_id) return 'invalid_merge';
+
+        const before = await auditRows(db, 'categories', [source.id]);
+        await moveCategoryReferences(db, req, source.type, categoryRef(source), categoryRef(target));
+        if (!source.parent_id) {
+          await db.query(
+            `UPDATE categories c SET parent_id=$2 WHERE c.parent_id=$1 AND NOT EXISTS (
+               SELECT 1 FROM categories t WHERE t.parent_id=$2 AND LOWER(t.name)=LOWER(c.name)
+             )`,
+            [source.id, target.id]
+          );
+        }
+        await db.query('DELETE FROM categories WHERE id=$1', [source.id]);
+        await writeAudit(db, req, 'categories', 'merge', [
+          { id: source.id, before: before.get(source.id), extra: { mergedInto: { from: null, to: target.id } } },
+        ]);
+        return null;
+      });
+      if (result === 'not_found') return res.status(404).json({ error: result });
+      if (result) return res.status(400).json({ error: result });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Transactions (multi-user)
+ * --------------------
+ * memberId is the household member who spent (or received) it, null for the
+ * household as a whole. Imports are the importing member's; recurring posts and
+ * reconciliation adjustments have none.
+ *
+ * `splits` divides an income or expense into lines with their own category and
+ * amount, adding up to the total to the cent; the transaction takes the first
+ * line's category. Sums by category read the lines (TRANSACTION_LINES_SQL).
+ * `tags` are free-form labels, lowercase. Receipts are attachments (see below).
+ */
+/*
+ * GET /api/transactions
+ *
+ * Filters (all optional): from, to (inclusive dates), type, category, subcategory,
+ * paymentMethod, cardId, accountId (either side of a transfer), isRecurring,
+ * minAmount, maxAmount, q (description search), memberId, currency, tag.
+ * A split transaction matches category / subcategory on any of its lines.
+ * sort: date_desc (default, served by idx_transactions_user_date) | date_asc | amount_desc | amount_asc.
+ *
+ * Keyset pagination: pass back `nextCursor` as `cursor` with the same filters
+ * and sort to get the following page. `total` and `totals` cover every row
+ * matching the filters, not just the current page.
+ *
+ *   { items: [...], total: 120, totals: { income, expense }, nextCursor: '...' | null }
+ */
+const TRANSACTION_SORTS = {
+  date_desc: { column: 'date', cast: 'date', direction: 'DESC' },
+  date_asc: { column: 'date', cast: 'date', direction: 'ASC' },
+  amount_desc: { column: 'amount', cast: 'numeric', direction: 'DESC' },
+  amount_asc: { column: 'amount', cast: 'numeric', direction: 'ASC' },
+};
+
+function formatTransaction(row) {
+  return {
+    id: row.id,
+    description: row.description,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    ...(row.base_amount !== undefined ? { baseAmount: parseFloat(row.base_amount) } : {}),
+    type: row.type,
+    category: row.category,
+    subcategory: row.subcategory,
+    date: row.date.toISOString().split('T')[0],
+    paymentMethod: row.payment_method,
+    isRecurring: row.is_recurring,
+    cardId: row.card_id,
+    accountId: row.account_id,
+    transferAccountId: row.transfer_account_id,
+    memberId: row.member_id,
+    recurringRuleId: row.recurring_rule_id,
+    installment: row.installment_group
+      ? { group: row.installment_group, number: row.installment_number, count: row.installment_count }
+      : null,
+    tags: row.tags,
+    clientId: row.client_id,
+    ...(row.splits !== undefined ? { splits: row.splits.map(formatSplit) } : {}),
+    ...(row.attachments !== undefined ? { attachments: row.attachments.map(formatAttachment) } : {}),
+    ...rowVersion(row),
+  };
+}
+
+function formatSplit(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    subcategory: row.subcategory,
+    amount: parseFloat(row.amount),
+  };
+}
+
+// Adds `splits` and `attachments` to transaction rows, so formatTransaction lists them.
+async function loadTransactionDetails(db, rows) {
+  const ids = rows.map((row) => row.id);
+  const [splits, attachments] = await Promise.all([
+    db.query('SELECT * FROM transaction_splits WHERE transaction_id = ANY($1::int[]) ORDER BY position', [ids]),
+    db.query('SELECT * FROM attachments WHERE transaction_id = ANY($1::int[]) ORDER BY id', [ids]),
+  ]);
+  const byId = new Map(rows.map((row) => [row.id, Object.assign(row, { splits: [], attachments: [] })]));
+  for (const split of splits.rows) byId.get(split.transaction_id).splits.push(split);
+  for (const attachment of attachments.rows) byId.get(attachment.transaction_id).attachments.push(attachment);
+  return rows;
+}
+
+// The cursor carries the sort it was issued for plus the (sort value, id) of the last row returned.
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(raw, sort) {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (!cursor || cursor.s !== sort || !Number.isInteger(cursor.id)) return null;
+    const valid = TRANSACTION_SORTS[sort].column === 'date'
+      ? isValidDate(cursor.v)
+      : typeof cursor.v === 'string' && /^\d+(\.\d+)?$/.test(cursor.v);
+    return valid ? cursor : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/*
+ * The household's ($1) transactions as category lines: a split transaction becomes one row per line, with
+ * the line's category, subcategory and amount, the others stay as they are. Sums by category read this in
+ * place of the transactions table (`FROM ${TRANSACTION_LINES_SQL}`); sums of everything come out the same.
+ */
+const TRANSACTION_LINES_SQL = `(
+  SELECT l.* FROM transactions t
+  JOIN transaction_splits s ON s.transaction_id = t.id
+  CROSS JOIN LATERAL jsonb_populate_record(t, jsonb_build_object(
+    'category', s.category, 'subcategory', s.subcategory, 'amount', s.amount
+  )) l
+  WHERE t.household_id = $1
+  UNION ALL
+  SELECT * FROM transactions t
+  WHERE t.household_id = $1 AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+) transactions`;
+
+// -> { where, params } for `query`. `lines`: the conditions are for TRANSACTION_LINES_SQL rows.
+function transactionFilters(householdId, query, lines = false) {
+  const where = ['household_id=$1', 'deleted_at IS NULL'];
+  const params = [householdId];
+  const add = (condition, value) => {
+    params.push(value);
+    where.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (query.from) add('date >= ?', query.from);
+  if (query.to) add('date <= ?', query.to);
+  if (query.type) add('type = ?', query.type);
+  if (query.category || query.subcategory) {
+    const match = [];
+    for (const column of ['category', 'subcategory']) {
+      if (!query[column]) continue;
+      params.push(query[column]);
+      match.push(`${column} = $${params.length}`);
+    }
+    // A whole transaction also matches on any of its lines.
+    const own = match.join(' AND ');
+    const line = match.map((condition) => `s.${condition}`).join(' AND ');
+    where.push(
+      lines
+        ? own
+        : `((${own}) OR EXISTS (
+            SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id AND ${line}
+          ))`
+    );
+  }
+  if (query.paymentMethod) add('payment_method = ?', query.paymentMethod);
+  if (query.cardId) add('card_id = ?', query.cardId);
+  if (query.accountId) add('? IN (account_id, transfer_account_id)', query.accountId);
+  if (query.isRecurring !== null) add('is_recurring = ?', query.isRecurring);
+  if (query.minAmount !== null) add('amount >= ?', query.minAmount);
+  if (query.maxAmount !== null) add('amount <= ?', query.maxAmount);
+  if (query.q) add('description ILIKE ?', `%${escapeLike(query.q)}%`);
+  if (query.memberId) add('member_id = ?', query.memberId);
+  if (query.currency) add('currency = ?', query.currency);
+  if (query.tag) add('tags @> ARRAY[?::varchar]', normalizeTag(query.tag));
+  return { where, params };
+}
+
+app.get('/api/transactions', requireUserId, validate(schemas.transactionQuery, 'query'), async (req, res) => {
+  try {
+    const query = req.query;
+    const sort = TRANSACTION_SORTS[query.sort];
+    const { where, params } = transactionFilters(req.householdId, query);
+
+    const pageWhere = [...where];
+    const pageParams = [...params];
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor, query.sort);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'cursor', code: 'invalid_cursor', message: 'Cursor inválido' }],
+        });
+      }
+      pageParams.push(cursor.v, cursor.id);
+      const op = sort.direction === 'DESC' ? '<' : '>';
+      const [valueParam, idParam] = [pageParams.length - 1, pageParams.length];
+      pageWhere.push(`(${sort.column}, id) ${op} ($${valueParam}::${sort.cast}, $${idParam}::int)`);
+    }
+    pageParams.push(query.limit + 1);
+
+    const [page, summary] = await Promise.all([
+      pool.query(
+        `SELECT *, ${baseAmountSql()} AS base_amount FROM transactions WHERE ${pageWhere.join(' AND ')}
+         ORDER BY ${sort.column} ${sort.direction}, id ${sort.direction}
+         LIMIT $${pageParams.length}`,
+        pageParams
+      ),
+      pool.query(
+        `SELECT COUNT(*)::int AS total,
+                COALESCE(SUM(${baseAmountSql()}) FILTER (WHERE type='income'), 0) AS income,
+                COALESCE(SUM(${baseAmountSql()}) FILTER (WHERE type='expense'), 0) AS expense
+         FROM transactions WHERE ${where.join(' AND ')}`,
+        params
+      ),
+    ]);
+
+    const rows = await loadTransactionDetails(pool, page.rows.slice(0, query.limit));
+    const items = rows.map(formatTransaction);
+    let nextCursor = null;
+    if (page.rows.length > query.limit) {
+      const last = rows[rows.length - 1];
+      const lastValue = sort.column === 'date' ? items[items.length - 1].date : last.amount;
+      nextCursor = encodeCursor(query.sort, lastValue, last.id);
+    }
+
+    res.json({
+      items,
+      total: summary.rows[0].total,
+      totals: { income: parseFloat(summary.rows[0].income), expense: parseFloat(summary.rows[0].expense) },
+      nextCursor,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Splits `amount` into `count` installments to the cent; the first one absorbs the rounding.
+function splitInstallments(amount, count) {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / count);
+  return Array.from({ length: count }, (_, i) => (base + (i === 0 ? cents - base * count : 0)) / 100);
+}
+
+/*
+ * `splits` ([{ category, subcategory, amount }], optional) as req.splits, [] without. Runs before
+ * validate(schemas.transaction), which keeps only its own fields; splitsError checks them against the rest.
+ */
+function validateSplits(req, res, next) {
+  const splits = req.body && req.body.splits;
+  if (splits === undefined || splits === null || (Array.isArray(splits) && splits.length === 0)) {
+    req.splits = [];
+    return next();
+  }
+  if (!Array.isArray(splits) || splits.length < 2 || splits.length > TRANSACTION_MAX_SPLITS) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'splits', code: 'invalid_type', message: `Divida em 2 a ${TRANSACTION_MAX_SPLITS} linhas` }],
+    });
+  }
+  const value = [];
+  const errors = [];
+  splits.forEach((split, i) => {
+    const result = validateObject(schemas.transactionSplit, split);
+    result.errors.forEach((e) => errors.push({ ...e, field: `splits[${i}].${e.field}` }));
+    value.push(result.value);
+  });
+  if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+  req.splits = value;
+  next();
+}
+
+// -> the field error when `splits` don't fit the transaction `body`, else null.
+function splitsError(body, splits) {
+  if (splits.length === 0) return null;
+  if (body.type === 'transfer') {
+    return { field: 'splits', code: 'not_allowed', message: 'Transferências não podem ser divididas' };
+  }
+  if (body.installments > 1) {
+    return { field: 'splits', code: 'not_allowed', message: 'Compras parceladas não podem ser divididas' };
+  }
+  const cents = splits.reduce((acc, split) => acc + Math.round(split.amount * 100), 0);
+  if (cents !== Math.round(body.amount * 100)) {
+    return {
+      field: 'splits',
+      code: 'split_mismatch',
+      message: `As linhas somam ${(cents / 100).toFixed(2)}, mas o valor é ${body.amount.toFixed(2)}`,
+    };
+  }
+  return null;
+}
+
+// Replaces the transaction's split lines, logging them only when they changed. -> whether they did
+async function saveSplits(db, req, transactionId, splits) {
+  const old = await db.query(
+    'SELECT id, to_jsonb(s) AS row FROM transaction_splits s WHERE transaction_id=$1 ORDER BY position',
+    [transactionId]
+  );
+  const unchanged =
+    old.rows.length === splits.length &&
+    old.rows.every(
+      ({ row }, i) =>
+        row.category === splits[i].category &&
+        row.subcategory === splits[i].subcategory &&
+        Number(row.amount) === splits[i].amount
+    );
+  if (unchanged) return false;
+
+  await db.query('DELETE FROM transaction_splits WHERE transaction_id=$1', [transactionId]);
+  await writeAudit(db, req, 'transaction_splits', 'delete', old.rows.map(({ id, row }) => ({ id, before: row })));
+  const created = [];
+  for (const [i, split] of splits.entries()) {
+    const r = await db.query(
+      `INSERT INTO transaction_splits (transaction_id, position, category, subcategory, amount)
+       VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+      [transactionId, i + 1, split.category, split.subcategory, split.amount]
+    );
+    created.push(r.rows[0].id);
+  }
+  await logChange(db, req, 'transaction_splits', created, 'create');
+  return true;
+}
+
+// The checks a transaction body goes through, in order (also run for the changes POST /api/sync replays).
+const transactionChecks = [
+  validateSplits,
+  validate(schemas.transaction),
+  validateAccountLinks,
+  validateCurrency,
+  validateMember,
+];
+
+// -> the field error when `installments` don't fit the transaction `body`, else null.
+function installmentsError(body) {
+  if (body.installments > 1 && (body.paymentMethod !== 'credit_card' || !body.cardId || body.type !== 'expense')) {
+    return { field: 'installments', code: 'requires_credit_card', message: 'Parcelamento só no cartão de crédito' };
+  }
+  return null;
+}
+
+/*
+ * Inserts the transaction in `body` (checked by transactionChecks) with lines `splits`: one row, or one per
+ * installment. `clientId` goes on the first. -> { ids, installmentGroup }
+ */
+async function createTransactions(db, req, body, splits, clientId = null) {
+  const { description, amount, type, date, paymentMethod, isRecurring, cardId, tags } = body;
+  const { installments, accountId, transferAccountId, memberId, currency } = body;
+  const { category, subcategory } = splits[0] || body;
+  const group = installments > 1 ? crypto.randomUUID() : null;
+  const day = Number(date.slice(8));
+  const ids = [];
+  const amounts = splitInstallments(amount, installments);
+  for (let i = 0; i < installments; i++) {
+    const result = await db.query(
+      `INSERT INTO transactions
+        (household_id, description, amount, type, category, subcategory, date, payment_method, is_recurring,
+         card_id, installment_group, installment_number, installment_count, account_id, transfer_account_id,
+         member_id, currency, tags, client_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+       RETURNING id`,
+      [
+        req.householdId,
+        description,
+        amounts[i],
+        type,
+        category,
+        subcategory,
+        i === 0 ? date : dayOfMonth(addMonths(date.slice(0, 7), i), day),
+        paymentMethod,
+        isRecurring,
+        cardId,
+        group,
+        group ? i + 1 : null,
+        group ? installments : null,
+        accountId,
+        transferAccountId,
+        memberId,
+        currency,
+        tags,
+        i === 0 ? clientId : null,
+      ]
+    );
+    ids.push(result.rows[0].id);
+  }
+  await logChange(db, req, 'transactions', ids, 'create');
+  await saveSplits(db, req, ids[0], splits);
+  return { ids, installmentGroup: group };
+}
+
+// Replaces transaction `id` with `body` and lines `splits`. -> { status, body } (as lockForUpdate when it can't)
+async function updateTransaction(db, req, id, body, splits) {
+  const { description, amount, type, date, paymentMethod, isRecurring, cardId, tags } = body;
+  const { accountId, transferAccountId, memberId, currency, version } = body;
+  const { category, subcategory } = splits[0] || body;
+
+  const lock = await lockForUpdate(db, 'transactions', id, req.householdId, version);
+  if (!lock.before) return lock;
+  const updated = await db.query(
+    `UPDATE transactions
+     SET description=$1, amount=$2, type=$3, category=$4, subcategory=$5, date=$6,
+         payment_method=$7, is_recurring=$8, card_id=$9, account_id=$10, transfer_account_id=$11,
+         member_id=$12, currency=$13, tags=$14
+     WHERE id=$15 RETURNING version`,
+    [
+      description,
+      amount,
+      type,
+      category,
+      subcategory,
+      date,
+      paymentMethod,
+      isRecurring,
+      cardId,
+      accountId,
+      transferAccountId,
+      memberId,
+      currency,
+      tags,
+      id,
+    ]
+  );
+  await logChange(db, req, 'transactions', [id], 'update', lock.before);
+  if (await saveSplits(db, req, id, splits)) {
+    // New lines alone are an edit too. CURRENT_TIMESTAMP is the transaction's: no second bump after the UPDATE.
+    const touched = await db.query(
+      'UPDATE transactions SET updated_at=CURRENT_TIMESTAMP WHERE id=$1 RETURNING version',
+      [id]
+    );
+    return { status: 200, body: { success: true, version: touched.rows[0].version } };
+  }
+  return { status: 200, body: { success: true, version: updated.rows[0].version } };
+}
+
+// Moves transaction `id` to the trash (see Trash below). -> { status, body }
+async function trashTransaction(db, req, id, version = null) {
+  const lock = await lockForUpdate(db, 'transactions', id, req.householdId, version);
+  if (!lock.before) return lock;
+  await db.query('UPDATE transactions SET deleted_at=NOW() WHERE id=$1', [id]);
+  await logChange(db, req, 'transactions', [id], 'delete', lock.before);
+  return { status: 200, body: { success: true, id: Number(id) } };
+}
+
+/*
+ * POST /api/transactions
+ * `installments: N` (credit_card only) stores a purchase as N transactions a
+ * month apart sharing an installment group, so each lands in its own statement.
+ * It can't be split as well. With a clientId already used in the household, it
+ * answers with the transaction created then.
+ */
+app.post('/api/transactions', requireUserId, transactionChecks, async (req, res) => {
+  const fieldError = installmentsError(req.body) || splitsError(req.body, req.splits);
+  if (fieldError) return res.status(400).json({ error: 'validation_error', fields: [fieldError] });
+
+  try {
+    const { ids, installmentGroup } = await withTransaction(async (db) => {
+      const { clientId } = req.body;
+      const existing = clientId && (await syncTarget(db, req.householdId, { clientId }));
+      if (existing) return { ids: [existing], installmentGroup: null };
+      return createTransactions(db, req, req.body, req.splits, clientId);
+    });
+    res.json({ success: true, id: ids[0], ...(installmentGroup ? { ids, installmentGroup } : {}) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// PUT /api/transactions/:id replaces it whole: leaving `splits` or `tags` out clears them.
+app.put('/api/transactions/:id', requireUserId, validateId, transactionChecks, async (req, res) => {
+  const splitError = splitsError(req.body, req.splits);
+  if (splitError) return res.status(400).json({ error: 'validation_error', fields: [splitError] });
+
+  try {
+    const result = await withTransaction((db) => updateTransaction(db, req, req.params.id, req.body, req.splits));
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Moves the transaction to the trash (see Trash below).
+app.delete('/api/transactions/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction((db) => trashTransaction(db, req, req.params.id));
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// GET /api/tags -> [{ tag, count }] the household's tags, most used first (suggestions while typing)
+app.get('/api/tags', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT tag, COUNT(*)::int AS count FROM transactions, UNNEST(tags) AS tag
+       WHERE household_id=$1 AND deleted_at IS NULL
+       GROUP BY tag ORDER BY count DESC, tag`,
+      [req.householdId]
+    );
+    res.json(r.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Attachments (multi-user)
+ * --------------------
+ * Files kept with a transaction, such as receipt photos and PDFs. They are
+ * uploaded as JSON ({ filename, content: base64 }), up to ATTACHMENT_MAX_MB
+ * each, and their type comes from their first bytes, never from the name.
+ * Any member of the household can download them; viewers can't add or remove
+ * them. The bytes live in attachmentStorage and the rows only describe them.
+ * Deleting a transaction or household for good removes its files once the
+ * delete commits (deleteAttachments); the trash purge also sweeps files no row
+ * points to, such as uploads whose transaction rolled back.
+ */
+const ATTACHMENTS_PER_TRANSACTION = 10;
+const ATTACHMENT_ORPHAN_HOURS = 1; // a file without a row this young may be an upload still committing
+
+// Accepted content types by their signature; `head` is the first 16 bytes as latin1.
+const ATTACHMENT_TYPES = {
+  'image/jpeg': (head) => head.startsWith('\xff\xd8\xff'),
+  'image/png': (head) => head.startsWith('\x89PNG\r\n\x1a\n'),
+  'image/webp': (head) => head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP',
+  'image/heic': (head) => head.slice(4, 8) === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(head.slice(8, 12)),
+  'application/pdf': (head) => head.startsWith('%PDF-'),
+};
+
+function sniffContentType(buffer) {
+  const head = buffer.toString('latin1', 0, 16);
+  return Object.keys(ATTACHMENT_TYPES).find((type) => ATTACHMENT_TYPES[type](head)) || null;
+}
+
+/*
+ * Attachment storage on local disk. Any backend with the same methods can stand in for it:
+ *   put(key, buffer), get(key) -> Buffer | null, delete(key) (a missing file is fine), list() -> [{ key, modifiedAt }]
+ * Keys are made here (UUIDs); files are spread over subdirectories by their first two characters.
+ */
+function localDiskStorage(dir) {
+  const file = (key) => path.join(dir, key.slice(0, 2), key);
+  const missing = (err) => err.code === 'ENOENT';
+  return {
+    async put(key, buffer) {
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive: true });
+      // Written aside and renamed, so a file under its key is always whole.
+      await fs.promises.writeFile(`${file(key)}.tmp`, buffer, { flag: 'wx' });
+      await fs.promises.rename(`${file(key)}.tmp`, file(key));
+    },
+    async get(key) {
+      return fs.promises.readFile(file(key)).catch((err) => (missing(err) ? null : Promise.reject(err)));
+    },
+    async delete(key) {
+      await fs.promises.unlink(file(key)).catch((err) => (missing(err) ? null : Promise.reject(err)));
+    },
+    async list() {
+      const files = [];
+      const subdirs = await fs.promises.readdir(dir).catch((err) => (missing(err) ? [] : Promise.reject(err)));
+      for (const subdir of subdirs) {
+        for (const key of await fs.promises.readdir(path.join(dir, subdir))) {
+          const stat = await fs.promises.stat(path.join(dir, subdir, key));
+          files.push({ key, modifiedAt: stat.mtime });
+        }
+      }
+      return files;
+    },
+  };
+}
+
+const attachmentStorage = localDiskStorage(attachmentsDir);
+
+function formatAttachment(row) {
+  return {
+    id: row.id,
+    transactionId: row.transaction_id,
+    filename: row.filename,
+    contentType: row.content_type,
+    size: row.size,
+    sha256: row.sha256,
+    uploadedBy: row.uploaded_by,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// A name safe to send back in headers and to save under: no directories, no control characters.
+function attachmentFilename(raw) {
+  const name = raw.split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f"]/g, '').trim();
+  return name || 'arquivo';
+}
+
+// Scheduler (with the trash purge): removes stored files no attachment row points to. -> number removed
+async function sweepAttachments() {
+  const cutoff = Date.now() - ATTACHMENT_ORPHAN_HOURS * 60 * 60 * 1000;
+  const files = (await attachmentStorage.list()).filter((f) => f.modifiedAt.getTime() < cutoff);
+  if (files.length === 0) return 0;
+  const r = await pool.query('SELECT storage_key FROM attachments WHERE storage_key = ANY($1)', [
+    files.map((f) => f.key),
+  ]);
+  const kept = new Set(r.rows.map((row) => row.storage_key));
+  const orphans = files.filter((f) => !kept.has(f.key));
+  for (const f of orphans) await attachmentStorage.delete(f.key);
+  return orphans.length;
+}
+
+/*
+ * The attachments of the transactions `where` selects (as t), deleted now and their files once the
+ * transaction commits. Hard deletes of transactions and households call it first: their ON DELETE
+ * CASCADE would drop the rows and leave the files behind. -> number deleted
+ */
+async function deleteAttachments(db, where, params) {
+  const d = await db.query(
+    `DELETE FROM attachments WHERE transaction_id IN (SELECT id FROM transactions t WHERE ${where})
+     RETURNING storage_key`,
+    params
+  );
+  const keys = d.rows.map((row) => row.storage_key);
+  // withRollback (dry runs) has no afterCommit: the rows come back, so the files stay.
+  if (keys.length > 0 && db.afterCommit) {
+    db.afterCommit.push(() =>
+      Promise.all(keys.map((key) => attachmentStorage.delete(key))).catch((err) => console.error(err))
+    );
+  }
+  return d.rowCount;
+}
+
+// GET /api/transactions/:id/attachments -> [attachment]
+app.get('/api/transactions/:id/attachments', requireUserId, validateId, async (req, res) => {
+  try {
+    const t = await pool.query('SELECT 1 FROM transactions WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL', [
+      req.params.id,
+      req.householdId,
+    ]);
+    if (t.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+    const r = await pool.query('SELECT * FROM attachments WHERE transaction_id=$1 ORDER BY id', [req.params.id]);
+    res.json(r.rows.map(formatAttachment));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// POST /api/transactions/:id/attachments { filename, content } -> attachment
+app.post(
+  '/api/transactions/:id/attachments',
+  requireUserId,
+  validateId,
+  validate(schemas.attachmentUpload),
+  async (req, res) => {
+    const fieldError = (code, message) =>
+      res.status(400).json({ error: 'validation_error', fields: [{ field: 'content', code, message }] });
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(req.body.content)) return fieldError('invalid_type', 'Base64 inválido');
+    const content = Buffer.from(req.body.content, 'base64');
+    if (content.length > attachmentMaxBytes) {
+      return fieldError('too_large', `Máximo de ${+(attachmentMaxBytes / 1024 / 1024).toFixed(1)} MB por arquivo`);
+    }
+    const contentType = sniffContentType(content);
+    if (!contentType) return fieldError('unsupported_type', 'Envie uma foto (JPEG, PNG, WebP, HEIC) ou um PDF');
+
+    // The file goes first: a row never points to nothing, and a file left without one is swept later.
+    const key = crypto.randomUUID();
+    try {
+      await attachmentStorage.put(key, content);
+      const result = await withTransaction(async (db) => {
+        const lock = await lockForUpdate(db, 'transactions', req.params.id, req.householdId);
+        if (!lock.before) return lock;
+        const c = await db.query('SELECT COUNT(*)::int AS count FROM attachments WHERE transaction_id=$1', [
+          req.params.id,
+        ]);
+        if (c.rows[0].count >= ATTACHMENTS_PER_TRANSACTION) {
+          const message = `Máximo de ${ATTACHMENTS_PER_TRANSACTION} anexos por transação`;
+          const fields = [{ field: 'content', code: 'too_many', message }];
+          return { status: 400, body: { error: 'validation_error', fields } };
+        }
+        const r = await db.query(
+          `INSERT INTO attachments
+             (household_id, transaction_id, storage_key, filename, content_type, size, sha256, uploaded_by)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+          [
+            req.householdId,
+            req.params.id,
+            key,
+            attachmentFilename(req.body.filename),
+            contentType,
+            content.length,
+            crypto.createHash('sha256').update(content).digest('hex'),
+            req.userId,
+          ]
+        );
+        await logChange(db, req, 'attachments', [r.rows[0].id], 'create');
+        return { status: 200, body: formatAttachment(r.rows[0]) };
+      });
+      if (result.status !== 200) await attachmentStorage.delete(key);
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error(err);
+      await attachmentStorage.delete(key).catch(() => {});
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// The household's attachment `id`, unless its transaction is in the trash.
+async function findAttachment(db, id, householdId) {
+  const r = await db.query(
+    `SELECT a.* FROM attachments a JOIN transactions t ON t.id=a.transaction_id
+     WHERE a.id=$1 AND a.household_id=$2 AND t.deleted_at IS NULL`,
+    [id, householdId]
+  );
+  return r.rows[0] || null;
+}
+
+// GET /api/attachments/:id -> the file
+app.get('/api/attachments/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const attachment = await findAttachment(pool, req.params.id, req.householdId);
+    const content = attachment && (await attachmentStorage.get(attachment.storage_key));
+    if (!content) return res.status(404).json({ error: 'not_found' });
+    const fallback = attachment.filename.replace(/[^\x20-\x7e]/g, '_');
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+    );
+    // Uploaded content: never sniffed into something else, never run as a page.
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(content);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// DELETE /api/attachments/:id -> removes the row now and the file right after
+app.delete('/api/attachments/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const attachment = await withTransaction(async (db) => {
+      const found = await findAttachment(db, req.params.id, req.householdId);
+      if (!found) return null;
+      const before = await auditRows(db, 'attachments', [found.id]);
+      await db.query('DELETE FROM attachments WHERE id=$1', [found.id]);
+      await logChange(db, req, 'attachments', [found.id], 'delete', before);
+      return found;
+    });
+    if (!attachment) return res.status(404).json({ error: 'not_found' });
+    await attachmentStorage.delete(attachment.storage_key).catch((err) => console.error(err));
+    res.json({ success: true, id: attachment.id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Sync (multi-user)
+ * --------------------
+ * For clients that keep a copy of the household's transactions and queue what
+ * they change while offline. POST /api/sync sends the queue, if any, and gets
+ * back the transactions that changed since the client's cursor:
+ *
+ *   { cursor, changes: [{ id, op: 'create' | 'update' | 'delete', clientId, recordId, version, data }] }
+ *   -> { householdId, results: [{ id, status, recordId, record, error, fields }],
+ *        items: [...transactions], deleted: [ids], cursor, hasMore }
+ *
+ * Changes are applied in order, each in its own database transaction. `id` is
+ * the client's (a UUID) for the change: sent again, it gets the first answer
+ * back. `data` is a body as for POST / PUT /api/transactions. A create carries
+ * the clientId the client gave the transaction (a recordId on it is ignored);
+ * updates and deletes name it by recordId or that clientId, with the version
+ * the client last saw. status:
+ *  - applied: done (a delete of something already gone too)
+ *  - conflict: changed on the server since `version` (version_conflict) or
+ *    deleted there (not_found); `record` is the server's, null when deleted
+ *  - rejected: the data doesn't validate (`fields`), sending it again won't help
+ *  - error: not applied, try again later
+ *
+ * The cursor is a sync_log sequence number (0: everything). It stops short of
+ * changes from the last SYNC_SETTLE_SECONDS, whose database transactions may
+ * not all have committed when this one looked, so those come again next time.
+ * With hasMore, ask again right away with the new cursor.
+ */
+const SYNC_MAX_CHANGES = 100;
+const SYNC_PAGE_SIZE = 500;
+const SYNC_SETTLE_SECONDS = 120;
+const SYNC_MUTATION_RETENTION_DAYS = 30; // how long a change id is remembered
+
+// `changes` as req.syncChanges ([] without); runs before validate(schemas.sync), which keeps only the cursor.
+function validateSyncChanges(req, res, next) {
+  const changes = req.body && req.body.changes;
+  if (changes === undefined || changes === null) {
+    req.syncChanges = [];
+    return next();
+  }
+  if (!Array.isArray(changes) || changes.length > SYNC_MAX_CHANGES) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'changes', code: 'invalid_type', message: `Envie até ${SYNC_MAX_CHANGES} alterações` }],
+    });
+  }
+  const value = [];
+  const errors = [];
+  changes.forEach((change, i) => {
+    const result = validateObject(schemas.syncChange, change);
+    result.errors.forEach((e) => errors.push({ ...e, field: `changes[${i}].${e.field}` }));
+    value.push({ ...result.value, data: change && change.data });
+  });
+  if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+  req.syncChanges = value;
+  next();
+}
+
+// Runs route middleware `chain` on `req` outside the router. -> { status, body } from the first that answers, or null.
+function runMiddleware(req, chain) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    const step = (i) => {
+      if (i === chain.length) return resolve(null);
+      Promise.resolve(chain[i](req, res, () => step(i + 1))).catch(reject);
+    };
+    step(0);
+  });
+}
+
+// -> Map(id -> formatted transaction) for the household's live transactions among `ids`.
+async function syncRecords(db, householdId, ids) {
+  if (ids.length === 0) return new Map();
+  const r = await db.query(
+    `SELECT *, ${baseAmountSql()} AS base_amount FROM transactions
+     WHERE household_id=$1 AND id = ANY($2::int[]) AND deleted_at IS NULL`,
+    [householdId, ids]
+  );
+  const rows = await loadTransactionDetails(db, r.rows);
+  return new Map(rows.map((row) => [row.id, formatTransaction(row)]));
+}
+
+// -> the id of the transaction `change` is about (recordId, or the one created with its clientId), else null.
+// A create only goes by its clientId: that is what tells a resend from a new transaction.
+async function syncTarget(db, householdId, change) {
+  if (change.recordId && change.op !== 'create') return change.recordId;
+  const r = await db.query('SELECT id FROM transactions WHERE household_id=$1 AND client_id=$2', [
+    householdId,
+    change.clientId,
+  ]);
+  return r.rows.length > 0 ? r.rows[0].id : null;
+}
+
+// Applies one checked change (`body`, `splits` from transactionChecks). -> { status, recordId, error }
+async function applySyncChange(db, req, change, body, splits) {
+  const target = await syncTarget(db, req.householdId, change);
+  if (change.op === 'create') {
+    if (target) return { status: 'applied', recordId: target };
+    const { ids } = await createTransactions(db, req, body, splits, change.clientId);
+    return { status: 'applied', recordId: ids[0] };
+  }
+  if (change.op === 'delete') {
+    const result = target ? await trashTransaction(db, req, target, change.version) : { status: 404 };
+    if (result.status === 409) return { status: 'conflict', recordId: target, error: 'version_conflict' };
+    return { status: 'applied', recordId: target };
+  }
+  if (!target) return { status: 'conflict', recordId: null, error: 'not_found' };
+  const result = await updateTransaction(db, req, target, body, splits);
+  if (result.status === 404) return { status: 'conflict', recordId: target, error: 'not_found' };
+  if (result.status === 409) return { status: 'conflict', recordId: target, error: 'version_conflict' };
+  return { status: 'applied', recordId: target };
+}
+
+// One change of the batch, answered from sync_mutations when it was seen before. -> its result (without record)
+async function syncChange(req, change) {
+  const seen = await pool.query('SELECT result FROM sync_mutations WHERE household_id=$1 AND id=$2', [
+    req.householdId,
+    change.id,
+  ]);
+  if (seen.rows.length > 0 && seen.rows[0].result) return seen.rows[0].result;
+
+  if (change.op === 'create' && !change.clientId) {
+    const fields = [{ field: 'clientId', code: 'required', message: 'Campo obrigatório' }];
+    return { status: 'rejected', error: 'validation_error', fields };
+  }
+  if (change.op !== 'create' && !change.recordId && !change.clientId) {
+    const fields = [{ field: 'recordId', code: 'required', message: 'Campo obrigatório' }];
+    return { status: 'rejected', error: 'validation_error', fields };
+  }
+  // The data goes through the same checks as POST / PUT /api/transactions.
+  const sub = Object.create(req);
+  sub.body = change.op === 'update' ? { ...change.data, version: change.version } : change.data;
+  if (change.op !== 'delete') {
+    const answer = await runMiddleware(sub, transactionChecks);
+    if (answer && answer.status === 400) return { status: 'rejected', ...answer.body };
+    if (answer) return { status: 'error' };
+    const fieldError = (change.op === 'create' && installmentsError(sub.body)) || splitsError(sub.body, sub.splits);
+    if (fieldError) return { status: 'rejected', error: 'validation_error', fields: [fieldError] };
+  }
+
+  return withTransaction(async (db) => {
+    // Claims the id first: the same change arriving twice at once waits here for the other one.
+    const claimed = await db.query(
+      'INSERT INTO sync_mutations (household_id, id) VALUES ($1,$2) ON CONFLICT DO NOTHING RETURNING id',
+      [req.householdId, change.id]
+    );
+    if (claimed.rows.length === 0) {
+      const r = await db.query('SELECT result FROM sync_mutations WHERE household_id=$1 AND id=$2', [
+        req.householdId,
+        change.id,
+      ]);
+      return r.rows[0].result;
+    }
+    const result = await applySyncChange(db, sub, change, sub.body, sub.splits);
+    await db.query('UPDATE sync_mutations SET result=$3 WHERE household_id=$1 AND id=$2', [
+      req.householdId,
+      change.id,
+      JSON.stringify(result),
+    ]);
+    return result;
+  });
+}
+
+// -> { items, deleted, cursor, hasMore }: the household's transactions changed after `cursor`, one page.
+async function syncPull(householdId, cursor) {
+  const r = await pool.query(
+    `SELECT record_id, seq, deleted, changed_at < clock_timestamp() - make_interval(secs => $3) AS settled
+     FROM sync_log WHERE household_id=$1 AND entity='transactions' AND seq > $2
+     ORDER BY seq LIMIT $4`,
+    [householdId, cursor, SYNC_SETTLE_SECONDS, SYNC_PAGE_SIZE + 1]
+  );
+  const page = r.rows.slice(0, SYNC_PAGE_SIZE);
+  const unsettled = page.findIndex((row) => !row.settled);
+  const settled = unsettled === -1 ? page : page.slice(0, unsettled);
+  const records = await syncRecords(
+    pool,
+    householdId,
+    page.filter((row) => !row.deleted).map((row) => row.record_id)
+  );
+  return {
+    items: [...records.values()],
+    // Hard deletes, and those in the trash: the client drops both.
+    deleted: page.filter((row) => !records.has(row.record_id)).map((row) => row.record_id),
+    cursor: settled.length > 0 ? Number(settled[settled.length - 1].seq) : cursor,
+    hasMore: r.rows.length > SYNC_PAGE_SIZE && unsettled === -1,
+  };
+}
+
+// Change ids are only needed while a client may still send the same batch again.
+async function pruneSyncMutations() {
+  const r = await pool.query('DELETE FROM sync_mutations WHERE created_at < NOW() - make_interval(days => $1)', [
+    SYNC_MUTATION_RETENTION_DAYS,
+  ]);
+  return r.rowCount;
+}
+
+app.post('/api/sync', requireUserId, validateSyncChanges, validate(schemas.sync), async (req, res) => {
+  const changes = req.syncChanges;
+  if (changes.length > 0 && req.householdRole === 'viewer') return res.status(403).json({ error: 'read_only' });
+  if (changes.length > 0 && req.apiKey && req.apiKey.scopes.transactions !== 'write') {
+    return res.status(403).json({ error: 'insufficient_scope' });
+  }
+  try {
+    const results = [];
+    for (const change of changes) {
+      let result;
+      try {
+        result = await syncChange(req, change);
+      } catch (err) {
+        console.error(err);
+        result = { status: 'error' };
+      }
+      results.push({ id: change.id, recordId: null, ...result });
+    }
+    const records = await syncRecords(
+      pool,
+      req.householdId,
+      results.filter((result) => result.recordId).map((result) => result.recordId)
+    );
+    for (const result of results) {
+      if (['applied', 'conflict'].includes(result.status)) result.record = records.get(result.recordId) || null;
+    }
+    res.json({ householdId: req.householdId, results, ...(await syncPull(req.householdId, req.body.cursor)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Recurring rules (multi-user)
+ * --------------------
+ * A rule is a schedule; each occurrence is identified by its scheduled (due)
+ * date. The scheduler turns every due date up to today into a 'scheduled' row
+ * of recurring_occurrences and, for autoPost rules, posts it as a transaction.
+ * Rows are unique per (rule, due date) and the rule row is locked while it
+ * runs, so running the scheduler twice (or on two instances) never posts twice.
+ *
+ * Before it is posted an occurrence can be edited (date / amount / description)
+ * or skipped. Manual rules (autoPost=false) leave due occurrences overdue until
+ * POST /api/recurring/:id/occurrences/:date/post.
+ *
+ *  - weekly   day = weekday (0 = Sunday)
+ *  - monthly  day = day of month, clamped in short months
+ *  - yearly   month + day
+ *  - custom   every intervalDays days from startDate
+ * day / month default to the start date's.
+ */
+function formatRule(row) {
+  return {
+    id: row.id,
+    description: row.description,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    type: row.type,
+    category: row.category,
+    subcategory: row.subcategory,
+    paymentMethod: row.payment_method,
+    cardId: row.card_id,
+    accountId: row.account_id,
+    frequency: row.frequency,
+    intervalDays: row.interval_days,
+    day: row.day,
+    month: row.month,
+    startDate: toDateString(row.start_date),
+    endDate: row.end_date ? toDateString(row.end_date) : null,
+    autoPost: row.auto_post,
+    paused: row.paused,
+    generatedThrough: row.generated_through ? toDateString(row.generated_through) : null,
+    ...rowVersion(row),
+  };
+}
+
+// Fills in the schedule defaults and checks the fields that depend on each other.
+function normalizeSchedule(rule) {
+  const value = { ...rule };
+  const errors = [];
+  const start = new Date(`${rule.startDate}T00:00:00Z`);
+
+  if (rule.frequency === 'custom') {
+    if (!rule.intervalDays) errors.push({ field: 'intervalDays', code: 'required', message: 'Campo obrigatório' });
+    value.day = null;
+  } else {
+    value.intervalDays = null;
+  }
+  if (rule.frequency === 'weekly') {
+    if (rule.day === null) value.day = start.getUTCDay();
+    else if (rule.day > 6) errors.push({ field: 'day', code: 'too_large', message: 'Máximo: 6' });
+  }
+  if (rule.frequency === 'monthly' || rule.frequency === 'yearly') {
+    if (rule.day === null) value.day = start.getUTCDate();
+    else if (rule.day < 1) errors.push({ field: 'day', code: 'too_small', message: 'Mínimo: 1' });
+  }
+  if (rule.frequency === 'yearly') {
+    if (rule.month === null) value.month = start.getUTCMonth() + 1;
+  } else {
+    value.month = null;
+  }
+  if (rule.endDate && rule.endDate < rule.startDate) {
+    errors.push({ field: 'endDate', code: 'invalid_range', message: 'Deve ser depois da data de início' });
+  }
+  return { value, errors };
+}
+
+// Scheduled dates of `rule` between from and to (inclusive), ignoring overrides.
+function occurrenceDates(rule, from, to) {
+  const start = rule.startDate > from ? rule.startDate : from;
+  const end = rule.endDate && rule.endDate < to ? rule.endDate : to;
+  const dates = [];
+  if (start > end) return dates;
+
+  if (rule.frequency === 'weekly' || rule.frequency === 'custom') {
+    const step = rule.frequency === 'weekly' ? 7 : rule.intervalDays;
+    let first = rule.startDate;
+    if (rule.frequency === 'weekly') {
+      const weekday = new Date(`${first}T00:00:00Z`).getUTCDay();
+      first = addDays(first, (rule.day - weekday + 7) % 7);
+    }
+    const gap = daysBetween(first, start);
+    const firstInRange = gap > 0 ? addDays(first, Math.ceil(gap / step) * step) : first;
+    for (let date = firstInRange; date <= end; date = addDays(date, step)) dates.push(date);
+    return dates;
+  }
+
+  const step = rule.frequency === 'yearly' ? 12 : 1;
+  let month = rule.frequency === 'yearly'
+    ? `${start.slice(0, 4)}-${String(rule.month).padStart(2, '0')}`
+    : start.slice(0, 7);
+  let date = dayOfMonth(month, rule.day);
+  while (date <= end) {
+    if (date >= start) dates.push(date);
+    month = addMonths(month, step);
+    date = dayOfMonth(month, rule.day);
+  }
+  return dates;
+}
+
+function isOccurrenceDate(rule, date) {
+  return occurrenceDates(rule, date, date).length === 1;
+}
+
+// `req` is the request when someone posts it by hand; automatic posts are logged as the scheduler's.
+async function postOccurrence(db, ruleRow, occurrence, req = schedulerActor(ruleRow.household_id)) {
+  const tx = await db.query(
+    `INSERT INTO transactions
+       (household_id, description, amount, type, category, subcategory, date, payment_method, is_recurring, card_id,
+        recurring_rule_id, account_id, currency)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,TRUE,$9,$10,$11,$12) RETURNING id`,
+    [
+      ruleRow.household_id,
+      occurrence.description || ruleRow.description,
+      occurrence.amount || ruleRow.amount,
+      ruleRow.type,
+      ruleRow.category,
+      ruleRow.subcategory,
+      occurrence.date || occurrence.due_date,
+      ruleRow.payment_method,
+      ruleRow.card_id,
+      ruleRow.id,
+      ruleRow.account_id,
+      ruleRow.currency,
+    ]
+  );
+  await db.query("UPDATE recurring_occurrences SET status='posted', transaction_id=$1 WHERE id=$2", [
+    tx.rows[0].id,
+    occurrence.id,
+  ]);
+  await logChange(db, req, 'transactions', [tx.rows[0].id], 'create');
+  return tx.rows[0].id;
+}
+
+// Materializes the rule's due dates up to `until` and posts what is due. Call inside a transaction.
+async function runRule(db, ruleId, until) {
+  const found = await db.query('SELECT * FROM recurring_rules WHERE id=$1 FOR UPDATE', [ruleId]);
+  const row = found.rows[0];
+  if (!row || row.paused) return 0;
+
+  const rule = formatRule(row);
+  const from = rule.generatedThrough ? addDays(rule.generatedThrough, 1) : rule.startDate;
+  for (const date of occurrenceDates(rule, from, until)) {
+    await db.query('INSERT INTO recurring_occurrences (rule_id, due_date) VALUES ($1, $2) ON CONFLICT DO NOTHING', [
+      ruleId,
+      date,
+    ]);
+  }
+  if (!rule.generatedThrough || rule.generatedThrough < until) {
+    await db.query('UPDATE recurring_rules SET generated_through=$1 WHERE id=$2', [until, ruleId]);
+  }
+  if (!rule.autoPost) return 0;
+
+  const due = await db.query(
+    `SELECT * FROM recurring_occurrences
+     WHERE rule_id=$1 AND status='scheduled' AND COALESCE(date, due_date) <= $2
+     ORDER BY due_date`,
+    [ruleId, until]
+  );
+  for (const occurrence of due.rows) await postOccurrence(db, row, occurrence);
+  return due.rows.length;
+}
+
+// Scheduler entry point (boot, interval and `node server.js recurring:run`).
+async function runRecurringRules(until = today()) {
+  const rules = await pool.query('SELECT id FROM recurring_rules WHERE NOT paused AND start_date <= $1', [until]);
+  let posted = 0;
+  for (const { id } of rules.rows) {
+    try {
+      posted += await withTransaction((db) => runRule(db, id, until));
+    } catch (err) {
+      console.error(`Recorrência ${id} falhou:`, err);
+    }
+  }
+  return posted;
+}
+
+async function findRule(db, householdId, ruleId) {
+  const found = await db.query('SELECT * FROM recurring_rules WHERE id=$1 AND household_id=$2', [ruleId, householdId]);
+  return found.rows[0] || null;
+}
+
+function ruleParams(rule) {
+  return [
+    rule.description,
+    rule.amount,
+    rule.type,
+    rule.category,
+    rule.subcategory,
+    rule.paymentMethod,
+    rule.cardId,
+    rule.frequency,
+    rule.intervalDays,
+    rule.day,
+    rule.month,
+    rule.startDate,
+    rule.endDate,
+    rule.autoPost,
+    rule.accountId,
+    rule.currency,
+  ];
+}
+
+function validateSchedule(req, res, next) {
+  const { value, errors } = normalizeSchedule(req.body);
+  if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+  req.body = value;
+  next();
+}
+
+const validateOccurrence = validate(schemas.occurrenceParams, 'params');
+
+app.get('/api/recurring', requireUserId, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM recurring_rules WHERE household_id=$1 ORDER BY description, id', [
+      req.householdId,
+    ]);
+    const from = today();
+    res.json(
+      result.rows.map((row) => {
+        const rule = formatRule(row);
+        const [nextDate] = rule.paused ? [] : occurrenceDates(rule, from, addDays(from, 366));
+        return { ...rule, nextDate: nextDate || null };
+      })
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post(
+  '/api/recurring',
+  requireUserId,
+  validate(schemas.recurringRule),
+  validateSchedule,
+  validateAccountLinks,
+  validateCurrency,
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (db) => {
+        const created = await db.query(
+          `INSERT INTO recurring_rules
+             (household_id, description, amount, type, category, subcategory, payment_method, card_id,
+              frequency, interval_days, day, month, start_date, end_date, auto_post, account_id, currency)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING id`,
+          [req.householdId, ...ruleParams(req.body)]
+        );
+        const id = created.rows[0].id;
+        await logChange(db, req, 'recurring_rules', [id], 'create');
+        return { id, posted: await runRule(db, id, today()) };
+      });
+      res.json({ success: true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// Schedule changes apply from now on: posted occurrences stay, pending ones that no longer fit are dropped.
+app.put(
+  '/api/recurring/:id',
+  requireUserId,
+  validateId,
+  validate(schemas.recurringRule),
+  validateSchedule,
+  validateAccountLinks,
+  validateCurrency,
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (db) => {
+        const lock = await lockForUpdate(db, 'recurring_rules', req.params.id, req.householdId, req.body.version);
+        if (!lock.before) return lock;
+        const updated = await db.query(
+          `UPDATE recurring_rules SET description=$1, amount=$2, type=$3, category=$4, subcategory=$5,
+             payment_method=$6, card_id=$7, frequency=$8, interval_days=$9, day=$10, month=$11,
+             start_date=$12, end_date=$13, auto_post=$14, account_id=$15, currency=$16
+           WHERE id=$17 RETURNING *`,
+          [...ruleParams(req.body), req.params.id]
+        );
+        await logChange(db, req, 'recurring_rules', [req.params.id], 'update', lock.before);
+
+        const rule = formatRule(updated.rows[0]);
+        const pending = await db.query(
+          "SELECT id, due_date FROM recurring_occurrences WHERE rule_id=$1 AND status <> 'posted'",
+          [rule.id]
+        );
+        const stale = pending.rows.filter((o) => !isOccurrenceDate(rule, toDateString(o.due_date))).map((o) => o.id);
+        if (stale.length > 0) await db.query('DELETE FROM recurring_occurrences WHERE id = ANY($1)', [stale]);
+        await runRule(db, rule.id, today());
+        return { status: 200, body: { success: true, version: updated.rows[0].version } };
+      });
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// Transactions already posted by the rule are kept (recurring_rule_id becomes NULL).
+app.delete('/api/recurring/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const found = await withTransaction(async (db) => {
+      const before = await auditRows(db, 'recurring_rules', [Number(req.params.id)]);
+      const d = await db.query('DELETE FROM recurring_rules WHERE id=$1 AND household_id=$2', [
+        req.params.id,
+        req.householdId,
+      ]);
+      if (d.rowCount === 0) return false;
+      await logChange(db, req, 'recurring_rules', [req.params.id], 'delete', before);
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/recurring/:id/pause', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'recurring_rules', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query('UPDATE recurring_rules SET paused=TRUE WHERE id=$1', [req.params.id]);
+      await logChange(db, req, 'recurring_rules', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Dates that fell due while the rule was paused are not posted on resume.
+app.post('/api/recurring/:id/resume', requireUserId, validateId, async (req, res) => {
+  try {
+    const yesterday = addDays(today(), -1);
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'recurring_rules', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query(
+        `UPDATE recurring_rules
+         SET paused=FALSE, generated_through=GREATEST(COALESCE(generated_through, $1), $1)
+         WHERE id=$2`,
+        [yesterday, req.params.id]
+      );
+      await logChange(db, req, 'recurring_rules', [req.params.id], 'update', lock.before);
+      await runRule(db, req.params.id, today());
+      return { status: 200, body: { success: true } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * Occurrences of the household's rules between from and to, sorted by date,
+ * plus the overdue ones whatever the range:
+ *
+ *   [{ ruleId, dueDate, date, description, amount, currency, type, category, paymentMethod, cardId,
+ *      status: 'posted' | 'skipped' | 'overdue' | 'upcoming', transactionId }]
+ */
+async function loadOccurrences(householdId, from, to) {
+  const now = today();
+  const rules = await pool.query('SELECT * FROM recurring_rules WHERE household_id=$1', [householdId]);
+  const stored = await pool.query(
+    `SELECT o.* FROM recurring_occurrences o
+     JOIN recurring_rules r ON r.id = o.rule_id
+     WHERE r.household_id=$1
+       AND (o.due_date BETWEEN $2 AND $3
+         OR COALESCE(o.date, o.due_date) BETWEEN $2 AND $3
+         OR (o.status='scheduled' AND COALESCE(o.date, o.due_date) < $4))`,
+    [householdId, from, to, now]
+  );
+
+  const rulesById = new Map(rules.rows.map((row) => [row.id, formatRule(row)]));
+  const seen = new Set();
+  const list = [];
+  const push = (rule, dueDate, occurrence) => {
+    const date = occurrence && occurrence.date ? toDateString(occurrence.date) : dueDate;
+    let status = occurrence ? occurrence.status : 'scheduled';
+    if (status === 'scheduled') status = date < now ? 'overdue' : 'upcoming';
+    if (status !== 'overdue' && (date < from || date > to)) return;
+    list.push({
+      ruleId: rule.id,
+      dueDate,
+      date,
+      description: (occurrence && occurrence.description) || rule.description,
+      amount: occurrence && occurrence.amount ? parseFloat(occurrence.amount) : rule.amount,
+      currency: rule.currency,
+      type: rule.type,
+      category: rule.category,
+      paymentMethod: rule.paymentMethod,
+      cardId: rule.cardId,
+      status,
+      transactionId: occurrence ? occurrence.transaction_id : null,
+    });
+  };
+
+  for (const occurrence of stored.rows) {
+    const dueDate = toDateString(occurrence.due_date);
+    seen.add(`${occurrence.rule_id}:${dueDate}`);
+    push(rulesById.get(occurrence.rule_id), dueDate, occurrence);
+  }
+  for (const rule of rulesById.values()) {
+    if (rule.paused) continue;
+    // Dates up to generatedThrough are already stored rows (or were skipped while paused).
+    const pendingFrom = rule.generatedThrough ? addDays(rule.generatedThrough, 1) : from;
+    const start = pendingFrom > from ? pendingFrom : from;
+    for (const dueDate of occurrenceDates(rule, start, to)) {
+      if (!seen.has(`${rule.id}:${dueDate}`)) push(rule, dueDate, null);
+    }
+  }
+
+  list.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.ruleId - b.ruleId));
+  return list;
+}
+
+/*
+ * GET /api/recurring/occurrences?from=2026-10-01&to=2026-11-15
+ * Defaults: from = 1st of the current month, to = 30 days ahead. Overdue
+ * occurrences are always included, whatever the range (see loadOccurrences).
+ */
+app.get('/api/recurring/occurrences', requireUserId, validate(schemas.occurrenceQuery, 'query'), async (req, res) => {
+  try {
+    const from = req.query.from || `${currentMonth()}-01`;
+    const to = req.query.to || addDays(today(), 30);
+    res.json(await loadOccurrences(req.householdId, from, to));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+async function occurrenceRow(db, ruleId, dueDate) {
+  const r = await db.query('SELECT to_jsonb(o) AS row FROM recurring_occurrences o WHERE rule_id=$1 AND due_date=$2', [
+    ruleId,
+    dueDate,
+  ]);
+  return r.rows.length > 0 ? r.rows[0].row : null;
+}
+
+/*
+ * Runs fn(db, rule) for a rule of the household and a date on its schedule; answers 404 otherwise.
+ * Whatever fn changed in the occurrence's row is logged.
+ */
+function withOccurrence(fn) {
+  return async (req, res) => {
+    try {
+      const result = await withTransaction(async (db) => {
+        const rule = await findRule(db, req.householdId, req.params.id);
+        if (!rule || !isOccurrenceDate(formatRule(rule), req.params.date)) return { status: 404, error: 'not_found' };
+        const before = await occurrenceRow(db, rule.id, req.params.date);
+        const done = await fn(db, rule, req);
+        const after = await occurrenceRow(db, rule.id, req.params.date);
+        if (!done.error && after) await logUpsert(db, req, 'recurring_occurrences', after.id, before, after);
+        return done;
+      });
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      res.json({ success: true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  };
+}
+
+// Edit a single occurrence (also un-skips it). Posted occurrences are edited through their transaction.
+app.put(
+  '/api/recurring/:id/occurrences/:date',
+  requireUserId,
+  validateOccurrence,
+  validate(schemas.occurrenceOverride),
+  withOccurrence(async (db, rule, req) => {
+    const { date, amount, description } = req.body;
+    const u = await db.query(
+      `INSERT INTO recurring_occurrences (rule_id, due_date, date, amount, description) VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (rule_id, due_date) DO UPDATE
+         SET status='scheduled', date=EXCLUDED.date, amount=EXCLUDED.amount, description=EXCLUDED.description
+         WHERE recurring_occurrences.status <> 'posted'`,
+      [rule.id, req.params.date, date, amount, description]
+    );
+    if (u.rowCount === 0) return { status: 409, error: 'already_posted' };
+    await runRule(db, rule.id, today());
+    return {};
+  })
+);
+
+app.post(
+  '/api/recurring/:id/occurrences/:date/skip',
+  requireUserId,
+  validateOccurrence,
+  withOccurrence(async (db, rule, req) => {
+    const u = await db.query(
+      `INSERT INTO recurring_occurrences (rule_id, due_date, status) VALUES ($1, $2, 'skipped')
+       ON CONFLICT (rule_id, due_date) DO UPDATE SET status='skipped' WHERE recurring_occurrences.status <> 'posted'`,
+      [rule.id, req.params.date]
+    );
+    if (u.rowCount === 0) return { status: 409, error: 'already_posted' };
+    return {};
+  })
+);
+
+// Post now: pays an overdue occurrence of a manual rule, or an upcoming one early.
+app.post(
+  '/api/recurring/:id/occurrences/:date/post',
+  requireUserId,
+  validateOccurrence,
+  withOccurrence(async (db, rule, req) => {
+    await db.query('INSERT INTO recurring_occurrences (rule_id, due_date) VALUES ($1, $2) ON CONFLICT DO NOTHING', [
+      rule.id,
+      req.params.date,
+    ]);
+    const found = await db.query('SELECT * FROM recurring_occurrences WHERE rule_id=$1 AND due_date=$2 FOR UPDATE', [
+      rule.id,
+      req.params.date,
+    ]);
+    if (found.rows[0].status === 'posted') return { status: 409, error: 'already_posted' };
+    return { transactionId: await postOccurrence(db, rule, found.rows[0], req) };
+  })
+);
+
+// Drops the overrides / skip of an occurrence and puts it back on the rule's schedule.
+app.delete(
+  '/api/recurring/:id/occurrences/:date',
+  requireUserId,
+  validateOccurrence,
+  withOccurrence(async (db, rule, req) => {
+    const u = await db.query(
+      `UPDATE recurring_occurrences SET status='scheduled', date=NULL, amount=NULL, description=NULL
+       WHERE rule_id=$1 AND due_date=$2 AND status <> 'posted'`,
+      [rule.id, req.params.date]
+    );
+    const posted = await db.query(
+      "SELECT 1 FROM recurring_occurrences WHERE rule_id=$1 AND due_date=$2 AND status='posted'",
+      [rule.id, req.params.date]
+    );
+    if (u.rowCount === 0 && posted.rowCount > 0) return { status: 409, error: 'already_posted' };
+    await runRule(db, rule.id, today());
+    return {};
+  })
+);
+
+/**
+ * --------------------
+ * Import (multi-user)
+ * --------------------
+ * Bank statements are sent as text (OFX 1.x SGML / 2.x XML, or CSV) in two steps:
+ *  1. POST /api/import/preview parses the file, applies the household's import rules
+ *     and flags rows that are already in `transactions`, by the bank's id
+ *     (external_id) or by a date + type + amount + description fingerprint.
+ *     Nothing is written.
+ *  2. POST /api/import/commit gets the (possibly edited) rows back and inserts
+ *     them in a single database transaction, checking duplicates again.
+ *
+ * CSV columns are referenced by header name (accents / case ignored) or by
+ * 0-based index. Preamble lines before the header are skipped.
+ */
+const CSV_PRESETS = {
+  nubank_conta: {
+    label: 'Nubank (conta)',
+    delimiter: ',',
+    date: 'Data',
+    description: 'Descrição',
+    amount: 'Valor',
+    id: 'Identificador',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: '.',
+  },
+  nubank_cartao: {
+    label: 'Nubank (cartão)',
+    delimiter: ',',
+    date: 'date',
+    description: 'title',
+    amount: 'amount',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+    invertSign: true, // purchases are positive
+  },
+  inter: {
+    label: 'Banco Inter',
+    delimiter: ';',
+    date: 'Data Lançamento',
+    description: 'Descrição',
+    amount: 'Valor',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+  },
+  itau: {
+    label: 'Itaú',
+    delimiter: ';',
+    hasHeader: false,
+    date: '0',
+    description: '1',
+    amount: '2',
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+  },
+};
+
+// Uppercase, without accents and repeated spaces: used for headers, rules and fingerprints.
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "1.234,56", "-R$ 12,90", "(12,90)" and "12,90-" with decimalSeparator ','; "1,234.56" with '.'.
+function parseAmount(raw, decimalSeparator) {
+  let text = String(raw || '').replace(/R\$|\s/g, '');
+  const negative = /^\(.*\)$/.test(text) || /-$/.test(text);
+  text = text.replace(/[()]/g, '').replace(/-$/, '');
+  const thousands = decimalSeparator === ',' ? '.' : ',';
+  text = text.split(thousands).join('').replace(decimalSeparator, '.');
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) return null;
+  const value = Number(text);
+  return negative ? -Math.abs(value) : value;
+}
+
+function parseImportDate(raw, format) {
+  const text = String(raw || '').trim();
+  let match;
+  let iso = null;
+  if (format === 'YYYY-MM-DD' && (match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    iso = `${match[1]}-${match[2]}-${match[3]}`;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/))) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    iso = `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return iso && isValidDate(iso) ? iso : null;
+}
+
+// Minimal RFC 4180 reader: quoted fields may contain the delimiter, "" and line breaks.
+function parseCsv(content, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+function detectDelimiter(content) {
+  const sample = content.split(/\r?\n/).slice(0, 20).join('\n');
+  const count = (ch) => sample.split(ch).length - 1;
+  return [';', '\t', ','].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ';');
+}
+
+// -> { rows: [{ row, date, description, amount (signed), externalId }], errors: [{ row, message }] }
+function parseCsvStatement(content, layout) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = parseCsv(text, layout.delimiter === 'auto' ? detectDelimiter(text) : layout.delimiter);
+  const fields = ['date', 'description', 'amount', 'id'].filter((field) => layout[field]);
+  const isIndex = (ref) => /^\d+$/.test(ref);
+
+  let start = 0;
+  const columns = {};
+  if (layout.hasHeader) {
+    const headerAt = isIndex(layout.date)
+      ? 0
+      : rows.findIndex((r) => r.cells.some((c) => normalizeText(c) === normalizeText(layout.date)));
+    if (headerAt === -1 || rows.length === 0) {
+      return { rows: [], errors: [{ row: null, message: `Coluna "${layout.date}" não encontrada` }] };
+    }
+    const header = rows[headerAt].cells.map(normalizeText);
+    for (const field of fields) {
+      const ref = layout[field];
+      columns[field] = isIndex(ref) ? Number(ref) : header.indexOf(normalizeText(ref));
+      if (columns[field] === -1) {
+        return { rows: [], errors: [{ row: rows[headerAt].line, message: `Coluna "${ref}" não encontrada` }] };
+      }
+    }
+    start = headerAt + 1;
+  } else {
+    for (const field of fields) {
+      if (!isIndex(layout[field])) {
+        return { rows: [], errors: [{ row: null, message: 'Sem cabeçalho, use o número das colunas (0, 1, ...)' }] };
+      }
+      columns[field] = Number(layout[field]);
+    }
+  }
+
+  const parsed = [];
+  const errors = [];
+  for (const { line, cells } of rows.slice(start)) {
+    const date = parseImportDate(cells[columns.date], layout.dateFormat);
+    const amount = parseAmount(cells[columns.amount], layout.decimalSeparator);
+    const description = String(cells[columns.description] || '').trim();
+    if (!date) errors.push({ row: line, message: `Data inválida: "${cells[columns.date] || ''}"` });
+    else if (amount === null) errors.push({ row: line, message: `Valor inválido: "${cells[columns.amount] || ''}"` });
+    else if (!description) errors.push({ row: line, message: 'Descrição vazia' });
+    else {
+      parsed.push({
+        row: line,
+        date,
+        description,
+        amount: layout.invertSign ? -amount : amount,
+        externalId: fields.includes('id') && cells[columns.id] ? `csv:${cells[columns.id].trim()}` : null,
+      });
+    }
+  }
+  return { rows: parsed, errors };
+}
+
+// OFX 1.x leaves most elements unclosed, so fields are read up to the next tag or line break.
+function parseOfx(content) {
+  const field = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+  };
+  const account = [field(content, 'BANKID'), field(content, 'ACCTID')].filter(Boolean).join(':') || 'ofx';
+
+  const parsed = [];
+  const errors = [];
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  blocks.forEach((block, i) => {
+    const row = i + 1;
+    const posted = field(block, 'DTPOSTED') || '';
+    const date = `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`;
+    const rawAmount = field(block, 'TRNAMT') || '';
+    const amount = parseAmount(rawAmount, rawAmount.includes(',') && !rawAmount.includes('.') ? ',' : '.');
+    const description = field(block, 'MEMO') || field(block, 'NAME');
+    const fitId = field(block, 'FITID');
+
+    if (!isValidDate(date)) errors.push({ row, message: `Data inválida: "${posted}"` });
+    else if (amount === null) errors.push({ row, message: `Valor inválido: "${rawAmount}"` });
+    else if (!description) errors.push({ row, message: 'Descrição vazia' });
+    else parsed.push({ row, date, description, amount, externalId: fitId ? `${account}:${fitId}` : null });
+  });
+  if (blocks.length === 0) errors.push({ row: null, message: 'Nenhuma transação encontrada no OFX' });
+  return { rows: parsed, errors };
+}
+
+const importFingerprint = (item) =>
+  `${item.date}|${item.type}|${Number(item.amount).toFixed(2)}|${normalizeText(item.description)}`;
+
+// Adds duplicateOf (existing transaction id or null). Each existing row matches at most one imported row, so
+// a file with two identical purchases against one typed by hand still brings in the second. Transactions in the
+// trash keep their external_id, so they still count as imported until they are purged.
+async function markDuplicates(db, householdId, items) {
+  if (items.length === 0) return items;
+  const dates = items.map((item) => item.date).sort();
+  const existing = await db.query(
+    `SELECT id, to_char(date, 'YYYY-MM-DD') AS date, type, amount, description, external_id
+     FROM transactions
+     WHERE household_id=$1 AND ((date >= $2 AND date <= $3 AND deleted_at IS NULL) OR external_id = ANY($4))`,
+    [householdId, dates[0], dates[dates.length - 1], items.map((item) => item.externalId).filter(Boolean)]
+  );
+
+  const byExternalId = new Map();
+  const byFingerprint = new Map();
+  for (const row of existing.rows) {
+    // Imported rows only match by id: two equal purchases on the same day are two bank ids.
+    if (row.external_id) {
+      byExternalId.set(row.external_id, row.id);
+      continue;
+    }
+    const key = importFingerprint(row);
+    if (!byFingerprint.has(key)) byFingerprint.set(key, []);
+    byFingerprint.get(key).push(row.id);
+  }
+
+  const used = new Set();
+  const take = (id) => {
+    used.add(id);
+    return id;
+  };
+  const byId = items.map((item) => {
+    const id = item.externalId && byExternalId.get(item.externalId);
+    return id && !used.has(id) ? take(id) : null;
+  });
+  return items.map((item, i) => {
+    let duplicateOf = byId[i];
+    if (!duplicateOf) {
+      const candidates = (byFingerprint.get(importFingerprint(item)) || []).filter((id) => !used.has(id));
+      if (candidates.length > 0) duplicateOf = take(candidates[0]);
+    }
+    return { ...item, duplicateOf };
+  });
+}
+
+function formatImportRule(row) {
+  return {
+    id: row.id,
+    pattern: row.pattern,
+    type: row.type,
+    category: row.category,
+    subcategory: row.subcategory,
+    position: row.position,
+    ...rowVersion(row),
+  };
+}
+
+async function loadImportRules(householdId) {
+  const r = await pool.query('SELECT * FROM import_rules WHERE household_id=$1 ORDER BY position, id', [householdId]);
+  return r.rows.map(formatImportRule);
+}
+
+// First rule (by position) whose pattern is contained in the description wins.
+function applyImportRules(rules, item) {
+  const description = normalizeText(item.description);
+  const rule = rules.find((r) => (!r.type || r.type === item.type) && description.includes(normalizeText(r.pattern)));
+  return rule
+    ? { category: rule.category, subcategory: rule.subcategory, ruleId: rule.id }
+    : { category: null, subcategory: null, ruleId: null };
+}
+
+// CSV layouts come from a preset or from the request; checked before the body is normalized.
+function validateCsvLayout(req, res, next) {
+  if (!req.body || req.body.format !== 'csv') return next();
+  if (req.body.preset && !CSV_PRESETS[req.body.preset]) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [
+        {
+          field: 'preset',
+          code: 'invalid_option',
+          message: `Valor inválido (opções: ${Object.keys(CSV_PRESETS).join(', ')})`,
+        },
+      ],
+    });
+  }
+  const raw = req.body.layout || CSV_PRESETS[req.body.preset];
+  if (!raw) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'layout', code: 'required', message: 'Informe o layout do CSV ou um preset' }],
+    });
+  }
+  const { value, errors } = validateObject(schemas.csvLayout, raw);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: errors.map((e) => ({ ...e, field: `layout.${e.field}` })),
+    });
+  }
+  req.csvLayout = value;
+  next();
+}
+
+function validateImportItems(req, res, next) {
+  const items = req.body && req.body.items;
+  if (!Array.isArray(items) || items.length === 0 || items.length > IMPORT_MAX_ROWS) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [{ field: 'items', code: 'invalid_type', message: `Envie de 1 a ${IMPORT_MAX_ROWS} linhas` }],
+    });
+  }
+  const value = [];
+  const errors = [];
+  items.forEach((item, i) => {
+    const result = validateObject(schemas.importItem, item);
+    result.errors.forEach((e) => errors.push({ ...e, field: `items[${i}].${e.field}` }));
+    value.push(result.value);
+  });
+  if (errors.length > 0) return res.status(400).json({ error: 'validation_error', fields: errors });
+  req.importItems = value;
+  next();
+}
+
+// GET /api/import/presets -> CSV layouts for known banks
+app.get('/api/import/presets', requireUserId, (req, res) => {
+  res.json(Object.entries(CSV_PRESETS).map(([id, layout]) => ({ id, ...layout })));
+});
+
+/*
+ * POST /api/import/preview { format: 'ofx' | 'csv', content, preset? | layout? }
+ *
+ *   { items: [{ row, date, description, amount, type, externalId, category, subcategory, ruleId, duplicateOf }],
+ *     errors: [{ row, message }], summary: { total, duplicates, categorized } }
+ */
+app.post(
+  '/api/import/preview',
+  requireUserId,
+  validateCsvLayout,
+  validate(schemas.importPreview),
+  async (req, res) => {
+    try {
+      const { rows, errors } =
+        req.body.format === 'ofx' ? parseOfx(req.body.content) : parseCsvStatement(req.body.content, req.csvLayout);
+      if (rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'content', code: 'too_long', message: `Máximo de ${IMPORT_MAX_ROWS} linhas por arquivo` }],
+        });
+      }
+
+      const rules = await loadImportRules(req.householdId);
+      const typed = rows.map(({ amount, ...row }) => {
+        const item = { ...row, amount: Math.abs(amount), type: amount < 0 ? 'expense' : 'income' };
+        return { ...item, ...applyImportRules(rules, item) };
+      });
+      const items = await markDuplicates(pool, req.householdId, typed);
+
+      res.json({
+        items,
+        errors,
+        summary: {
+          total: items.length,
+          duplicates: items.filter((item) => item.duplicateOf).length,
+          categorized: items.filter((item) => item.ruleId).length,
+        },
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/import/commit { items, accountId?, cardId?, paymentMethod?, currency?, skipDuplicates = true }
+ * Everything is inserted or nothing is. Rows with an external_id that already
+ * exists are always skipped; fingerprint duplicates only when skipDuplicates.
+ */
+app.post(
+  '/api/import/commit',
+  requireUserId,
+  validateImportItems,
+  validate(schemas.importCommit),
+  validateAccountLinks,
+  validateCurrency,
+  async (req, res) => {
+    const { accountId, cardId, currency, skipDuplicates } = req.body;
+    const paymentMethod = cardId ? 'credit_card' : req.body.paymentMethod;
+
+    try {
+      const result = await withTransaction(async (db) => {
+        // One import at a time per household, so two concurrent commits can't both pass the duplicate check.
+        await db.query("SELECT pg_advisory_xact_lock(hashtext('import'), $1)", [req.householdId]);
+        let items = req.importItems;
+        if (skipDuplicates) {
+          items = (await markDuplicates(db, req.householdId, items)).filter((item) => !item.duplicateOf);
+        }
+
+        const ids = [];
+        for (const item of items) {
+          const inserted = await db.query(
+            `INSERT INTO transactions
+               (household_id, description, amount, type, category, subcategory, date, payment_method, card_id,
+                account_id, external_id, member_id, currency)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+             ON CONFLICT (household_id, external_id) WHERE external_id IS NOT NULL DO NOTHING
+             RETURNING id`,
+            [
+              req.householdId,
+              item.description,
+              item.amount,
+              item.type,
+              item.category,
+              item.subcategory,
+              item.date,
+              paymentMethod,
+              cardId,
+              accountId,
+              item.externalId,
+              req.userId,
+              currency,
+            ]
+          );
+          if (inserted.rows[0]) ids.push(inserted.rows[0].id);
+        }
+        await logChange(db, req, 'transactions', ids, 'create');
+        return ids;
+      });
+
+      res.json({
+        success: true,
+        imported: result.length,
+        skipped: req.importItems.length - result.length,
+        ids: result,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.get('/api/import/rules', requireUserId, async (req, res) => {
+  try {
+    res.json(await loadImportRules(req.householdId));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/import/rules', requireUserId, validate(schemas.importRule), async (req, res) => {
+  const { pattern, type, category, subcategory, position } = req.body;
+  try {
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        `INSERT INTO import_rules (household_id, pattern, type, category, subcategory, position)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+        [req.householdId, pattern, type, category, subcategory, position]
+      );
+      await logChange(db, req, 'import_rules', [r.rows[0].id], 'create');
+      return r.rows[0].id;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.put('/api/import/rules/:id', requireUserId, validateId, validate(schemas.importRule), async (req, res) => {
+  const { pattern, type, category, subcategory, position, version } = req.body;
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'import_rules', req.params.id, req.householdId, version);
+      if (!lock.before) return lock;
+      const u = await db.query(
+        `UPDATE import_rules SET pattern=$1, type=$2, category=$3, subcategory=$4, position=$5
+         WHERE id=$6 RETURNING version`,
+        [pattern, type, category, subcategory, position, req.params.id]
+      );
+      await logChange(db, req, 'import_rules', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.delete('/api/import/rules/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const found = await withTransaction(async (db) => {
+      const before = await auditRows(db, 'import_rules', [Number(req.params.id)]);
+      const d = await db.query('DELETE FROM import_rules WHERE id=$1 AND household_id=$2', [
+        req.params.id,
+        req.householdId,
+      ]);
+      if (d.rowCount === 0) return false;
+      await logChange(db, req, 'import_rules', [req.params.id], 'delete', before);
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Goals (multi-user)
+ * --------------------
+ * A goal's current amount is the sum of its contributions (deposits minus
+ * withdrawals). The pace is the net amount contributed over the last
+ * GOAL_PACE_DAYS, leaving out the opening contribution (what the goal started
+ * with was saved before); it gives the projected completion date, while the
+ * optional deadline gives the monthly amount still needed. Goals are in the base
+ * currency: a contribution linked to a transaction defaults to its converted amount.
+ */
+const GOAL_PACE_DAYS = 90;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+const GOALS_SQL = `
+  SELECT g.*, COALESCE(SUM(c.delta), 0) AS current,
+         COALESCE(SUM(c.delta) FILTER (WHERE c.date > $2 AND NOT c.opening), 0) AS recent
+  FROM goals g
+  LEFT JOIN (
+    SELECT goal_id, date, opening, CASE WHEN type='deposit' THEN amount ELSE -amount END AS delta
+    FROM goal_contributions
+  ) c ON c.goal_id=g.id
+  WHERE g.household_id=$1 AND g.deleted_at IS NULL`;
+
+function formatGoal(row, now) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const target = parseFloat(row.target);
+  const current = parseFloat(row.current);
+  const remaining = Math.max(0, round(target - current));
+  const dailyPace = parseFloat(row.recent) / GOAL_PACE_DAYS;
+  const deadline = row.deadline ? toDateString(row.deadline) : null;
+
+  let projectedDate = null;
+  if (remaining > 0 && dailyPace > 0) {
+    const days = Math.ceil(remaining / dailyPace);
+    if (days <= 36500) projectedDate = addDays(now, days);
+  }
+
+  let monthlyNeeded = null;
+  if (deadline) {
+    const monthsLeft = deadline > now ? daysBetween(now, deadline) / DAYS_PER_MONTH : 0;
+    monthlyNeeded = monthsLeft >= 1 ? round(remaining / monthsLeft) : remaining;
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    target,
+    current,
+    color: row.color,
+    deadline,
+    remaining,
+    completed: remaining === 0,
+    monthlyPace: round(dailyPace * DAYS_PER_MONTH),
+    monthlyNeeded,
+    projectedDate,
+    onTrack: deadline ? remaining === 0 || (projectedDate !== null && projectedDate <= deadline) : null,
+    ...rowVersion(row),
+  };
+}
+
+function formatContribution(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    amount: parseFloat(row.amount),
+    date: toDateString(row.date),
+    note: row.note,
+    transactionId: row.transaction_id,
+  };
+}
+
+async function goalBalance(db, goalId) {
+  const r = await db.query(
+    `SELECT COALESCE(SUM(CASE WHEN type='deposit' THEN amount ELSE -amount END), 0) AS balance
+     FROM goal_contributions WHERE goal_id=$1`,
+    [goalId]
+  );
+  return parseFloat(r.rows[0].balance);
+}
+
+app.get('/api/goals', requireUserId, async (req, res) => {
+  try {
+    const now = today();
+    const r = await pool.query(`${GOALS_SQL} GROUP BY g.id ORDER BY g.id ASC`, [
+      req.householdId,
+      addDays(now, -GOAL_PACE_DAYS),
+    ]);
+    res.json(r.rows.map((row) => formatGoal(row, now)));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/goals', requireUserId, validate(schemas.goal), async (req, res) => {
+  const { name, target, current, color, deadline } = req.body;
+  try {
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        'INSERT INTO goals (household_id, name, target, color, deadline) VALUES ($1,$2,$3,$4,$5) RETURNING id',
+        [req.householdId, name, target, color, deadline]
+      );
+      await logChange(db, req, 'goals', [r.rows[0].id], 'create');
+      if (current > 0) {
+        const c = await db.query(
+          `INSERT INTO goal_contributions (goal_id, type, amount, date, note, opening)
+           VALUES ($1, 'deposit', $2, $3, 'Saldo inicial', TRUE) RETURNING id`,
+          [r.rows[0].id, current, today()]
+        );
+        await logChange(db, req, 'goal_contributions', [c.rows[0].id], 'create');
+      }
+      return r.rows[0].id;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// `current` is ignored here: the amount only changes through contributions.
+app.put('/api/goals/:id', requireUserId, validateId, validate(schemas.goal), async (req, res) => {
+  const { name, target, color, deadline, version } = req.body;
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'goals', req.params.id, req.householdId, version);
+      if (!lock.before) return lock;
+      const u = await db.query(
+        'UPDATE goals SET name=$1, target=$2, color=$3, deadline=$4 WHERE id=$5 RETURNING version',
+        [name, target, color, deadline, req.params.id]
+      );
+      await logChange(db, req, 'goals', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.delete('/api/goals/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'goals', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query('UPDATE goals SET deleted_at=NOW() WHERE id=$1', [req.params.id]);
+      await logChange(db, req, 'goals', [req.params.id], 'delete', lock.before);
+      return { status: 200, body: { success: true, id: Number(req.params.id) } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/goals/:id/contributions
+ *   { items: [...newest first], history: [{ month, deposits, withdrawals, balance }] }
+ * history runs month by month from the first contribution to the current month.
+ */
+app.get('/api/goals/:id/contributions', requireUserId, validateId, async (req, res) => {
+  try {
+    const g = await pool.query('SELECT id FROM goals WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL', [
+      req.params.id,
+      req.householdId,
+    ]);
+    if (g.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+
+    const r = await pool.query('SELECT * FROM goal_contributions WHERE goal_id=$1 ORDER BY date ASC, id ASC', [
+      req.params.id,
+    ]);
+    const items = r.rows.map(formatContribution);
+
+    const history = [];
+    if (items.length > 0) {
+      const last = [currentMonth(), items[items.length - 1].date.slice(0, 7)].sort().pop();
+      let balance = 0;
+      for (let month = items[0].date.slice(0, 7); month <= last; month = addMonths(month, 1)) {
+        const inMonth = items.filter((item) => item.date.startsWith(month));
+        const sum = (type) => inMonth.filter((item) => item.type === type).reduce((acc, item) => acc + item.amount, 0);
+        const deposits = sum('deposit');
+        const withdrawals = sum('withdrawal');
+        balance = Math.round((balance + deposits - withdrawals) * 100) / 100;
+        history.push({ month, deposits, withdrawals, balance });
+      }
+    }
+    res.json({ items: items.reverse(), history });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/goals/:id/contributions { type, amount, date, note, transactionId }
+ * With transactionId, amount and date default to the transaction's own.
+ * Withdrawals can't take the goal below zero.
+ */
+app.post(
+  '/api/goals/:id/contributions',
+  requireUserId,
+  validateId,
+  validate(schemas.goalContribution),
+  async (req, res) => {
+    const { type, note, transactionId } = req.body;
+    try {
+      const result = await withTransaction(async (db) => {
+        const g = await db.query(
+          'SELECT id FROM goals WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL FOR UPDATE',
+          [req.params.id, req.householdId]
+        );
+        if (g.rows.length === 0) return { status: 404, error: 'not_found' };
+
+        let { amount, date } = req.body;
+        if (transactionId) {
+          const t = await db.query(
+            `SELECT ${baseAmountSql()} AS amount, date FROM transactions
+             WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL`,
+            [transactionId, req.householdId]
+          );
+          if (t.rows.length === 0) {
+            return {
+              status: 400,
+              error: 'validation_error',
+              fields: [{ field: 'transactionId', code: 'not_found', message: 'Transação não encontrada' }],
+            };
+          }
+          amount = amount || parseFloat(t.rows[0].amount);
+          date = date || toDateString(t.rows[0].date);
+        }
+        if (!amount) {
+          return {
+            status: 400,
+            error: 'validation_error',
+            fields: [{ field: 'amount', code: 'required', message: 'Campo obrigatório' }],
+          };
+        }
+        if (type === 'withdrawal' && amount > (await goalBalance(db, req.params.id))) {
+          return { status: 409, error: 'insufficient_balance' };
+        }
+
+        const r = await db.query(
+          `INSERT INTO goal_contributions (goal_id, type, amount, date, note, transaction_id)
+           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+          [req.params.id, type, amount, date || today(), note, transactionId]
+        );
+        await logChange(db, req, 'goal_contributions', [r.rows[0].id], 'create');
+        return { id: r.rows[0].id };
+      });
+      if (result.status) {
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+      res.json({ success: true, id: result.id });
+    } catch (e) {
+      if (e.code === '23505') return res.status(409).json({ error: 'transaction_already_linked' });
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// Removing a deposit that was already withdrawn would leave the goal negative, so that is refused.
+app.delete(
+  '/api/goals/:id/contributions/:contributionId',
+  requireUserId,
+  validate(schemas.goalContributionParams, 'params'),
+  async (req, res) => {
+    try {
+      const result = await withTransaction(async (db) => {
+        const g = await db.query(
+          'SELECT id FROM goals WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL FOR UPDATE',
+          [req.params.id, req.householdId]
+        );
+        if (g.rows.length === 0) return 'not_found';
+        const c = await db.query('SELECT type, amount FROM goal_contributions WHERE id=$1 AND goal_id=$2', [
+          req.params.contributionId,
+          req.params.id,
+        ]);
+        const contribution = c.rows[0];
+        if (!contribution) return 'not_found';
+        const balance = await goalBalance(db, req.params.id);
+        if (contribution.type === 'deposit' && parseFloat(contribution.amount) > balance) return 'insufficient_balance';
+        const before = await auditRows(db, 'goal_contributions', [req.params.contributionId]);
+        await db.query('DELETE FROM goal_contributions WHERE id=$1', [req.params.contributionId]);
+        await logChange(db, req, 'goal_contributions', [req.params.contributionId], 'delete', before);
+        return null;
+      });
+      if (result === 'not_found') return res.status(404).json({ error: result });
+      if (result) return res.status(409).json({ error: result });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Cards (multi-user)
+ * --------------------
+ */
+/*
+ * Usage is derived from credit_card transactions: everything charged to the
+ * card (future installments included) minus refunds and statement payments.
+ * All of them are in the card's currency, and so is the account paying it.
+ *
+ * A statement is identified by the month it is due (YYYY-MM). It covers the
+ * purchases from the previous closing date (inclusive) to its own closing date
+ * (exclusive): buying on the closing day already goes to the next statement.
+ * Status: open (before closing), closed (closed, balance left), paid.
+ */
+function defaultClosingDay(dueDay) {
+  return dueDay > 7 ? dueDay - 7 : dueDay + 21;
+}
+
+function formatCard(row) {
+  const limit = parseFloat(row.limit_amount);
+  const used = parseFloat(row.used || 0);
+  return {
+    id: row.id,
+    name: row.name,
+    limit,
+    used,
+    available: limit - used,
+    dueDay: row.due_day,
+    closingDay: row.closing_day,
+    color: row.color,
+    currency: row.currency,
+    ...rowVersion(row),
+  };
+}
+
+// Closing date of the statement due in `month`.
+function closingDate(card, month) {
+  return card.due_day > card.closing_day
+    ? dayOfMonth(month, card.closing_day)
+    : dayOfMonth(addMonths(month, -1), card.closing_day);
+}
+
+function statementMonthFor(card, date) {
+  let month = card.due_day > card.closing_day ? date.slice(0, 7) : addMonths(date.slice(0, 7), 1);
+  if (date >= closingDate(card, month)) month = addMonths(month, 1);
+  return month;
+}
+
+const CARD_USAGE_SQL = `
+  SELECT c.*,
+    COALESCE((SELECT SUM(CASE WHEN t.type='expense' THEN t.amount ELSE -t.amount END)
+              FROM transactions t
+              WHERE t.card_id=c.id AND t.household_id=c.household_id AND t.payment_method='credit_card'
+                AND t.deleted_at IS NULL), 0)
+    - COALESCE((SELECT SUM(p.amount) FROM card_payments p WHERE p.card_id=c.id), 0) AS used
+  FROM cards c`;
+
+// Statements due from `fromMonth` to `toMonth`, with their transactions when `withItems` is set.
+async function loadStatements(card, fromMonth, toMonth, withItems = false) {
+  const start = closingDate(card, addMonths(fromMonth, -1));
+  const end = closingDate(card, toMonth);
+  const [txs, payments] = await Promise.all([
+    pool.query(
+      `SELECT * FROM transactions
+       WHERE card_id=$1 AND household_id=$2 AND payment_method='credit_card' AND date >= $3 AND date < $4
+         AND deleted_at IS NULL
+       ORDER BY date, id`,
+      [card.id, card.household_id, start, end]
+    ),
+    pool.query(
+      `SELECT * FROM card_payments WHERE card_id=$1 AND statement_month BETWEEN $2 AND $3 ORDER BY date, id`,
+      [card.id, fromMonth, toMonth]
+    ),
+  ]);
+
+  const now = today();
+  const statements = new Map();
+  for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) {
+    statements.set(month, {
+      month,
+      periodStart: closingDate(card, addMonths(month, -1)),
+      closingDate: closingDate(card, month),
+      dueDate: dayOfMonth(month, card.due_day),
+      total: 0,
+      paid: 0,
+      count: 0,
+      ...(withItems ? { transactions: [], payments: [] } : {}),
+    });
+  }
+  for (const row of txs.rows) {
+    const statement = statements.get(statementMonthFor(card, toDateString(row.date)));
+    if (!statement) continue;
+    statement.total += (row.type === 'income' ? -1 : 1) * parseFloat(row.amount);
+    statement.count += 1;
+    if (withItems) statement.transactions.push(formatTransaction(row));
+  }
+  for (const row of payments.rows) {
+    const statement = statements.get(row.statement_month);
+    statement.paid += parseFloat(row.amount);
+    if (withItems) {
+      statement.payments.push({ id: row.id, amount: parseFloat(row.amount), date: toDateString(row.date) });
+    }
+  }
+
+  return [...statements.values()].map((st) => {
+    const total = Math.round(st.total * 100) / 100;
+    const balance = Math.round((total - st.paid) * 100) / 100;
+    let status = 'open';
+    if (now >= st.closingDate) status = balance > 0 ? 'closed' : 'paid';
+    return { ...st, total, balance, status, overdue: status === 'closed' && now > st.dueDate };
+  });
+}
+
+async function findCard(householdId, cardId) {
+  const r = await pool.query(`${CARD_USAGE_SQL} WHERE c.id=$1 AND c.household_id=$2 AND c.deleted_at IS NULL`, [
+    cardId,
+    householdId,
+  ]);
+  return r.rows[0] || null;
+}
+
+// GET /api/cards -> each card with its computed usage, the open statement and the next bill to pay.
+app.get('/api/cards', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query(`${CARD_USAGE_SQL} WHERE c.household_id=$1 AND c.deleted_at IS NULL ORDER BY c.id ASC`, [
+      req.householdId,
+    ]);
+    const cards = await Promise.all(
+      r.rows.map(async (row) => {
+        const current = statementMonthFor(row, today());
+        const statements = await loadStatements(row, addMonths(current, -3), current);
+        const open = statements[statements.length - 1];
+        const nextBill = statements.find((st) => st.status === 'closed') || open;
+        return { ...formatCard(row), currentStatement: open, nextBill };
+      })
+    );
+    res.json(cards);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/cards', requireUserId, validate(schemas.card), async (req, res) => {
+  const { name, limit, dueDay, closingDay, color, currency } = req.body;
+  try {
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        `INSERT INTO cards (household_id, name, limit_amount, due_day, closing_day, color, currency)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+        [
+          req.householdId,
+          name,
+          limit,
+          dueDay,
+          closingDay || defaultClosingDay(dueDay),
+          color,
+          currency || req.baseCurrency,
+        ]
+      );
+      await logChange(db, req, 'cards', [r.rows[0].id], 'create');
+      return r.rows[0].id;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// As with accounts, the currency can only change while nothing was charged in the old one.
+app.put('/api/cards/:id', requireUserId, validateId, validate(schemas.card), async (req, res) => {
+  const { name, limit, dueDay, closingDay, color, currency, version } = req.body;
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'cards', req.params.id, req.householdId, version);
+      if (!lock.before) return lock;
+      const locked = await currencyLocked(db, 'cards', lock.before.get(Number(req.params.id)), currency);
+      if (locked) return locked;
+      const u = await db.query(
+        `UPDATE cards SET name=$1, limit_amount=$2, due_day=$3, closing_day=$4, color=$5,
+           currency=COALESCE($6, currency)
+         WHERE id=$7 RETURNING version`,
+        [name, limit, dueDay, closingDay || defaultClosingDay(dueDay), color, currency, req.params.id]
+      );
+      await logChange(db, req, 'cards', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.delete('/api/cards/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'cards', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query('UPDATE cards SET deleted_at=NOW() WHERE id=$1', [req.params.id]);
+      await logChange(db, req, 'cards', [req.params.id], 'delete', lock.before);
+      return { status: 200, body: { success: true, id: Number(req.params.id) } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/cards/:id/statements?from=2026-06&to=2026-12
+ * Defaults: five months back up to the last month with a future installment.
+ * Months without purchases or payments are left out, except the open statement.
+ */
+app.get(
+  '/api/cards/:id/statements',
+  requireUserId,
+  validateId,
+  validate(schemas.statementQuery, 'query'),
+  async (req, res) => {
+    try {
+      const card = await findCard(req.householdId, req.params.id);
+      if (!card) return res.status(404).json({ error: 'not_found' });
+
+      const current = statementMonthFor(card, today());
+      let to = req.query.to;
+      if (!to) {
+        const last = await pool.query(
+          `SELECT MAX(date) AS date FROM transactions
+           WHERE card_id=$1 AND household_id=$2 AND payment_method='credit_card' AND deleted_at IS NULL`,
+          [card.id, card.household_id]
+        );
+        const lastMonth = last.rows[0].date ? statementMonthFor(card, toDateString(last.rows[0].date)) : current;
+        to = lastMonth > current ? lastMonth : current;
+      }
+      const from = req.query.from || addMonths(current, -5);
+      if (from > to) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'to', code: 'invalid_range', message: 'Deve ser depois de "from"' }],
+        });
+      }
+
+      const statements = await loadStatements(card, from, to);
+      res.json(statements.filter((st) => st.count > 0 || st.paid > 0 || st.month === current));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// GET /api/cards/:id/statements/:month -> one statement with its transactions and payments
+app.get(
+  '/api/cards/:id/statements/:month',
+  requireUserId,
+  validate(schemas.statementParams, 'params'),
+  async (req, res) => {
+    try {
+      const card = await findCard(req.householdId, req.params.id);
+      if (!card) return res.status(404).json({ error: 'not_found' });
+      const [statement] = await loadStatements(card, req.params.month, req.params.month, true);
+      res.json(statement);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/cards/:id/statements/:month/payments { amount?, date?, accountId? }
+ * Without an amount the remaining balance is paid. Payments only free up the
+ * card limit; the purchases themselves were already counted as expenses.
+ * With accountId the payment is taken from that account's balance.
+ */
+app.post(
+  '/api/cards/:id/statements/:month/payments',
+  requireUserId,
+  validate(schemas.statementParams, 'params'),
+  validate(schemas.cardPayment),
+  validateAccountLinks,
+  async (req, res) => {
+    try {
+      const card = await findCard(req.householdId, req.params.id);
+      if (!card) return res.status(404).json({ error: 'not_found' });
+      const account = req.body.accountId && (await findAccount(req.householdId, req.body.accountId));
+      if (account && account.currency !== card.currency) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'accountId', code: 'currency_mismatch', message: `A conta deve ser em ${card.currency}` }],
+        });
+      }
+      const [statement] = await loadStatements(card, req.params.month, req.params.month);
+      const amount = req.body.amount || statement.balance;
+      if (!(amount > 0)) return res.status(409).json({ error: 'nothing_due' });
+
+      const id = await withTransaction(async (db) => {
+        const r = await db.query(
+          `INSERT INTO card_payments (household_id, card_id, statement_month, amount, date, account_id)
+           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+          [req.householdId, card.id, req.params.month, amount, req.body.date || today(), req.body.accountId]
+        );
+        await logChange(db, req, 'card_payments', [r.rows[0].id], 'create');
+        return r.rows[0].id;
+      });
+      res.json({ success: true, id, amount });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/cards/:id/payments/:paymentId',
+  requireUserId,
+  validate(schemas.cardPaymentParams, 'params'),
+  async (req, res) => {
+    try {
+      const found = await withTransaction(async (db) => {
+        const d = await db.query(
+          `DELETE FROM card_payments p USING cards c
+           WHERE p.id=$1 AND p.card_id=$2 AND p.household_id=$3 AND c.id=p.card_id AND c.deleted_at IS NULL
+           RETURNING to_jsonb(p) AS row`,
+          [req.params.paymentId, req.params.id, req.householdId]
+        );
+        if (d.rowCount === 0) return false;
+        await writeAudit(db, req, 'card_payments', 'delete', [{ id: req.params.paymentId, before: d.rows[0].row }]);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Investments (multi-user)
+ * --------------------
+ * An investment is a position built from events (buy / contribution put money
+ * in, sell / dividend take it out) and dated market value snapshots. Its value
+ * on a date is the latest snapshot up to then, plus buys and contributions
+ * minus sells recorded after it; with no snapshot it is valued at cost.
+ * Return = value + sold + dividends - invested, as a share of invested.
+ * Amounts are in the investment's currency; totals across investments are in
+ * the base currency, at the rate of the date they are valued on.
+ */
+const SNAPSHOT_CSV_COLUMNS = {
+  asset: ['ATIVO', 'INVESTIMENTO', 'NOME', 'TICKER'],
+  date: ['DATA'],
+  value: ['VALOR', 'SALDO'],
+};
+
+function formatInvestmentEvent(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    date: toDateString(row.date),
+    amount: parseFloat(row.amount),
+    quantity: row.quantity === null ? null : parseFloat(row.quantity),
+    note: row.note,
+  };
+}
+
+function formatSnapshot(row) {
+  return { date: toDateString(row.date), value: parseFloat(row.value) };
+}
+
+// events and snapshots of one investment, sorted by date.
+function investmentPosition(events, snapshots, asOf) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const snapshot = snapshots.filter((s) => s.date <= asOf).pop();
+  let invested = 0;
+  let withdrawn = 0;
+  let dividends = 0;
+  let quantity = 0;
+  let sinceSnapshot = 0;
+  for (const event of events) {
+    if (event.date > asOf) break;
+    if (event.type === 'dividend') {
+      dividends += event.amount;
+      continue;
+    }
+    const sign = event.type === 'sell' ? -1 : 1;
+    if (sign > 0) invested += event.amount;
+    else withdrawn += event.amount;
+    if (event.quantity) quantity += sign * event.quantity;
+    if (!snapshot || event.date > snapshot.date) sinceSnapshot += sign * event.amount;
+  }
+  const value = Math.max(0, round((snapshot ? snapshot.value : 0) + sinceSnapshot));
+  const returnAmount = round(value + withdrawn + dividends - invested);
+  return {
+    quantity: Math.round(quantity * 1e8) / 1e8,
+    invested: round(invested),
+    withdrawn: round(withdrawn),
+    dividends: round(dividends),
+    value,
+    returnAmount,
+    returnPercent: invested > 0 ? round((returnAmount / invested) * 100) : null,
+    valuedAt: snapshot ? snapshot.date : null,
+  };
+}
+
+// `position` with its amounts in the base currency, at the rate of `asOf` (rates from baseRates).
+function positionInBase(position, rates, currency, asOf) {
+  const converted = { ...position };
+  for (const field of ['invested', 'withdrawn', 'dividends', 'value', 'returnAmount']) {
+    converted[field] = toBase(rates, position[field], currency, asOf);
+  }
+  return converted;
+}
+
+function sumPositions(positions) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const sum = (field) => round(positions.reduce((acc, p) => acc + p[field], 0));
+  const invested = sum('invested');
+  const returnAmount = sum('returnAmount');
+  return {
+    invested,
+    withdrawn: sum('withdrawn'),
+    dividends: sum('dividends'),
+    value: sum('value'),
+    returnAmount,
+    returnPercent: invested > 0 ? round((returnAmount / invested) * 100) : null,
+  };
+}
+
+// -> [{ row, events, snapshots }] for the household's investments (or just `investmentId`).
+async function loadInvestments(db, householdId, investmentId = null) {
+  const filter = investmentId ? 'AND i.id=$2' : '';
+  const params = investmentId ? [householdId, investmentId] : [householdId];
+  const investments = await db.query(
+    `SELECT * FROM investments i WHERE i.household_id=$1 AND i.deleted_at IS NULL ${filter} ORDER BY i.id`,
+    params
+  );
+  const events = await db.query(
+    `SELECT e.* FROM investment_events e JOIN investments i ON i.id=e.investment_id
+     WHERE i.household_id=$1 AND i.deleted_at IS NULL ${filter} ORDER BY e.date ASC, e.id ASC`,
+    params
+  );
+  const snapshots = await db.query(
+    `SELECT s.* FROM investment_snapshots s JOIN investments i ON i.id=s.investment_id
+     WHERE i.household_id=$1 AND i.deleted_at IS NULL ${filter} ORDER BY s.date ASC`,
+    params
+  );
+  return investments.rows.map((row) => ({
+    row,
+    events: events.rows.filter((e) => e.investment_id === row.id).map(formatInvestmentEvent),
+    snapshots: snapshots.rows.filter((s) => s.investment_id === row.id).map(formatSnapshot),
+  }));
+}
+
+function formatInvestment({ row, events, snapshots }, asOf) {
+  return {
+    id: row.id,
+    name: row.name,
+    assetClass: row.asset_class,
+    type: row.type,
+    ticker: row.ticker,
+    currency: row.currency,
+    ...investmentPosition(events, snapshots, asOf),
+    ...rowVersion(row),
+  };
+}
+
+// CSV with a header row; the decimal separator is whichever of ',' / '.' comes last in the value.
+function parseSnapshotCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const rows = parseCsv(text, detectDelimiter(text));
+  if (rows.length === 0) return { rows: [], errors: [{ row: null, message: 'Arquivo vazio' }] };
+
+  const header = rows[0].cells.map(normalizeText);
+  const columns = {};
+  for (const [field, names] of Object.entries(SNAPSHOT_CSV_COLUMNS)) {
+    columns[field] = header.findIndex((cell) => names.includes(cell));
+    if (columns[field] === -1) {
+      const message = `Coluna "${names[0].toLowerCase()}" não encontrada`;
+      return { rows: [], errors: [{ row: rows[0].line, message }] };
+    }
+  }
+
+  const parsed = [];
+  const errors = [];
+  for (const { line, cells } of rows.slice(1)) {
+    const asset = String(cells[columns.asset] || '').trim();
+    const date = parseImportDate(cells[columns.date], 'YYYY-MM-DD');
+    const rawValue = String(cells[columns.value] || '');
+    const value = parseAmount(rawValue, rawValue.lastIndexOf(',') > rawValue.lastIndexOf('.') ? ',' : '.');
+    if (!asset) errors.push({ row: line, message: 'Ativo vazio' });
+    else if (!date) errors.push({ row: line, message: `Data inválida: "${cells[columns.date] || ''}"` });
+    else if (value === null || value < 0) errors.push({ row: line, message: `Valor inválido: "${rawValue}"` });
+    else parsed.push({ row: line, asset, date, value });
+  }
+  return { rows: parsed, errors };
+}
+
+async function upsertSnapshot(db, req, investmentId, date, value) {
+  const found = await db.query(
+    'SELECT to_jsonb(s) AS row FROM investment_snapshots s WHERE investment_id=$1 AND date=$2 FOR UPDATE',
+    [investmentId, date]
+  );
+  const before = found.rows.length > 0 ? found.rows[0].row : null;
+  const r = await db.query(
+    `INSERT INTO investment_snapshots (investment_id, date, value) VALUES ($1,$2,$3)
+     ON CONFLICT (investment_id, date) DO UPDATE SET value=EXCLUDED.value
+     RETURNING to_jsonb(investment_snapshots) AS row`,
+    [investmentId, date, value]
+  );
+  await logUpsert(db, req, 'investment_snapshots', r.rows[0].row.id, before, r.rows[0].row);
+}
+
+// GET /api/investments -> positions today, with baseValue: the value in the base currency
+app.get('/api/investments', requireUserId, async (req, res) => {
+  try {
+    const now = today();
+    const investments = await loadInvestments(pool, req.householdId);
+    const keys = investments.map(({ row }) => ({ currency: row.currency, date: now }));
+    const rates = await baseRates(pool, req.householdId, keys);
+    res.json(
+      investments.map((investment) => {
+        const position = formatInvestment(investment, now);
+        return { ...position, baseValue: toBase(rates, position.value, position.currency, now) };
+      })
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/investments/summary?months=12
+ *   { invested, withdrawn, dividends, value, returnAmount, returnPercent,
+ *     allocation: [{ assetClass, label, value, percent }],
+ *     history: [{ month, invested, value, returnAmount }] }
+ * history is valued at each month's last day (today for the current month).
+ * Everything is in the base currency.
+ */
+app.get(
+  '/api/investments/summary',
+  requireUserId,
+  validate(schemas.investmentSummaryQuery, 'query'),
+  async (req, res) => {
+    try {
+      const now = today();
+      const month = currentMonth();
+      const investments = await loadInvestments(pool, req.householdId);
+      const months = [];
+      for (let m = addMonths(month, 1 - req.query.months); m <= month; m = addMonths(m, 1)) {
+        months.push({ month: m, asOf: m === month ? now : monthBounds(m).to });
+      }
+      const rates = await baseRates(
+        pool,
+        req.householdId,
+        investments.flatMap(({ row }) => months.map(({ asOf }) => ({ currency: row.currency, date: asOf })))
+      );
+
+      const positions = investments.map((investment) => {
+        const position = formatInvestment(investment, now);
+        return positionInBase(position, rates, position.currency, now);
+      });
+      const totals = sumPositions(positions);
+
+      const allocation = Object.entries(ASSET_CLASSES)
+        .map(([assetClass, label]) => {
+          const value = sumPositions(positions.filter((p) => p.assetClass === assetClass)).value;
+          const percent = totals.value > 0 ? Math.round((value / totals.value) * 10000) / 100 : 0;
+          return { assetClass, label, value, percent };
+        })
+        .filter((a) => a.value > 0);
+
+      const history = months.map(({ month: m, asOf }) => {
+        const { invested, value, returnAmount } = sumPositions(
+          investments.map(({ row, events, snapshots }) =>
+            positionInBase(investmentPosition(events, snapshots, asOf), rates, row.currency, asOf)
+          )
+        );
+        return { month: m, invested, value, returnAmount };
+      });
+
+      res.json({ ...totals, allocation, history });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/investments/snapshots/import { content, dryRun }
+ *   { items: [{ row, investmentId, name, date, value }], errors: [{ row, message }], imported }
+ * The CSV needs the columns ativo (name or ticker), data and valor, in any order.
+ * Valid rows replace the snapshot of that investment and date; dryRun saves nothing.
+ */
+app.post(
+  '/api/investments/snapshots/import',
+  requireUserId,
+  validate(schemas.investmentSnapshotImport),
+  async (req, res) => {
+    try {
+      const { rows, errors } = parseSnapshotCsv(req.body.content);
+      if (rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          error: 'validation_error',
+          fields: [{ field: 'content', code: 'too_long', message: `Máximo de ${IMPORT_MAX_ROWS} linhas por arquivo` }],
+        });
+      }
+
+      const r = await pool.query(
+        'SELECT id, name, ticker FROM investments WHERE household_id=$1 AND deleted_at IS NULL',
+        [req.householdId]
+      );
+      const byKey = new Map();
+      for (const investment of r.rows) {
+        byKey.set(normalizeText(investment.name), investment);
+        if (investment.ticker) byKey.set(normalizeText(investment.ticker), investment);
+      }
+
+      const items = [];
+      for (const row of rows) {
+        const investment = byKey.get(normalizeText(row.asset));
+        if (!investment) errors.push({ row: row.row, message: `Ativo não encontrado: "${row.asset}"` });
+        else {
+          const { date, value } = row;
+          items.push({ row: row.row, investmentId: investment.id, name: investment.name, date, value });
+        }
+      }
+      errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+
+      if (!req.body.dryRun && items.length > 0) {
+        await withTransaction(async (db) => {
+          for (const item of items) await upsertSnapshot(db, req, item.investmentId, item.date, item.value);
+        });
+      }
+      res.json({ items, errors, imported: req.body.dryRun ? 0 : items.length });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// POST with `value` records it as the initial contribution and today's snapshot.
+app.post('/api/investments', requireUserId, validate(schemas.investment), async (req, res) => {
+  const { name, assetClass, type, ticker, currency, value } = req.body;
+  try {
+    const id = await withTransaction(async (db) => {
+      const r = await db.query(
+        `INSERT INTO investments (household_id, name, asset_class, type, ticker, currency)
+         VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+        [req.householdId, name, assetClass, type, ticker, currency || req.baseCurrency]
+      );
+      const investmentId = r.rows[0].id;
+      await logChange(db, req, 'investments', [investmentId], 'create');
+      if (value > 0) {
+        const e = await db.query(
+          `INSERT INTO investment_events (investment_id, type, date, amount, note)
+           VALUES ($1, 'contribution', $2, $3, 'Saldo inicial') RETURNING id`,
+          [investmentId, today(), value]
+        );
+        await logChange(db, req, 'investment_events', [e.rows[0].id], 'create');
+      }
+      if (value !== null) await upsertSnapshot(db, req, investmentId, today(), value);
+      return investmentId;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/investments/:id
+ *   { ...position, events: [...newest first], snapshots: [...newest first], history: [{ date, invested, value }] }
+ * history has a point on every event or snapshot date, and today.
+ */
+app.get('/api/investments/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const now = today();
+    const [investment] = await loadInvestments(pool, req.householdId, req.params.id);
+    if (!investment) return res.status(404).json({ error: 'not_found' });
+
+    const { events, snapshots } = investment;
+    const dates = [...new Set([...events, ...snapshots].map((item) => item.date).concat(now))].sort();
+    const history = dates.map((date) => {
+      const { invested, value } = investmentPosition(events, snapshots, date);
+      return { date, invested, value };
+    });
+
+    res.json({
+      ...formatInvestment(investment, now),
+      events: [...events].reverse(),
+      snapshots: [...snapshots].reverse(),
+      history,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// `value` is ignored here: it only changes through events and snapshots. A null currency keeps it.
+app.put('/api/investments/:id', requireUserId, validateId, validate(schemas.investment), async (req, res) => {
+  const { name, assetClass, type, ticker, currency, version } = req.body;
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'investments', req.params.id, req.householdId, version);
+      if (!lock.before) return lock;
+      const u = await db.query(
+        `UPDATE investments SET name=$1, asset_class=$2, type=$3, ticker=$4, currency=COALESCE($5, currency)
+         WHERE id=$6 RETURNING version`,
+        [name, assetClass, type, ticker, currency, req.params.id]
+      );
+      await logChange(db, req, 'investments', [req.params.id], 'update', lock.before);
+      return { status: 200, body: { success: true, version: u.rows[0].version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.delete('/api/investments/:id', requireUserId, validateId, async (req, res) => {
+  try {
+    const result = await withTransaction(async (db) => {
+      const lock = await lockForUpdate(db, 'investments', req.params.id, req.householdId);
+      if (!lock.before) return lock;
+      await db.query('UPDATE investments SET deleted_at=NOW() WHERE id=$1', [req.params.id]);
+      await logChange(db, req, 'investments', [req.params.id], 'delete', lock.before);
+      return { status: 200, body: { success: true, id: Number(req.params.id) } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/investments/:id/events { type, date, amount, quantity, note }
+ * A sell with a quantity can't exceed the quantity held.
+ */
+app.post(
+  '/api/investments/:id/events',
+  requireUserId,
+  validateId,
+  validate(schemas.investmentEvent),
+  async (req, res) => {
+    const { type, amount, quantity, note } = req.body;
+    const date = req.body.date || today();
+    try {
+      const result = await withTransaction(async (db) => {
+        const i = await db.query(
+          'SELECT id FROM investments WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL FOR UPDATE',
+          [req.params.id, req.householdId]
+        );
+        if (i.rows.length === 0) return 'not_found';
+        if (type === 'sell' && quantity) {
+          const [investment] = await loadInvestments(db, req.householdId, req.params.id);
+          if (quantity > investmentPosition(investment.events, [], date).quantity) return 'insufficient_quantity';
+        }
+        const r = await db.query(
+          `INSERT INTO investment_events (investment_id, type, date, amount, quantity, note)
+           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+          [req.params.id, type, date, amount, quantity, note]
+        );
+        await logChange(db, req, 'investment_events', [r.rows[0].id], 'create');
+        return r.rows[0].id;
+      });
+      if (result === 'not_found') return res.status(404).json({ error: result });
+      if (result === 'insufficient_quantity') return res.status(409).json({ error: result });
+      res.json({ success: true, id: result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/investments/:id/events/:eventId',
+  requireUserId,
+  validate(schemas.investmentEventParams, 'params'),
+  async (req, res) => {
+    try {
+      const found = await withTransaction(async (db) => {
+        const d = await db.query(
+          `DELETE FROM investment_events e USING investments i
+           WHERE e.id=$1 AND e.investment_id=$2 AND i.id=e.investment_id AND i.household_id=$3 AND i.deleted_at IS NULL
+           RETURNING to_jsonb(e) AS row`,
+          [req.params.eventId, req.params.id, req.householdId]
+        );
+        if (d.rowCount === 0) return false;
+        await writeAudit(db, req, 'investment_events', 'delete', [{ id: req.params.eventId, before: d.rows[0].row }]);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// PUT /api/investments/:id/snapshots/:date { value } -> market value of the whole position on that date
+app.put(
+  '/api/investments/:id/snapshots/:date',
+  requireUserId,
+  validate(schemas.investmentSnapshotParams, 'params'),
+  validate(schemas.investmentSnapshot),
+  async (req, res) => {
+    try {
+      const found = await withTransaction(async (db) => {
+        const i = await db.query('SELECT id FROM investments WHERE id=$1 AND household_id=$2 AND deleted_at IS NULL', [
+          req.params.id,
+          req.householdId,
+        ]);
+        if (i.rows.length === 0) return false;
+        await upsertSnapshot(db, req, req.params.id, req.params.date, req.body.value);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/investments/:id/snapshots/:date',
+  requireUserId,
+  validate(schemas.investmentSnapshotParams, 'params'),
+  async (req, res) => {
+    try {
+      const found = await withTransaction(async (db) => {
+        const d = await db.query(
+          `DELETE FROM investment_snapshots s USING investments i
+           WHERE s.investment_id=$1 AND s.date=$2 AND i.id=s.investment_id
+             AND i.household_id=$3 AND i.deleted_at IS NULL
+           RETURNING to_jsonb(s) AS row`,
+          [req.params.id, req.params.date, req.householdId]
+        );
+        if (d.rowCount === 0) return false;
+        const before = d.rows[0].row;
+        await writeAudit(db, req, 'investment_snapshots', 'delete', [{ id: before.id, before }]);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Budgets (multi-user, upsert by category)
+ * --------------------
+ * A budget is a monthly expense limit for a category. A new limit applies
+ * from a given month on (the current one by default) and earlier months keep
+ * the limit they had; a single month can also be overridden. With rollover,
+ * what is left (or overspent) at the end of a month moves into the next one.
+ * Limits, spending and planned income are in the base currency.
+ */
+const BUDGET_ALERT_THRESHOLDS = [80, 100]; // % of the amount available in the month
+
+function formatBudget(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    limit: parseFloat(row.limit_amount),
+    rollover: row.rollover,
+    alerts: row.alerts,
+    ...rowVersion(row),
+  };
+}
+
+// The household's live budget for `category` as JSON (see auditRows), locked; null when there is none.
+async function lockBudget(db, householdId, category) {
+  const r = await db.query(
+    'SELECT to_jsonb(b) AS row FROM budgets b WHERE household_id=$1 AND category=$2 AND deleted_at IS NULL FOR UPDATE',
+    [householdId, category]
+  );
+  return r.rows.length > 0 ? r.rows[0].row : null;
+}
+
+// Sets a budget_limits row (budget, month, override), logging the change.
+async function upsertBudgetLimit(db, req, budgetId, month, limit, override) {
+  const found = await db.query(
+    'SELECT to_jsonb(l) AS row FROM budget_limits l WHERE budget_id=$1 AND month=$2 AND override=$3',
+    [budgetId, month, override]
+  );
+  const r = await db.query(
+    `INSERT INTO budget_limits (budget_id, month, limit_amount, override) VALUES ($1,$2,$3,$4)
+     ON CONFLICT (budget_id, month, override) DO UPDATE SET limit_amount=EXCLUDED.limit_amount
+     RETURNING to_jsonb(budget_limits) AS row`,
+    [budgetId, month, limit, override]
+  );
+  const before = found.rows.length > 0 ? found.rows[0].row : null;
+  await logUpsert(db, req, 'budget_limits', r.rows[0].row.id, before, r.rows[0].row);
+}
+
+// Makes `limit` the budget's limit from `month` on; budgets.limit_amount follows the latest one.
+async function setBudgetLimit(db, req, budgetId, limit, month) {
+  await upsertBudgetLimit(db, req, budgetId, month, limit, false);
+  await db.query(
+    `UPDATE budgets SET limit_amount=(
+       SELECT limit_amount FROM budget_limits WHERE budget_id=$1 AND NOT override ORDER BY month DESC LIMIT 1
+     ) WHERE id=$1`,
+    [budgetId]
+  );
+}
+
+// `limits` sorted by month. Months before the first recorded limit use that first limit.
+function budgetLimitFor(limits, month) {
+  const override = limits.find((l) => l.override && l.month === month);
+  if (override) return { limit: parseFloat(override.limit_amount), override: true };
+  const defaults = limits.filter((l) => !l.override);
+  const current = defaults.filter((l) => l.month <= month).pop() || defaults[0];
+  return { limit: current ? parseFloat(current.limit_amount) : 0, override: false };
+}
+
+// The household's live budgets, with their budget_limits rows by budget id (sorted as budgetLimitFor expects).
+async function loadBudgets(householdId) {
+  const b = await pool.query('SELECT * FROM budgets WHERE household_id=$1 AND deleted_at IS NULL ORDER BY id ASC', [
+    householdId,
+  ]);
+  const l = await pool.query(
+    `SELECT l.* FROM budget_limits l JOIN budgets b ON b.id=l.budget_id
+     WHERE b.household_id=$1 AND b.deleted_at IS NULL ORDER BY l.month, l.override`,
+    [householdId]
+  );
+  const limits = new Map(b.rows.map((row) => [row.id, []]));
+  for (const row of l.rows) limits.get(row.budget_id).push(row);
+  return { rows: b.rows, limits };
+}
+
+// `now` (default today) is the day the month-end projection extrapolates from.
+async function budgetStatus(householdId, month, now = today()) {
+  const b = await loadBudgets(householdId);
+  const { limits } = b;
+
+  // Rollover budgets are replayed from their first month, so spending is loaded from there.
+  const firstMonth = (budget) => (limits.get(budget.id)[0] || { month }).month;
+  const from = b.rows
+    .filter((budget) => budget.rollover)
+    .map(firstMonth)
+    .concat(month)
+    .sort()[0];
+  const bounds = monthBounds(month);
+  const s = await pool.query(
+    `SELECT category, to_char(date, 'YYYY-MM') AS month, SUM(${baseAmountSql()}) AS spent
+     FROM ${TRANSACTION_LINES_SQL}
+     WHERE household_id=$1 AND type='expense' AND date >= $2 AND date <= $3 AND category = ANY($4)
+       AND deleted_at IS NULL
+     GROUP BY 1, 2`,
+    [householdId, `${from}-01`, bounds.to, b.rows.map((budget) => budget.category)]
+  );
+  const spentIn = new Map(s.rows.map((row) => [`${row.category}|${row.month}`, parseFloat(row.spent)]));
+  const spentFor = (category, m) => spentIn.get(`${category}|${m}`) || 0;
+
+  const i = await pool.query(
+    `SELECT COALESCE(SUM(${baseAmountSql()}), 0) AS income FROM transactions
+     WHERE household_id=$1 AND type='income' AND date >= $2 AND date <= $3 AND deleted_at IS NULL`,
+    [householdId, bounds.from, bounds.to]
+  );
+  const p = await pool.query('SELECT planned_income FROM budget_months WHERE household_id=$1 AND month=$2', [
+    householdId,
+    month,
+  ]);
+
+  // Month-end projection extrapolates the daily pace; past and future months project what is recorded.
+  const totalDays = daysBetween(bounds.from, bounds.to) + 1;
+  const elapsed = now >= bounds.from && now <= bounds.to ? daysBetween(bounds.from, now) + 1 : null;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const budgets = b.rows.map((budget) => {
+    const history = limits.get(budget.id);
+    let carryOver = 0;
+    if (budget.rollover) {
+      for (let m = firstMonth(budget); m < month; m = addMonths(m, 1)) {
+        carryOver += budgetLimitFor(history, m).limit - spentFor(budget.category, m);
+      }
+    }
+    const { limit, override } = budgetLimitFor(history, month);
+    const available = round(limit + carryOver);
+    const spent = spentFor(budget.category, month);
+    const projected = elapsed ? round((spent / elapsed) * totalDays) : spent;
+    const reached = BUDGET_ALERT_THRESHOLDS.filter((t) => spent > 0 && spent >= (available * t) / 100);
+
+    return {
+      ...formatBudget(budget),
+      limit,
+      override,
+      carryOver: round(carryOver),
+      available,
+      spent,
+      remaining: round(available - spent),
+      projected,
+      projectedOverspend: projected > available,
+      percent: available > 0 ? round((spent / available) * 100) : null,
+      alert: budget.alerts && reached.length > 0 ? reached[reached.length - 1] : null,
+    };
+  });
+
+  const income = parseFloat(i.rows[0].income);
+  const plannedIncome = p.rows[0] ? parseFloat(p.rows[0].planned_income) : null;
+  const allocated = round(budgets.reduce((acc, budget) => acc + budget.limit, 0));
+  const sum = (field) => round(budgets.reduce((acc, budget) => acc + budget[field], 0));
+
+  return {
+    month,
+    income,
+    plannedIncome,
+    allocated,
+    unallocated: round((plannedIncome !== null ? plannedIncome : income) - allocated),
+    totals: {
+      available: sum('available'),
+      spent: sum('spent'),
+      remaining: sum('remaining'),
+      projected: sum('projected'),
+    },
+    budgets,
+    alerts: budgets
+      .filter((budget) => budget.alert)
+      .map((budget) => ({
+        budgetId: budget.id,
+        category: budget.category,
+        threshold: budget.alert,
+        spent: budget.spent,
+        available: budget.available,
+      })),
+  };
+}
+
+app.get('/api/budgets', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM budgets WHERE household_id=$1 AND deleted_at IS NULL ORDER BY id ASC', [
+      req.householdId,
+    ]);
+    res.json(r.rows.map(formatBudget));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/budgets/status?month=2026-10 (defaults to the current month)
+ * Limit, carry-over, spent, remaining and projected month-end amount per
+ * budget, the month's income against everything allocated (envelope
+ * planning) and the budgets that crossed an alert threshold.
+ */
+app.get('/api/budgets/status', requireUserId, validate(schemas.budgetStatusQuery, 'query'), async (req, res) => {
+  try {
+    res.json(await budgetStatus(req.householdId, req.query.month || currentMonth()));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Upsert by category (per household). `month` is when the limit starts (default: current month).
+app.post('/api/budgets', requireUserId, validate(schemas.budget), async (req, res) => {
+  const { category, limit, rollover, alerts, month } = req.body;
+  if (!category) return res.status(400).json({ error: 'missing_fields' });
+
+  try {
+    const id = await withTransaction(async (db) => {
+      const before = await lockBudget(db, req.householdId, category);
+      const r = await db.query(
+        `INSERT INTO budgets (household_id, category, limit_amount, rollover, alerts)
+         VALUES ($1, $2, $3, COALESCE($4, FALSE), COALESCE($5, TRUE))
+         ON CONFLICT (household_id, category) WHERE deleted_at IS NULL DO UPDATE
+           SET rollover=COALESCE($4, budgets.rollover), alerts=COALESCE($5, budgets.alerts)
+         RETURNING id`,
+        [req.householdId, category, limit, rollover, alerts]
+      );
+      const budgetId = r.rows[0].id;
+      await setBudgetLimit(db, req, budgetId, limit, month || currentMonth());
+      const after = await auditRows(db, 'budgets', [budgetId]);
+      await logUpsert(db, req, 'budgets', budgetId, before, after.get(budgetId));
+      return budgetId;
+    });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.put('/api/budgets/:category', requireUserId, validate(schemas.budgetLimit), async (req, res) => {
+  const { limit, rollover, alerts, month, version } = req.body;
+  const { category } = req.params;
+
+  try {
+    const result = await withTransaction(async (db) => {
+      const before = await lockBudget(db, req.householdId, category);
+      if (!before) return { status: 404, body: { error: 'not_found' } };
+      const conflict = versionConflict(before, version);
+      if (conflict) return { status: 409, body: conflict };
+      await db.query('UPDATE budgets SET rollover=COALESCE($2, rollover), alerts=COALESCE($3, alerts) WHERE id=$1', [
+        before.id,
+        rollover,
+        alerts,
+      ]);
+      await setBudgetLimit(db, req, before.id, limit, month || currentMonth());
+      const after = await auditRows(db, 'budgets', [before.id]);
+      await logUpsert(db, req, 'budgets', before.id, before, after.get(before.id));
+      return { status: 200, body: { success: true, version: after.get(before.id).version } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.delete('/api/budgets/:category', requireUserId, async (req, res) => {
+  try {
+    const id = await withTransaction(async (db) => {
+      const before = await lockBudget(db, req.householdId, req.params.category);
+      if (!before) return null;
+      await db.query('UPDATE budgets SET deleted_at=NOW() WHERE id=$1', [before.id]);
+      await writeAudit(db, req, 'budgets', 'delete', [{ id: before.id, before }]);
+      return before.id;
+    });
+    if (!id) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true, id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// PUT /api/budgets/:category/months/2026-12 { limit } -> limit for that month only
+app.put(
+  '/api/budgets/:category/months/:month',
+  requireUserId,
+  validate(schemas.budgetMonthParams, 'params'),
+  validate(schemas.budgetOverride),
+  async (req, res) => {
+    const { category, month } = req.params;
+    try {
+      const found = await withTransaction(async (db) => {
+        const budget = await lockBudget(db, req.householdId, category);
+        if (!budget) return false;
+        await upsertBudgetLimit(db, req, budget.id, month, req.body.limit, true);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/budgets/:category/months/:month',
+  requireUserId,
+  validate(schemas.budgetMonthParams, 'params'),
+  async (req, res) => {
+    const { category, month } = req.params;
+    try {
+      const found = await withTransaction(async (db) => {
+        const d = await db.query(
+          `DELETE FROM budget_limits l USING budgets b
+           WHERE l.budget_id=b.id AND b.household_id=$1 AND b.category=$2 AND l.month=$3 AND l.override
+             AND b.deleted_at IS NULL
+           RETURNING to_jsonb(l) AS row`,
+          [req.householdId, category, month]
+        );
+        if (d.rowCount === 0) return false;
+        await writeAudit(db, req, 'budget_limits', 'delete', [{ id: d.rows[0].row.id, before: d.rows[0].row }]);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// PUT /api/budgets/plan/2026-10 { income } -> income planned for the month (envelope planning)
+app.put(
+  '/api/budgets/plan/:month',
+  requireUserId,
+  validate(schemas.budgetPlanParams, 'params'),
+  validate(schemas.budgetPlan),
+  async (req, res) => {
+    const { month } = req.params;
+    try {
+      await withTransaction(async (db) => {
+        const found = await db.query(
+          'SELECT to_jsonb(m) AS row FROM budget_months m WHERE household_id=$1 AND month=$2 FOR UPDATE',
+          [req.householdId, month]
+        );
+        const r = await db.query(
+          `INSERT INTO budget_months (household_id, month, planned_income) VALUES ($1,$2,$3)
+           ON CONFLICT (household_id, month) DO UPDATE SET planned_income=EXCLUDED.planned_income
+           RETURNING to_jsonb(budget_months) AS row`,
+          [req.householdId, month, req.body.income]
+        );
+        const before = found.rows.length > 0 ? found.rows[0].row : null;
+        await logUpsert(db, req, 'budget_months', month, before, r.rows[0].row);
+      });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete(
+  '/api/budgets/plan/:month',
+  requireUserId,
+  validate(schemas.budgetPlanParams, 'params'),
+  async (req, res) => {
+    try {
+      const found = await withTransaction(async (db) => {
+        const d = await db.query(
+          'DELETE FROM budget_months m WHERE household_id=$1 AND month=$2 RETURNING to_jsonb(m) AS row',
+          [req.householdId, req.params.month]
+        );
+        if (d.rowCount === 0) return false;
+        await writeAudit(db, req, 'budget_months', 'delete', [{ id: req.params.month, before: d.rows[0].row }]);
+        return true;
+      });
+      if (!found) return res.status(404).json({ error: 'not_found' });
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Reports (multi-user)
+ * --------------------
+ * Dashboard aggregates computed in SQL. Every endpoint accepts the same
+ * filters as GET /api/transactions (from, to, type, category, ...), so the
+ * numbers always match the transaction list. Months are YYYY-MM and default to
+ * the current month on the server clock; clients should send their own.
+ * Amounts are in the base currency, each at the rate of its transaction's date.
+ * They read split transactions line by line (TRANSACTION_LINES_SQL), so with a
+ * category filter a split purchase counts only its lines in that category.
+ */
+const money = (value) => parseFloat(value || 0);
+
+// GET /api/reports/monthly?month=2026-10&months=12 -> income / expense / net per month, oldest first
+app.get('/api/reports/monthly', requireUserId, validate(schemas.monthlyReport, 'query'), async (req, res) => {
+  try {
+    const last = req.query.month || currentMonth();
+    const first = addMonths(last, -(req.query.months - 1));
+    const { where, params } = transactionFilters(req.householdId, req.query, true);
+    params.push(`${first}-01`, monthBounds(last).to);
+
+    const result = await pool.query(
+      `SELECT to_char(date, 'YYYY-MM') AS month,
+              SUM(${baseAmountSql()}) FILTER (WHERE type='income') AS income,
+              SUM(${baseAmountSql()}) FILTER (WHERE type='expense') AS expense
+       FROM ${TRANSACTION_LINES_SQL}
+       WHERE ${where.join(' AND ')} AND date >= $${params.length - 1} AND date <= $${params.length}
+       GROUP BY 1`,
+      params
+    );
+    const byMonth = new Map(result.rows.map((row) => [row.month, row]));
+
+    const series = [];
+    for (let i = 0; i < req.query.months; i++) {
+      const month = addMonths(first, i);
+      const row = byMonth.get(month);
+      const income = money(row && row.income);
+      const expense = money(row && row.expense);
+      series.push({ month, income, expense, net: income - expense });
+    }
+    res.json(series);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/reports/categories?from=2026-10-01&to=2026-10-31
+ * Spend (or income, with type=income) per category and subcategory, compared
+ * with the previous calendar month when the period is a whole month, otherwise
+ * with the period of the same length right before `from`. Defaults to the
+ * current month and type=expense.
+ */
+app.get('/api/reports/categories', requireUserId, validate(schemas.categoryReport, 'query'), async (req, res) => {
+  try {
+    const period = monthBounds(currentMonth());
+    if (req.query.from) period.from = req.query.from;
+    if (req.query.to) period.to = req.query.to;
+    if (period.from > period.to) {
+      return res.status(400).json({
+        error: 'validation_error',
+        fields: [{ field: 'to', code: 'invalid_range', message: 'Deve ser depois de "from"' }],
+      });
+    }
+    const month = period.from.slice(0, 7);
+    const wholeMonth = period.from === monthBounds(month).from && period.to === monthBounds(month).to;
+    const days = daysBetween(period.from, period.to) + 1;
+    const previous = wholeMonth
+      ? monthBounds(addMonths(month, -1))
+      : { from: addDays(period.from, -days), to: addDays(period.from, -1) };
+
+    const query = { ...req.query, from: previous.from, to: period.to, type: req.query.type || 'expense' };
+    const { where, params } = transactionFilters(req.householdId, query, true);
+    params.push(period.from);
+
+    const result = await pool.query(
+      `SELECT COALESCE(category, '') AS category, COALESCE(subcategory, '') AS subcategory,
+              SUM(${baseAmountSql()}) FILTER (WHERE date >= $${params.length}) AS total,
+              SUM(${baseAmountSql()}) FILTER (WHERE date < $${params.length}) AS previous_total
+       FROM ${TRANSACTION_LINES_SQL}
+       WHERE ${where.join(' AND ')}
+       GROUP BY 1, 2`,
+      params
+    );
+
+    const change = (total, previousTotal) => ({
+      change: total - previousTotal,
+      changePct: previousTotal > 0 ? ((total - previousTotal) / previousTotal) * 100 : null,
+    });
+
+    const categories = new Map();
+    for (const row of result.rows) {
+      const total = money(row.total);
+      const previousTotal = money(row.previous_total);
+      if (!categories.has(row.category)) {
+        categories.set(row.category, { category: row.category, total: 0, previousTotal: 0, subcategories: [] });
+      }
+      const entry = categories.get(row.category);
+      entry.total += total;
+      entry.previousTotal += previousTotal;
+      entry.subcategories.push({ subcategory: row.subcategory, total, previousTotal, ...change(total, previousTotal) });
+    }
+
+    const list = [...categories.values()]
+      .map((entry) => ({
+        ...entry,
+        ...change(entry.total, entry.previousTotal),
+        subcategories: entry.subcategories.sort((a, b) => b.total - a.total),
+      }))
+      .sort((a, b) => b.total - a.total);
+
+    res.json({
+      period,
+      previousPeriod: previous,
+      total: list.reduce((acc, c) => acc + c.total, 0),
+      previousTotal: list.reduce((acc, c) => acc + c.previousTotal, 0),
+      categories: list,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/reports/cash-flow?month=2026-10
+ * One entry per day of the month with the running balance, starting from
+ * everything recorded before the 1st (openingBalance).
+ */
+app.get('/api/reports/cash-flow', requireUserId, validate(schemas.cashFlowReport, 'query'), async (req, res) => {
+  try {
+    const { from, to } = monthBounds(req.query.month || currentMonth());
+    const { where, params } = transactionFilters(req.householdId, req.query, true);
+    params.push(from, to);
+    const startParam = `$${params.length - 1}`;
+    const endParam = `$${params.length}`;
+
+    const [opening, daily] = await Promise.all([
+      pool.query(
+        `SELECT SUM(CASE type WHEN 'income' THEN 1 WHEN 'expense' THEN -1 ELSE 0 END * ${baseAmountSql()}) AS balance
+         FROM ${TRANSACTION_LINES_SQL} WHERE ${where.join(' AND ')} AND date < ${startParam}`,
+        params.slice(0, -1)
+      ),
+      pool.query(
+        `SELECT to_char(date, 'YYYY-MM-DD') AS date,
+                SUM(${baseAmountSql()}) FILTER (WHERE type='income') AS income,
+                SUM(${baseAmountSql()}) FILTER (WHERE type='expense') AS expense
+         FROM ${TRANSACTION_LINES_SQL}
+         WHERE ${where.join(' AND ')} AND date >= ${startParam} AND date <= ${endParam}
+         GROUP BY 1`,
+        params
+      ),
+    ]);
+    const byDay = new Map(daily.rows.map((row) => [row.date, row]));
+
+    const openingBalance = money(opening.rows[0].balance);
+    let balance = openingBalance;
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const row = byDay.get(date);
+      const income = money(row && row.income);
+      const expense = money(row && row.expense);
+      balance += income - expense;
+      days.push({ date, income, expense, net: income - expense, balance });
+    }
+
+    res.json({
+      openingBalance,
+      income: days.reduce((acc, d) => acc + d.income, 0),
+      expense: days.reduce((acc, d) => acc + d.expense, 0),
+      closingBalance: balance,
+      days,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// GET /api/reports/merchants?from=...&to=...&limit=10 -> biggest descriptions by total (type defaults to expense)
+app.get('/api/reports/merchants', requireUserId, validate(schemas.merchantReport, 'query'), async (req, res) => {
+  try {
+    const query = { ...req.query, type: req.query.type || 'expense' };
+    const { where, params } = transactionFilters(req.householdId, query, true);
+    params.push(req.query.limit);
+
+    const result = await pool.query(
+      `SELECT (array_agg(description ORDER BY date DESC, id DESC))[1] AS description,
+              COUNT(DISTINCT id)::int AS count,
+              SUM(${baseAmountSql()}) AS total,
+              to_char(MAX(date), 'YYYY-MM-DD') AS last_date
+       FROM ${TRANSACTION_LINES_SQL}
+       WHERE ${where.join(' AND ')}
+       GROUP BY LOWER(TRIM(description))
+       ORDER BY SUM(${baseAmountSql()}) DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.json(
+      result.rows.map((row) => ({
+        description: row.description,
+        count: row.count,
+        total: money(row.total),
+        lastDate: row.last_date,
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/reports/members?from=2026-10-01&to=2026-10-31
+ *   [{ memberId, name, income, expense, count }] by expense, biggest first
+ * Who spent what; memberId null is what belongs to the whole household. Defaults to the current month.
+ */
+app.get('/api/reports/members', requireUserId, validate(schemas.memberReport, 'query'), async (req, res) => {
+  try {
+    const { from, to } = monthBounds(currentMonth());
+    const query = { ...req.query, from: req.query.from || from, to: req.query.to || to };
+    const { where, params } = transactionFilters(req.householdId, query, true);
+
+    const result = await pool.query(
+      `SELECT t.member_id, u.name,
+              SUM(t.amount) FILTER (WHERE t.type='income') AS income,
+              SUM(t.amount) FILTER (WHERE t.type='expense') AS expense,
+              COUNT(DISTINCT t.id)::int AS count
+       FROM (
+         SELECT id, member_id, type, ${baseAmountSql()} AS amount FROM ${TRANSACTION_LINES_SQL}
+         WHERE ${where.join(' AND ')}
+       ) t
+       LEFT JOIN users u ON u.id=t.member_id
+       GROUP BY 1, 2
+       ORDER BY 4 DESC NULLS LAST, 3 DESC NULLS LAST`,
+      params
+    );
+
+    res.json(
+      result.rows.map((row) => ({
+        memberId: row.member_id,
+        name: row.name,
+        income: money(row.income),
+        expense: money(row.expense),
+        count: row.count,
+      }))
+    );
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * GET /api/reports/tags?from=2026-10-01&to=2026-10-31
+ *   [{ tag, total, count }] biggest first
+ * Totals per tag (type defaults to expense); a transaction with several tags counts in each. Defaults to the
+ * current month.
+ */
+app.get('/api/reports/tags', requireUserId, validate(schemas.tagReport, 'query'), async (req, res) => {
+  try {
+    const { from, to } = monthBounds(currentMonth());
+    const query = {
+      ...req.query,
+      from: req.query.from || from,
+      to: req.query.to || to,
+      type: req.query.type || 'expense',
+    };
+    const { where, params } = transactionFilters(req.householdId, query, true);
+
+    const result = await pool.query(
+      `SELECT tag, SUM(${baseAmountSql()}) AS total, COUNT(DISTINCT id)::int AS count
+       FROM ${TRANSACTION_LINES_SQL}, UNNEST(tags) AS tag
+       WHERE ${where.join(' AND ')}
+       GROUP BY tag
+       ORDER BY 2 DESC, tag`,
+      params
+    );
+
+    res.json(result.rows.map((row) => ({ tag: row.tag, total: money(row.total), count: row.count })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Net worth (multi-user)
+ * --------------------
+ * Net worth on a date = cash + investments + goals - card debt, where:
+ *  - cash: account opening balances (from their opening dates) plus every
+ *    income / expense not charged to a card, minus card statement payments (the
+ *    money has to come from somewhere even when the payment has no account)
+ *  - investments: position values as computed in the Investments section
+ *  - goals: contribution balances, except contributions linked to a transfer
+ *    (that money is already in an account)
+ *  - card debt: card purchases minus refunds and statement payments
+ * Future-dated rows are left out. Past months come from net_worth_snapshots
+ * when the scheduler already stored them. Everything is in the base currency,
+ * at the rates of the date it is valued on.
+ */
+const NET_WORTH_SAVINGS_MONTHS = 6;
+
+const NET_WORTH_SQL = `
+  SELECT to_char(d.date, 'YYYY-MM-DD') AS date,
+    (SELECT COALESCE(SUM(to_base($1, opening_balance, currency, d.date)), 0)
+     FROM accounts WHERE household_id=$1 AND opening_date <= d.date)
+    + (SELECT COALESCE(SUM(CASE WHEN type='income' THEN 1 ELSE -1 END * to_base($1, amount, currency, d.date)), 0)
+       FROM transactions
+       WHERE household_id=$1 AND type IN ('income', 'expense') AND payment_method IS DISTINCT FROM 'credit_card'
+         AND date <= d.date AND deleted_at IS NULL)
+    - payments.total AS cash,
+    (SELECT COALESCE(SUM(CASE WHEN c.type='deposit' THEN c.amount ELSE -c.amount END), 0)
+     FROM goal_contributions c JOIN goals g ON g.id=c.goal_id LEFT JOIN transactions t ON t.id=c.transaction_id
+     WHERE g.household_id=$1 AND g.deleted_at IS NULL AND c.date <= d.date
+       AND t.type IS DISTINCT FROM 'transfer') AS goals,
+    (SELECT COALESCE(SUM(CASE WHEN type='expense' THEN 1 ELSE -1 END * to_base($1, amount, currency, d.date)), 0)
+     FROM transactions
+     WHERE household_id=$1 AND payment_method='credit_card' AND card_id IS NOT NULL AND date <= d.date
+       AND deleted_at IS NULL)
+    - payments.total AS card_debt
+  FROM UNNEST($2::date[]) AS d(date)
+  CROSS JOIN LATERAL (
+    SELECT COALESCE(SUM(to_base($1, p.amount, c.currency, d.date)), 0) AS total
+    FROM card_payments p JOIN cards c ON c.id=p.card_id WHERE p.household_id=$1 AND p.date <= d.date
+  ) payments`;
+
+function formatNetWorth(row) {
+  return {
+    date: toDateString(row.date),
+    cash: money(row.cash),
+    investments: money(row.investments),
+    goals: money(row.goals),
+    cardDebt: money(row.card_debt),
+    total: money(row.total),
+  };
+}
+
+// -> [{ date, cash, investments, goals, cardDebt, total }] in the order of `dates`
+async function netWorthAt(db, householdId, dates) {
+  const r = await db.query(NET_WORTH_SQL, [householdId, dates]);
+  const investments = await loadInvestments(db, householdId);
+  const rates = await baseRates(
+    db,
+    householdId,
+    investments.flatMap(({ row }) => r.rows.map(({ date }) => ({ currency: row.currency, date })))
+  );
+  return r.rows.map((row) => {
+    const invested = sumPositions(
+      investments.map(({ row: investment, events, snapshots }) =>
+        positionInBase(investmentPosition(events, snapshots, row.date), rates, investment.currency, row.date)
+      )
+    ).value;
+    const total = money(row.cash) + invested + money(row.goals) - money(row.card_debt);
+    return {
+      date: row.date,
+      cash: money(row.cash),
+      investments: invested,
+      goals: money(row.goals),
+      cardDebt: money(row.card_debt),
+      total: Math.round(total * 100) / 100,
+    };
+  });
+}
+
+// Scheduler entry point: stores last month's net worth for every household that doesn't have it yet.
+async function runNetWorthSnapshots(month = addMonths(currentMonth(), -1)) {
+  const households = await pool.query(
+    `SELECT id FROM households h
+     WHERE NOT EXISTS (SELECT 1 FROM net_worth_snapshots s WHERE s.household_id=h.id AND s.month=$1)`,
+    [month]
+  );
+  const date = monthBounds(month).to;
+  let stored = 0;
+  for (const { id } of households.rows) {
+    try {
+      const [w] = await netWorthAt(pool, id, [date]);
+      const r = await pool.query(
+        `INSERT INTO net_worth_snapshots (household_id, month, date, cash, investments, goals, card_debt, total)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT DO NOTHING`,
+        [id, month, date, w.cash, w.investments, w.goals, w.cardDebt, w.total]
+      );
+      stored += r.rowCount;
+    } catch (err) {
+      console.error(`Patrimônio da casa ${id} falhou:`, err);
+    }
+  }
+  return stored;
+}
+
+/*
+ * GET /api/net-worth?months=12
+ *   { current: { date, cash, investments, goals, cardDebt, total },
+ *     history: [{ month, date, cash, investments, goals, cardDebt, total, stored }],
+ *     averageMonthlySavings, savingsMonths }
+ * history ends with the current month (valued today). averageMonthlySavings is
+ * income - expense averaged over the last NET_WORTH_SAVINGS_MONTHS full months
+ * that have transactions (savingsMonths says how many).
+ */
+app.get('/api/net-worth', requireUserId, validate(schemas.netWorthQuery, 'query'), async (req, res) => {
+  try {
+    const now = today();
+    const month = currentMonth();
+    const first = addMonths(month, 1 - req.query.months);
+
+    const stored = await pool.query(
+      'SELECT * FROM net_worth_snapshots WHERE household_id=$1 AND month >= $2 AND month < $3',
+      [req.householdId, first, month]
+    );
+    const byMonth = new Map(stored.rows.map((row) => [row.month, formatNetWorth(row)]));
+
+    const months = [];
+    for (let m = first; m <= month; m = addMonths(m, 1)) months.push(m);
+    const missing = months.filter((m) => !byMonth.has(m));
+    const computed = await netWorthAt(
+      pool,
+      req.householdId,
+      missing.map((m) => (m === month ? now : monthBounds(m).to))
+    );
+    missing.forEach((m, i) => byMonth.set(m, computed[i]));
+
+    const savings = await pool.query(
+      `SELECT COALESCE(AVG(net), 0) AS average, COUNT(*)::int AS months FROM (
+         SELECT SUM(CASE WHEN type='income' THEN 1 ELSE -1 END * ${baseAmountSql()}) AS net FROM transactions
+         WHERE household_id=$1 AND type IN ('income', 'expense') AND date >= $2 AND date < $3 AND deleted_at IS NULL
+         GROUP BY to_char(date, 'YYYY-MM')
+       ) m`,
+      [req.householdId, `${addMonths(month, -NET_WORTH_SAVINGS_MONTHS)}-01`, `${month}-01`]
+    );
+
+    res.json({
+      current: byMonth.get(month),
+      history: months.map((m) => ({ month: m, ...byMonth.get(m), stored: stored.rows.some((r) => r.month === m) })),
+      averageMonthlySavings: Math.round(money(savings.rows[0].average) * 100) / 100,
+      savingsMonths: savings.rows[0].months,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Forecast (multi-user)
+ * --------------------
+ * Projects the cash balance (the `cash` of Net worth, in the base currency) day
+ * by day from tomorrow to the end of the `months`-th month after the current
+ * one. Entries that move it, by source:
+ *  - transaction: income / expense already recorded with a future date, except
+ *    card purchases (those are paid with the bill)
+ *  - recurring: occurrences not posted or skipped yet; overdue ones and today's
+ *    count on the first day. Those charged to a card go into its bill instead
+ *  - card_bill: each statement's balance on its due date, plus the recurring
+ *    charges projected into it; closed unpaid statements count on the first day
+ * On top of that, variable spending per expense category is spread evenly over
+ * the days left in each month. Its plan is the category's budget when it has
+ * one, minus everything recorded or projected in the category that month;
+ * otherwise the average the category spent over the last
+ * FORECAST_HISTORY_MONTHS full months besides recurring posts and installments,
+ * minus what it already spent that way in the month.
+ * Transfers only move money between accounts, so they are left out.
+ */
+const FORECAST_HISTORY_MONTHS = 3;
+
+// -> Map(category -> average monthly spending besides recurring posts and installments), in the base currency.
+async function variableSpending(householdId, month) {
+  const r = await pool.query(
+    `SELECT category, SUM(${baseAmountSql()}) / GREATEST((
+         SELECT COUNT(DISTINCT to_char(date, 'YYYY-MM')) FROM transactions
+         WHERE household_id=$1 AND date >= $2 AND date < $3 AND deleted_at IS NULL
+       ), 1) AS monthly
+     FROM ${TRANSACTION_LINES_SQL}
+     WHERE household_id=$1 AND type='expense' AND date >= $2 AND date < $3 AND deleted_at IS NULL
+       AND recurring_rule_id IS NULL AND installment_group IS NULL
+     GROUP BY category`,
+    [householdId, `${addMonths(month, -FORECAST_HISTORY_MONTHS)}-01`, `${month}-01`]
+  );
+  return new Map(r.rows.map((row) => [row.category, money(row.monthly)]));
+}
+
+// Pending `occurrences` (dated from `from` on) as forecast entries, those charged to a card inside its bills.
+async function forecastBills(householdId, occurrences, from, to) {
+  const cards = await pool.query('SELECT * FROM cards WHERE household_id=$1 AND deleted_at IS NULL', [householdId]);
+  const cardsById = new Map(cards.rows.map((card) => [card.id, card]));
+  const entries = [];
+  const charged = new Map(); // 'cardId|statement month' -> projected recurring charges
+
+  for (const o of occurrences) {
+    const card = o.paymentMethod === 'credit_card' && cardsById.get(o.cardId);
+    if (card) {
+      const key = `${card.id}|${statementMonthFor(card, o.date)}`;
+      charged.set(key, (charged.get(key) || 0) + (o.type === 'income' ? -o.amount : o.amount));
+      continue;
+    }
+    entries.push({
+      date: o.date,
+      source: 'recurring',
+      description: o.description,
+      type: o.type,
+      amount: o.amount,
+      currency: o.currency,
+      category: o.category,
+      ruleId: o.ruleId,
+    });
+  }
+
+  const lastMonth = to.slice(0, 7);
+  for (const card of cards.rows) {
+    const current = statementMonthFor(card, from);
+    for (const st of await loadStatements(card, addMonths(current, -3), lastMonth)) {
+      const amount = Math.round((st.balance + (charged.get(`${card.id}|${st.month}`) || 0)) * 100) / 100;
+      if (amount <= 0 || st.dueDate > to || (st.dueDate < from && st.status !== 'closed')) continue;
+      entries.push({
+        date: st.dueDate < from ? from : st.dueDate,
+        source: 'card_bill',
+        description: card.name,
+        type: 'expense',
+        amount,
+        currency: card.currency,
+        category: null,
+        cardId: card.id,
+        statementMonth: st.month,
+      });
+    }
+  }
+  return entries;
+}
+
+/*
+ * GET /api/forecast?months=6 (3 to 12)
+ *   { from, to, openingBalance, closingBalance, lowest: { date, balance },
+ *     negativeDates: [{ date, balance }] (the first day of each negative stretch),
+ *     months: [{ month, income, expense, variable, net, closingBalance, lowestBalance }],
+ *     days: [{ date, income, expense, balance }] (expense includes variable spending),
+ *     entries: [{ date, source, description, type, amount, currency, baseAmount, category,
+ *                 transactionId | ruleId | cardId + statementMonth }],
+ *     variableSpending: [{ category, monthly, source: 'budget' | 'history' }] (plans for the current month) }
+ * openingBalance is the cash today. The current month covers only its days from tomorrow on.
+ */
+app.get('/api/forecast', requireUserId, validate(schemas.forecastQuery, 'query'), async (req, res) => {
+  try {
+    const now = today();
+    const from = addDays(now, 1);
+    const to = monthBounds(addMonths(currentMonth(), req.query.months)).to;
+    const firstMonth = from.slice(0, 7);
+
+    const [opening, recorded, spent, occurrences, history, budgets] = await Promise.all([
+      pool.query(NET_WORTH_SQL, [req.householdId, [now]]),
+      pool.query(
+        `SELECT *, ${baseAmountSql()} AS base_amount FROM transactions
+         WHERE household_id=$1 AND date >= $2 AND date <= $3 AND type IN ('income', 'expense')
+           AND payment_method IS DISTINCT FROM 'credit_card' AND deleted_at IS NULL
+         ORDER BY date, id`,
+        [req.householdId, from, to]
+      ),
+      pool.query(
+        `SELECT category, to_char(date, 'YYYY-MM') AS month, SUM(${baseAmountSql()}) AS total,
+                SUM(${baseAmountSql()}) FILTER (
+                  WHERE recurring_rule_id IS NULL AND installment_group IS NULL
+                ) AS variable
+         FROM ${TRANSACTION_LINES_SQL}
+         WHERE household_id=$1 AND type='expense' AND date >= $2 AND date <= $3 AND deleted_at IS NULL
+         GROUP BY 1, 2`,
+        [req.householdId, `${currentMonth()}-01`, to]
+      ),
+      loadOccurrences(req.householdId, from, to),
+      variableSpending(req.householdId, currentMonth()),
+      loadBudgets(req.householdId),
+    ]);
+
+    const pending = occurrences
+      .filter((o) => (o.status === 'upcoming' || o.status === 'overdue') && o.type !== 'transfer')
+      .map((o) => ({ ...o, date: o.date < from ? from : o.date }));
+    const projected = await forecastBills(req.householdId, pending, from, to);
+    const rates = await baseRates(pool, req.householdId, pending.concat(projected));
+    const entries = recorded.rows
+      .map((row) => ({
+        date: toDateString(row.date),
+        source: 'transaction',
+        description: row.description,
+        type: row.type,
+        amount: parseFloat(row.amount),
+        currency: row.currency,
+        baseAmount: money(row.base_amount),
+        category: row.category,
+        transactionId: row.id,
+      }))
+      .concat(
+        projected.map((entry) => ({ ...entry, baseAmount: toBase(rates, entry.amount, entry.currency, entry.date) }))
+      );
+    entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    // What each expense category has recorded or projected per month, to take off its plan.
+    const known = new Map();
+    const addKnown = (category, month, field, amount) => {
+      const key = `${category}|${month}`;
+      const current = known.get(key) || { total: 0, variable: 0 };
+      current[field] += amount;
+      known.set(key, current);
+    };
+    for (const row of spent.rows) {
+      addKnown(row.category, row.month, 'total', money(row.total));
+      addKnown(row.category, row.month, 'variable', money(row.variable));
+    }
+    for (const o of pending.filter((item) => item.type === 'expense')) {
+      addKnown(o.category, o.date.slice(0, 7), 'total', toBase(rates, o.amount, o.currency, o.date));
+    }
+
+    const budgetByCategory = new Map(budgets.rows.map((row) => [row.category, row]));
+    const categories = [...new Set([...history.keys(), ...budgetByCategory.keys()])].sort();
+    const plan = (category, month) => {
+      const budget = budgetByCategory.get(category);
+      return budget
+        ? { monthly: budgetLimitFor(budgets.limits.get(budget.id), month).limit, source: 'budget' }
+        : { monthly: history.get(category), source: 'history' };
+    };
+    const variableLeft = (month) =>
+      categories.reduce((acc, category) => {
+        const { monthly, source } = plan(category, month);
+        const k = known.get(`${category}|${month}`) || { total: 0, variable: 0 };
+        return acc + Math.max(0, monthly - (source === 'budget' ? k.total : k.variable));
+      }, 0);
+
+    const byDay = new Map();
+    for (const entry of entries) {
+      const day = byDay.get(entry.date) || { income: 0, expense: 0 };
+      day[entry.type] += entry.baseAmount;
+      byDay.set(entry.date, day);
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const openingBalance = money(opening.rows[0].cash);
+    let balance = openingBalance;
+    let lowest = { date: now, balance };
+    const days = [];
+    const months = [];
+    const negativeDates = [];
+    let negative = false; // the first projected day is flagged even when the balance is already negative
+    for (let month = firstMonth; month <= to.slice(0, 7); month = addMonths(month, 1)) {
+      const bounds = monthBounds(month);
+      const start = bounds.from > from ? bounds.from : from;
+      const variable = round(variableLeft(month));
+      const perDay = variable / (daysBetween(start, bounds.to) + 1);
+      const summary = { month, income: 0, expense: 0, variable, net: 0, closingBalance: 0, lowestBalance: balance };
+      for (let date = start; date <= bounds.to; date = addDays(date, 1)) {
+        const day = byDay.get(date) || { income: 0, expense: 0 };
+        const expense = day.expense + perDay;
+        balance += day.income - expense;
+        if (balance < 0 && !negative) negativeDates.push({ date, balance: round(balance) });
+        negative = balance < 0;
+        if (balance < lowest.balance) lowest = { date, balance };
+        summary.income += day.income;
+        summary.expense += expense;
+        summary.lowestBalance = Math.min(summary.lowestBalance, balance);
+        days.push({ date, income: round(day.income), expense: round(expense), balance: round(balance) });
+      }
+      months.push({
+        ...summary,
+        income: round(summary.income),
+        expense: round(summary.expense),
+        net: round(summary.income - summary.expense),
+        closingBalance: round(balance),
+        lowestBalance: round(summary.lowestBalance),
+      });
+    }
+
+    res.json({
+      from,
+      to,
+      openingBalance,
+      closingBalance: round(balance),
+      lowest: { date: lowest.date, balance: round(lowest.balance) },
+      negativeDates,
+      months,
+      days,
+      entries,
+      variableSpending: categories.map((category) => ({ category, ...plan(category, currentMonth()) })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Notifications (multi-user)
+ * --------------------
+ * The scheduler builds reminders for every member of every household: card
+ * bills still to pay within the member's cardDueDays, recurring occurrences
+ * within recurringDays (card charges are in the bill), budgets that crossed
+ * an alert threshold this month and unfinished goals whose deadline is within
+ * goalDeadlineDays; on digestWeekday, a summary of the last DIGEST_DAYS too.
+ *
+ * Each one is stored once per user (dedupe_key), which puts it in the in-app
+ * inbox, and sent through every other channel of NOTIFICATION_CHANNELS the
+ * user turned on. Failed deliveries are retried on the following runs, up to
+ * NOTIFICATION_MAX_ATTEMPTS. Preferences, inbox and push subscriptions belong
+ * to the user, whatever household the request is about.
+ */
+const NOTIFICATION_MAX_ATTEMPTS = 3;
+const NOTIFICATION_RETRY_HOURS = 48;
+const DIGEST_DAYS = 7;
+const SMTP_TIMEOUT_MS = 15000;
+const WEB_PUSH_TTL = 24 * 60 * 60; // seconds the push service keeps a message for an offline browser
+const WEB_PUSH_TIMEOUT_MS = 15000;
+// Preference with each reminder's lead time in days (0: off).
+const REMINDER_LEADS = { card_due: 'cardDueDays', recurring: 'recurringDays', goal: 'goalDeadlineDays' };
+const NOTIFICATION_DEFAULTS = validateObject(schemas.notificationPreferences, {}).value;
+
+const NOTIFICATIONS_SQL = `
+  SELECT n.*, h.name AS household_name FROM notifications n LEFT JOIN households h ON h.id=n.household_id`;
+
+// notification_preferences row (or its to_jsonb) -> preferences; null: the defaults.
+function formatPreferences(row) {
+  if (!row) return { ...NOTIFICATION_DEFAULTS };
+  return {
+    email: row.email,
+    emailAddress: row.email_address,
+    push: row.push,
+    cardDueDays: row.card_due_days,
+    recurringDays: row.recurring_days,
+    goalDeadlineDays: row.goal_deadline_days,
+    budgetAlerts: row.budget_alerts,
+    weeklyDigest: row.weekly_digest,
+    digestWeekday: row.digest_weekday,
+  };
+}
+
+function formatNotification(row) {
+  return {
+    id: Number(row.id),
+    household: row.household_id ? { id: row.household_id, name: row.household_name } : null,
+    kind: row.kind,
+    title: row.title,
+    body: row.body,
+    data: row.data,
+    createdAt: new Date(row.created_at).toISOString(),
+    readAt: row.read_at ? new Date(row.read_at).toISOString() : null,
+  };
+}
+
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency }).format(amount);
+  } catch (e) {
+    return `${currency} ${amount.toFixed(2)}`; // not an ISO code (USDT, ...)
+  }
+}
+
+function formatDay(date) {
+  return `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+}
+
+function dueIn(now, date) {
+  const days = daysBetween(now, date);
+  if (days === 0) return 'hoje';
+  return days === 1 ? 'amanhã' : `em ${days} dias`;
+}
+
+function mailAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/*
+ * SMTP: EHLO, STARTTLS whenever the server offers it (unless SMTP_SECURE
+ * already connected over TLS), AUTH PLAIN with SMTP_USER, then one message.
+ */
+function smtpConnect(plainSocket = null) {
+  return new Promise((resolve, reject) => {
+    const servername = net.isIP(smtp.host) ? undefined : smtp.host;
+    let socket;
+    if (plainSocket) socket = tls.connect({ socket: plainSocket, servername }, () => resolve(socket));
+    else if (smtp.secure) socket = tls.connect({ host: smtp.host, port: smtp.port, servername }, () => resolve(socket));
+    else socket = net.connect({ host: smtp.host, port: smtp.port }, () => resolve(socket));
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('Tempo esgotado no servidor SMTP')));
+    socket.once('error', reject);
+  });
+}
+
+// Reads whole (possibly multi-line) replies off `socket`: next() -> { code, lines }.
+function smtpReplies(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+  const settle = () => {
+    while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+    while (failure && waiting.length > 0) waiting.shift().reject(failure);
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onEnd = (err) => {
+    failure = failure || (err instanceof Error ? err : new Error('Conexão SMTP encerrada'));
+    settle();
+  };
+  socket.on('data', onData);
+  socket.on('error', onEnd);
+  socket.on('close', onEnd);
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    // Before STARTTLS hands the socket over to TLS.
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onEnd);
+      socket.off('close', onEnd);
+    },
+  };
+}
+
+function mailMessage({ from, to, subject, text, domain }) {
+  const encodedSubject = /^[\x20-\x7e]*$/.test(subject)
+    ? subject
+    : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`;
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'))
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: <${to}>`,
+    `Subject: ${encodedSubject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+async function sendMail({ to, subject, text }) {
+  const fromAddress = mailAddress(smtp.from);
+  const domain = fromAddress.split('@')[1] || 'localhost';
+  let socket = await smtpConnect();
+  let replies = smtpReplies(socket);
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await replies.next();
+    if (!expected.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`.slice(0, 255));
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const ehlo = await command(`EHLO ${domain}`, [250]);
+    if (!smtp.secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      replies.detach();
+      socket = await smtpConnect(socket);
+      replies = smtpReplies(socket);
+      await command(`EHLO ${domain}`, [250]);
+    }
+    if (smtp.user) {
+      await command(`AUTH PLAIN ${Buffer.from(`\0${smtp.user}\0${smtp.password}`).toString('base64')}`, [235]);
+    }
+    await command(`MAIL FROM:<${fromAddress}>`, [250]);
+    await command(`RCPT TO:<${to}>`, [250, 251]);
+    await command('DATA', [354]);
+    // Base64 lines never start with a dot, so the body needs no dot-stuffing.
+    await command(`${mailMessage({ from: smtp.from, to, subject, text, domain })}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+/*
+ * Web Push: the payload is encrypted for the subscription (RFC 8291,
+ * aes128gcm) and the request signed with the server's VAPID key (RFC 8292).
+ * Endpoints come from the browser, that is from the user, so they get the
+ * webhooks' guard: no internal addresses, when saved or when sent.
+ */
+function encryptPushPayload(subscription, payload) {
+  const clientKey = Buffer.from(subscription.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscription.auth, 'base64url');
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const hkdf = (ikm, hkdfSalt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, hkdfSalt, info, length));
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]);
+  const ikm = hkdf(ecdh.computeSecret(clientKey), authSecret, keyInfo, 32);
+  const key = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  // A single record: the payload, then the 0x02 padding delimiter of the last record.
+  const record = Buffer.concat([cipher.update(Buffer.from(`${payload}\x02`)), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16); // record size
+  header.writeUInt8(serverKey.length, 20);
+  return Buffer.concat([header, serverKey, record]);
+}
+
+function vapidAuthorization(endpoint) {
+  const publicKey = Buffer.from(vapid.publicKey, 'base64url');
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: vapid.privateKey,
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33, 65).toString('base64url'),
+    },
+  });
+  const token = jwt.sign({ aud: new URL(endpoint).origin, sub: vapid.subject }, key, {
+    algorithm: 'ES256',
+    expiresIn: 12 * 60 * 60,
+  });
+  return `vapid t=${token}, k=${vapid.publicKey}`;
+}
+
+// Throws with err.gone set when the push service says the subscription no longer exists.
+async function sendWebPush(subscription, payload) {
+  const headers = {
+    Authorization: vapidAuthorization(subscription.endpoint),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    TTL: String(WEB_PUSH_TTL),
+    Urgency: 'normal',
+  };
+  const status = await postWebhook(
+    subscription.endpoint,
+    headers,
+    encryptPushPayload(subscription, payload),
+    WEB_PUSH_TIMEOUT_MS
+  );
+  if (status >= 200 && status < 300) return;
+  const err = new Error(`Web Push ${status}`);
+  err.gone = status === 404 || status === 410;
+  throw err;
+}
+
+/*
+ * Channels a notification is sent through besides the inbox. enabled(prefs)
+ * says whether the user wants it (and the server can); send(notification,
+ * prefs) resolves to 'sent' or 'skipped' (nothing to send it to) and throws
+ * when it failed.
+ */
+const NOTIFICATION_CHANNELS = {
+  email: {
+    enabled: (prefs) => Boolean(smtp.host && prefs.email && prefs.emailAddress),
+    async send(notification, prefs) {
+      const text = [notification.body, appUrl].filter(Boolean).join('\n\n');
+      await sendMail({ to: prefs.emailAddress, subject: notification.title, text });
+      return 'sent';
+    },
+  },
+  push: {
+    enabled: (prefs) => Boolean(vapid.publicKey && vapid.privateKey && prefs.push),
+    async send(notification) {
+      const s = await pool.query('SELECT * FROM push_subscriptions WHERE user_id=$1 ORDER BY id', [
+        notification.user_id,
+      ]);
+      const payload = JSON.stringify({
+        id: Number(notification.id),
+        kind: notification.kind,
+        title: notification.title,
+        body: notification.body,
+      });
+      let sent = 0;
+      let failure = null;
+      for (const subscription of s.rows) {
+        try {
+          await sendWebPush(subscription, payload);
+          sent += 1;
+        } catch (err) {
+          if (err.gone) await pool.query('DELETE FROM push_subscriptions WHERE id=$1', [subscription.id]);
+          else failure = err;
+        }
+      }
+      if (sent === 0 && failure) throw failure;
+      return sent > 0 ? 'sent' : 'skipped';
+    },
+  },
+};
+
+async function attemptDelivery(notification, prefs, channel) {
+  let status;
+  let error = null;
+  try {
+    status = await NOTIFICATION_CHANNELS[channel].send(notification, prefs);
+  } catch (err) {
+    status = 'failed';
+    error = String(err.message || err).slice(0, 255);
+  }
+  await pool.query(
+    `INSERT INTO notification_deliveries (notification_id, channel, status, attempts, error, sent_at)
+     VALUES ($1,$2,$3,1,$4,$5)
+     ON CONFLICT (notification_id, channel) DO UPDATE SET
+       status=EXCLUDED.status, attempts=notification_deliveries.attempts + 1, error=EXCLUDED.error,
+       sent_at=EXCLUDED.sent_at`,
+    [notification.id, channel, status, error, status === 'sent' ? new Date() : null]
+  );
+  return { status, error };
+}
+
+// -> { email: { status, error }, ... } for the channels the user turned on.
+async function deliverNotification(notification, prefs) {
+  const deliveries = {};
+  for (const [channel, handler] of Object.entries(NOTIFICATION_CHANNELS)) {
+    if (handler.enabled(prefs)) deliveries[channel] = await attemptDelivery(notification, prefs, channel);
+  }
+  return deliveries;
+}
+
+async function retryDeliveries() {
+  const r = await pool.query(
+    `SELECT d.channel, n.*, to_jsonb(p) AS prefs FROM notification_deliveries d
+     JOIN notifications n ON n.id=d.notification_id
+     LEFT JOIN notification_preferences p ON p.user_id=n.user_id
+     WHERE d.status='failed' AND d.attempts < $1 AND n.created_at > NOW() - make_interval(hours => $2)
+     ORDER BY n.id`,
+    [NOTIFICATION_MAX_ATTEMPTS, NOTIFICATION_RETRY_HOURS]
+  );
+  for (const row of r.rows) {
+    const prefs = formatPreferences(row.prefs);
+    if (NOTIFICATION_CHANNELS[row.channel].enabled(prefs)) await attemptDelivery(row, prefs, row.channel);
+  }
+}
+
+// Stores `notification` for the user and delivers it; null when the user already got that one (dedupe key).
+async function notify(userId, householdId, { kind, key, title, body, data = {} }) {
+  const r = await pool.query(
+    `INSERT INTO notifications (user_id, household_id, kind, dedupe_key, title, body, data)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (user_id, dedupe_key) DO NOTHING RETURNING *`,
+    [userId, householdId, kind, key, title.slice(0, 255), body, data]
+  );
+  if (r.rows.length === 0) return null;
+  const p = await pool.query('SELECT * FROM notification_preferences WHERE user_id=$1', [userId]);
+  const deliveries = await deliverNotification(r.rows[0], formatPreferences(p.rows[0]));
+  return { notification: r.rows[0], deliveries };
+}
+
+// Card bills with something left to pay, due from `now` to `until`.
+async function cardReminders(householdId, now, until) {
+  const r = await pool.query('SELECT * FROM cards WHERE household_id=$1 AND deleted_at IS NULL ORDER BY id', [
+    householdId,
+  ]);
+  const reminders = [];
+  for (const card of r.rows) {
+    const current = statementMonthFor(card, now);
+    for (const st of await loadStatements(card, addMonths(current, -1), addMonths(current, 1))) {
+      if (st.balance <= 0 || st.dueDate < now || st.dueDate > until) continue;
+      reminders.push({
+        kind: 'card_due',
+        key: `card_due:${card.id}:${st.month}`,
+        date: st.dueDate,
+        title: `Fatura do cartão ${card.name} vence ${dueIn(now, st.dueDate)}`,
+        body: `${formatMoney(st.balance, card.currency)} a pagar até ${formatDay(st.dueDate)}.`,
+        data: { cardId: card.id, month: st.month, amount: st.balance, currency: card.currency },
+      });
+    }
+  }
+  return reminders;
+}
+
+async function recurringReminders(householdId, now, until) {
+  const occurrences = await loadOccurrences(householdId, now, until);
+  return occurrences
+    .filter((o) => o.status === 'upcoming' && !(o.paymentMethod === 'credit_card' && o.cardId))
+    .map((o) => ({
+      kind: 'recurring',
+      key: `recurring:${o.ruleId}:${o.dueDate}`,
+      date: o.date,
+      title: `${o.description} ${o.type === 'income' ? 'entra' : 'vence'} ${dueIn(now, o.date)}`,
+      body: `${formatMoney(o.amount, o.currency)} em ${formatDay(o.date)}${o.category ? ` · ${o.category}` : ''}.`,
+      data: { ruleId: o.ruleId, dueDate: o.dueDate, amount: o.amount, currency: o.currency },
+    }));
+}
+
+async function budgetReminders(householdId, month, baseCurrency) {
+  const status = await budgetStatus(householdId, month);
+  return status.alerts.map((a) => ({
+    kind: 'budget',
+    key: `budget:${a.budgetId}:${month}:${a.threshold}`,
+    date: null,
+    title:
+      a.threshold >= 100 ? `Orçamento de ${a.category} estourado` : `Orçamento de ${a.category} em ${a.threshold}%`,
+    body: `${formatMoney(a.spent, baseCurrency)} gastos de ${formatMoney(a.available, baseCurrency)} no mês.`,
+    data: { budgetId: a.budgetId, category: a.category, month, threshold: a.threshold },
+  }));
+}
+
+async function goalReminders(householdId, now, until, baseCurrency) {
+  const r = await pool.query(`${GOALS_SQL} AND g.deadline BETWEEN $3 AND $4 GROUP BY g.id ORDER BY g.deadline`, [
+    householdId,
+    addDays(now, -GOAL_PACE_DAYS),
+    now,
+    until,
+  ]);
+  return r.rows
+    .map((row) => formatGoal(row, now))
+    .filter((goal) => !goal.completed)
+    .map((goal) => ({
+      kind: 'goal',
+      key: `goal:${goal.id}:${goal.deadline}`,
+      date: goal.deadline,
+      title: `Meta ${goal.name} termina ${dueIn(now, goal.deadline)}`,
+      body: goal.onTrack
+        ? `Faltam ${formatMoney(goal.remaining, baseCurrency)}; no ritmo atual, ela fica pronta a tempo.`
+        : `Faltam ${formatMoney(goal.remaining, baseCurrency)} até ${formatDay(goal.deadline)}.`,
+      data: { goalId: goal.id, deadline: goal.deadline, remaining: goal.remaining },
+    }));
+}
+
+// Summary of the household's last DIGEST_DAYS, with what is due in the next ones (`upcoming` reminders).
+async function householdDigest(household, now, budgets, upcoming) {
+  const { id, name, baseCurrency } = household;
+  const from = addDays(now, -DIGEST_DAYS);
+  const t = await pool.query(
+    `SELECT type, COALESCE(category, 'Outros') AS category, SUM(${baseAmountSql()}) AS total
+     FROM ${TRANSACTION_LINES_SQL}
+     WHERE household_id=$1 AND type IN ('income', 'expense') AND date >= $2 AND date < $3 AND deleted_at IS NULL
+     GROUP BY 1, 2`,
+    [id, from, now]
+  );
+  const money = (value) => formatMoney(value, baseCurrency);
+  const total = (type) =>
+    t.rows.filter((row) => row.type === type).reduce((acc, row) => acc + parseFloat(row.total), 0);
+  const top = t.rows
+    .filter((row) => row.type === 'expense')
+    .sort((a, b) => parseFloat(b.total) - parseFloat(a.total))
+    .slice(0, 3)
+    .map((row) => `${row.category} ${money(parseFloat(row.total))}`);
+  const blown = budgets.budgets.filter((budget) => budget.percent !== null && budget.percent >= 100);
+  const due = upcoming.filter((reminder) => reminder.date <= addDays(now, DIGEST_DAYS));
+
+  const lines = [`Entradas: ${money(total('income'))} · Saídas: ${money(total('expense'))}`];
+  if (top.length > 0) lines.push(`Maiores gastos: ${top.join(', ')}`);
+  if (blown.length > 0) lines.push(`Orçamentos estourados: ${blown.map((budget) => budget.category).join(', ')}`);
+  lines.push(
+    due.length > 0
+      ? `Próximos ${DIGEST_DAYS} dias: ${due.map((r) => `${r.title} (${formatDay(r.date)})`).join('; ')}`
+      : `Nada a pagar nos próximos ${DIGEST_DAYS} dias.`
+  );
+  return {
+    kind: 'digest',
+    key: `digest:${id}:${now}`,
+    title: `Resumo da semana: ${name}`,
+    body: lines.join('\n'),
+    data: { from, to: addDays(now, -1), income: total('income'), expense: total('expense') },
+  };
+}
+
+function wantsReminder(prefs, reminder, now) {
+  if (reminder.kind === 'budget') return prefs.budgetAlerts;
+  const days = prefs[REMINDER_LEADS[reminder.kind]];
+  return days > 0 && daysBetween(now, reminder.date) <= days;
+}
+
+// Builds the household's reminders once, for the longest lead time among its members, then notifies each one.
+async function notifyHousehold(household, now) {
+  const { id, members } = household;
+  const month = now.slice(0, 7);
+  const weekday = new Date(`${now}T00:00:00Z`).getUTCDay();
+  const lead = (field) => Math.max(...members.map((member) => member.prefs[field]));
+  const digestToday = members.some((member) => member.prefs.weeklyDigest && member.prefs.digestWeekday === weekday);
+
+  const billsUntil = addDays(now, Math.max(lead('cardDueDays'), lead('recurringDays'), digestToday ? DIGEST_DAYS : 0));
+  const upcoming = [
+    ...(await cardReminders(id, now, billsUntil)),
+    ...(await recurringReminders(id, now, billsUntil)),
+  ].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const reminders = [...upcoming];
+  if (members.some((member) => member.prefs.budgetAlerts)) {
+    reminders.push(...(await budgetReminders(id, month, household.baseCurrency)));
+  }
+  if (lead('goalDeadlineDays') > 0) {
+    reminders.push(...(await goalReminders(id, now, addDays(now, lead('goalDeadlineDays')), household.baseCurrency)));
+  }
+  const digest = digestToday
+    ? await householdDigest(household, now, await budgetStatus(id, month, now), upcoming)
+    : null;
+
+  let created = 0;
+  for (const { userId, prefs } of members) {
+    const own = reminders.filter((reminder) => wantsReminder(prefs, reminder, now));
+    if (digest && prefs.weeklyDigest && prefs.digestWeekday === weekday) own.push(digest);
+    for (const reminder of own) {
+      if (await notify(userId, id, reminder)) created += 1;
+    }
+  }
+  return created;
+}
+
+// Scheduler entry point (boot, interval and `node server.js notifications:run`). -> number of notifications created
+async function runNotifications(now = today()) {
+  await retryDeliveries();
+
+  const m = await pool.query(
+    `SELECT m.household_id, m.user_id, h.name, h.base_currency, to_jsonb(p) AS prefs
+     FROM household_members m JOIN households h ON h.id=m.household_id
+     LEFT JOIN notification_preferences p ON p.user_id=m.user_id
+     ORDER BY m.household_id, m.joined_at`
+  );
+  const households = new Map();
+  for (const row of m.rows) {
+    if (!households.has(row.household_id)) {
+      households.set(row.household_id, {
+        id: row.household_id,
+        name: row.name,
+        baseCurrency: row.base_currency,
+        members: [],
+      });
+    }
+    households.get(row.household_id).members.push({ userId: row.user_id, prefs: formatPreferences(row.prefs) });
+  }
+
+  let created = 0;
+  for (const household of households.values()) {
+    try {
+      created += await notifyHousehold(household, now);
+    } catch (err) {
+      console.error(`Notificações da casa ${household.id} falharam:`, err);
+    }
+  }
+  return created;
+}
+
+/*
+ * GET /api/notifications/preferences
+ *   { email, emailAddress, push, cardDueDays, recurringDays, goalDeadlineDays, budgetAlerts, weeklyDigest,
+ *     digestWeekday, channels: { email, push }, vapidPublicKey }
+ * channels says which ones the server is set up for; push subscriptions need vapidPublicKey.
+ */
+app.get('/api/notifications/preferences', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query('SELECT * FROM notification_preferences WHERE user_id=$1', [req.userId]);
+    res.json({
+      ...formatPreferences(r.rows[0]),
+      channels: {
+        email: Boolean(smtp.host),
+        push: Boolean(vapid.publicKey && vapid.privateKey),
+      },
+      vapidPublicKey: vapid.privateKey ? vapid.publicKey : null,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.put(
+  '/api/notifications/preferences',
+  requireUserId,
+  validate(schemas.notificationPreferences),
+  async (req, res) => {
+    const p = req.body;
+    if (p.emailAddress && !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(p.emailAddress)) {
+      return res.status(400).json({
+        error: 'validation_error',
+        fields: [{ field: 'emailAddress', code: 'invalid_email', message: 'E-mail inválido' }],
+      });
+    }
+    if (p.email && !p.emailAddress) {
+      return res.status(400).json({
+        error: 'validation_error',
+        fields: [{ field: 'emailAddress', code: 'required', message: 'Informe o e-mail' }],
+      });
+    }
+    try {
+      await pool.query(
+        `INSERT INTO notification_preferences (user_id, email, email_address, push, card_due_days, recurring_days,
+           goal_deadline_days, budget_alerts, weekly_digest, digest_weekday)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+         ON CONFLICT (user_id) DO UPDATE SET
+           email=EXCLUDED.email, email_address=EXCLUDED.email_address, push=EXCLUDED.push,
+           card_due_days=EXCLUDED.card_due_days, recurring_days=EXCLUDED.recurring_days,
+           goal_deadline_days=EXCLUDED.goal_deadline_days, budget_alerts=EXCLUDED.budget_alerts,
+           weekly_digest=EXCLUDED.weekly_digest, digest_weekday=EXCLUDED.digest_weekday,
+           updated_at=CURRENT_TIMESTAMP`,
+        [
+          req.userId,
+          p.email,
+          p.emailAddress,
+          p.push,
+          p.cardDueDays,
+          p.recurringDays,
+          p.goalDeadlineDays,
+          p.budgetAlerts,
+          p.weeklyDigest,
+          p.digestWeekday,
+        ]
+      );
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// GET /api/notifications?unread=true&limit=30&before=<id> -> { items: [...newest first], nextCursor, unread }
+app.get('/api/notifications', requireUserId, validate(schemas.notificationQuery, 'query'), async (req, res) => {
+  const { unread, before, limit } = req.query;
+  try {
+    const r = await pool.query(
+      `${NOTIFICATIONS_SQL}
+       WHERE n.user_id=$1 AND (NOT $2 OR n.read_at IS NULL) AND ($3::bigint IS NULL OR n.id < $3)
+       ORDER BY n.id DESC LIMIT $4`,
+      [req.userId, unread, before, limit + 1]
+    );
+    const c = await pool.query('SELECT COUNT(*) AS unread FROM notifications WHERE user_id=$1 AND read_at IS NULL', [
+      req.userId,
+    ]);
+    const items = r.rows.slice(0, limit).map(formatNotification);
+    res.json({
+      items,
+      nextCursor: r.rows.length > limit ? items[items.length - 1].id : null,
+      unread: Number(c.rows[0].unread),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/notifications/read-all', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query(
+      'UPDATE notifications SET read_at=CURRENT_TIMESTAMP WHERE user_id=$1 AND read_at IS NULL',
+      [req.userId]
+    );
+    res.json({ success: true, count: r.rowCount });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+app.post('/api/notifications/:id/read', requireUserId, validateId, async (req, res) => {
+  try {
+    const r = await pool.query(
+      'UPDATE notifications SET read_at=COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id=$1 AND user_id=$2',
+      [req.params.id, req.userId]
+    );
+    if (r.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// POST /api/notifications/test -> { notification, deliveries: { email: { status, error }, ... } }
+app.post('/api/notifications/test', requireUserId, async (req, res) => {
+  try {
+    const result = await notify(req.userId, req.householdId, {
+      kind: 'test',
+      key: `test:${crypto.randomUUID()}`,
+      title: 'Notificação de teste',
+      body: 'Se você recebeu esta mensagem, as notificações estão funcionando.',
+    });
+    const r = await pool.query(`${NOTIFICATIONS_SQL} WHERE n.id=$1`, [result.notification.id]);
+    res.json({ notification: formatNotification(r.rows[0]), deliveries: result.deliveries });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// POST /api/notifications/push-subscriptions { endpoint, p256dh, auth } (the browser's subscription.toJSON())
+app.post(
+  '/api/notifications/push-subscriptions',
+  requireUserId,
+  validate(schemas.pushSubscription),
+  async (req, res) => {
+    const { endpoint, p256dh, auth } = req.body;
+    const fields = [];
+    let url = null;
+    try {
+      url = new URL(endpoint);
+    } catch (e) {
+      // reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      fields.push({ field: 'endpoint', code: 'invalid_endpoint', message: 'Endereço de push inválido' });
+    } else if (await isPrivateHost(url.hostname)) {
+      const message = 'Endereços da rede interna não são permitidos';
+      fields.push({ field: 'endpoint', code: 'private_address', message });
+    }
+    const key = Buffer.from(p256dh, 'base64url');
+    if (key.length !== 65 || key[0] !== 4) {
+      fields.push({ field: 'p256dh', code: 'invalid_key', message: 'Chave inválida' });
+    }
+    if (Buffer.from(auth, 'base64url').length !== 16) {
+      fields.push({ field: 'auth', code: 'invalid_key', message: 'Chave inválida' });
+    }
+    if (fields.length > 0) return res.status(400).json({ error: 'validation_error', fields });
+
+    try {
+      // The same browser signing in to another account moves its subscription there.
+      await pool.query(
+        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent) VALUES ($1,$2,$3,$4,$5)
+         ON CONFLICT (endpoint) DO UPDATE SET
+           user_id=EXCLUDED.user_id, p256dh=EXCLUDED.p256dh, auth=EXCLUDED.auth, user_agent=EXCLUDED.user_agent`,
+        [req.userId, endpoint, p256dh, auth, (req.header('user-agent') || '').slice(0, 255)]
+      );
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+// DELETE /api/notifications/push-subscriptions?endpoint=...
+app.delete(
+  '/api/notifications/push-subscriptions',
+  requireUserId,
+  validate(schemas.pushSubscriptionQuery, 'query'),
+  async (req, res) => {
+    try {
+      await pool.query('DELETE FROM push_subscriptions WHERE user_id=$1 AND endpoint=$2', [
+        req.userId,
+        req.query.endpoint,
+      ]);
+      res.json({ success: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Webhooks (multi-user)
+ * --------------------
+ * The owner subscribes URLs to changes of the household's WEBHOOK_RESOURCES.
+ * Every audit log entry about one of them, or about one of its child rows
+ * (split lines, attachments, contributions, monthly limits), is an event: it
+ * is queued for each active webhook subscribed to the resource in the same
+ * database transaction as the change, and POSTed once that commits:
+ *
+ *   { id, event: 'transactions.create', createdAt, householdId, entity, entityId, parent, action,
+ *     actor: { userId, apiKeyId }, changes, data }
+ *
+ * id is the audit entry's, the same on every webhook and every retry. changes
+ * is as in GET /api/history; data is the row after the change (before it, for
+ * deletes and purges) with camelCase keys. actor.apiKeyId tells a script
+ * apart its own changes. Each request carries X-Prospera-Event,
+ * X-Prospera-Delivery (the delivery id) and
+ *
+ *   X-Prospera-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook's secret>
+ *
+ * A 2xx answer delivers it. Anything else, redirects and no answer within
+ * WEBHOOK_TIMEOUT_MS included, is tried again after 1, 2, 4, ... minutes up to
+ * WEBHOOK_MAX_ATTEMPTS, then marked failed; deliveries can be sent again
+ * (replay) from the log, which keeps WEBHOOK_LOG_DAYS. A paused webhook gets
+ * no new events, and what it still had pending waits until it is active
+ * again. Order is not guaranteed: go by id.
+ *
+ * URLs that point at this host or the networks behind it (loopback,
+ * private, link-local, ...) are refused, when saved and again at every
+ * connection, whatever their name resolves to by then. Web Push endpoints go
+ * through the same guard.
+ * Optional:
+ *  - WEBHOOK_ALLOW_PRIVATE=true        (allow them anyway, e.g. for a receiver on the local network)
+ */
+const webhookAllowPrivate = String(process.env.WEBHOOK_ALLOW_PRIVATE || '').toLowerCase() === 'true';
+const WEBHOOK_RESOURCES = ['transactions', 'budgets', 'goals'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_LEASE_SECONDS = WEBHOOK_TIMEOUT_MS / 1000 + 60; // how long a claimed delivery is left to its sender
+const WEBHOOK_BATCH = 20;
+const WEBHOOK_LOG_DAYS = 30;
+
+const WEBHOOK_SQL = `
+  SELECT w.*,
+    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id=w.id AND d.status='pending') AS pending,
+    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id=w.id AND d.status='failed') AS failed
+  FROM webhooks w`;
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    resources: row.resources,
+    active: row.active,
+    deliveries: { pending: Number(row.pending), failed: Number(row.failed) },
+    createdAt: new Date(row.created_at).toISOString(),
+    ...rowVersion(row),
+  };
+}
+
+function formatDelivery(row) {
+  const iso = (value) => (value ? new Date(value).toISOString() : null);
+  return {
+    id: Number(row.id),
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    durationMs: row.duration_ms,
+    createdAt: iso(row.created_at),
+    lastAttemptAt: iso(row.last_attempt_at),
+    nextAttemptAt: row.status === 'pending' ? iso(row.next_attempt_at) : null,
+    deliveredAt: iso(row.delivered_at),
+    payload: row.payload,
+  };
+}
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// The resource whose webhooks get the events of audit `entity` (itself or its parent), else null.
+function webhookResource(entity) {
+  if (WEBHOOK_RESOURCES.includes(entity)) return entity;
+  const { parent } = AUDIT_ENTITIES[entity];
+  return parent && WEBHOOK_RESOURCES.includes(parent[0]) ? parent[0] : null;
+}
+
+/*
+ * Called by writeAudit with the entries it logged (`audited`: their audit_log ids) to queue one event per entry
+ * for the household's webhooks subscribed to them. They go out when the database transaction commits.
+ */
+async function queueWebhookEvents(db, req, entity, action, entries, audited) {
+  const resource = webhookResource(entity);
+  if (!resource) return;
+  const w = await db.query('SELECT id FROM webhooks WHERE household_id=$1 AND active AND $2 = ANY(resources)', [
+    req.householdId,
+    resource,
+  ]);
+  if (w.rows.length === 0) return;
+
+  const auditIds = new Map(audited.map((row) => [row.entity_id, Number(row.id)]));
+  const { parent } = AUDIT_ENTITIES[entity];
+  const event = `${entity}.${action}`;
+  const createdAt = new Date().toISOString();
+  const payloads = entries.map(({ id, before = null, after = null, extra = {} }) => {
+    const row = after || before || {};
+    const parentId = parent ? row[parent[1]] : undefined;
+    return JSON.stringify({
+      id: auditIds.get(String(id)),
+      event,
+      createdAt,
+      householdId: req.householdId,
+      entity,
+      entityId: String(id),
+      parent: parentId !== undefined && parentId !== null ? { entity: parent[0], id: String(parentId) } : null,
+      action,
+      actor: { userId: req.userId || null, apiKeyId: req.apiKey ? req.apiKey.id : null },
+      changes: { ...auditDiff(before, after), ...extra },
+      data: Object.fromEntries(Object.entries(row).map(([key, value]) => [camelCase(key), value])),
+    });
+  });
+  await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT w.id, $1, p.payload::jsonb
+     FROM UNNEST($2::text[]) WITH ORDINALITY AS p(payload, n) CROSS JOIN UNNEST($3::int[]) AS w(id)
+     ORDER BY p.n, w.id`,
+    [event, payloads, w.rows.map((row) => row.id)]
+  );
+  if (db.afterCommit) {
+    if (!db.afterCommit.includes(kickWebhooks)) db.afterCommit.push(kickWebhooks);
+  } else {
+    kickWebhooks();
+  }
+}
+
+// Where webhooks can't go unless WEBHOOK_ALLOW_PRIVATE.
+const WEBHOOK_BLOCKED_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3], // multicast, reserved, broadcast
+]) {
+  WEBHOOK_BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  WEBHOOK_BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedWebhookAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return WEBHOOK_BLOCKED_NETWORKS.check(mapped[1], 'ipv4');
+  return WEBHOOK_BLOCKED_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function blockedWebhookAddressError(address) {
+  return Object.assign(new Error(`Endereço de rede interna não permitido (${address})`), { code: 'EBLOCKED' });
+}
+
+// dns.lookup for webhook connections: refuses names that resolve to a blocked address (checked as it connects,
+// so a name can't resolve to a public address when saved and to an internal one when sent).
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedWebhookAddress(a.address));
+    if (blocked) return callback(blockedWebhookAddressError(blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POSTs `body` to `url`, not following redirects. -> the response status
+function postWebhook(url, headers, body, timeout = WEBHOOK_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // IP literals never go through the lookup.
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!webhookAllowPrivate && net.isIP(host) && isBlockedWebhookAddress(host)) {
+      return reject(blockedWebhookAddressError(host));
+    }
+    const request = (target.protocol === 'https:' ? https : http).request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: webhookAllowPrivate ? undefined : webhookLookup,
+        signal: AbortSignal.timeout(timeout),
+      },
+      (response) => {
+        response.on('error', () => {}); // only the status matters
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on('error', (err) => reject(err.name === 'AbortError' ? new Error('Tempo de resposta esgotado') : err));
+    request.end(body);
+  });
+}
+
+function webhookSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/*
+ * POSTs delivery `row` (with its webhook's url and secret, claimed by the caller) and records the outcome:
+ * sent, or pending again after a backoff, or failed at WEBHOOK_MAX_ATTEMPTS. -> the delivery row after it
+ */
+async function attemptWebhook(row) {
+  const body = JSON.stringify(row.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let responseStatus = null;
+  let error = null;
+  try {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Prospera-Webhooks/1',
+      'X-Prospera-Event': row.event,
+      'X-Prospera-Delivery': String(row.id),
+      'X-Prospera-Signature': `t=${timestamp},v1=${webhookSignature(row.secret, timestamp, body)}`,
+    };
+    responseStatus = await postWebhook(row.url, headers, body);
+    if (responseStatus < 200 || responseStatus > 299) error = `HTTP ${responseStatus}`;
+  } catch (err) {
+    error = String(err.message || err).slice(0, 255);
+  }
+
+  const r = await pool.query(
+    `UPDATE webhook_deliveries SET
+       attempts=attempts + 1,
+       status=CASE WHEN $2::text IS NULL THEN 'sent' WHEN attempts + 1 >= $5 THEN 'failed' ELSE 'pending' END,
+       next_attempt_at=CURRENT_TIMESTAMP + make_interval(mins => $6),
+       response_status=$3, error=$2, duration_ms=$4, last_attempt_at=CURRENT_TIMESTAMP,
+       delivered_at=CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP END
+     WHERE id=$1 RETURNING *`,
+    [row.id, error, responseStatus, Date.now() - started, WEBHOOK_MAX_ATTEMPTS, 2 ** Math.min(row.attempts, 20)]
+  );
+  return r.rows[0];
+}
+
+// Takes up to WEBHOOK_BATCH due deliveries of active webhooks, pushing their next attempt past the time it
+// may take to send them all, so another run (or instance) leaves them alone. -> rows with url and secret
+async function claimWebhookDeliveries() {
+  const r = await pool.query(
+    `UPDATE webhook_deliveries d SET next_attempt_at=CURRENT_TIMESTAMP + make_interval(secs => $2)
+     FROM webhooks w
+     WHERE w.id=d.webhook_id AND d.id IN (
+       SELECT x.id FROM webhook_deliveries x JOIN webhooks y ON y.id=x.webhook_id
+       WHERE x.status='pending' AND x.next_attempt_at <= CURRENT_TIMESTAMP AND y.active
+       ORDER BY x.id LIMIT $1 FOR UPDATE OF x SKIP LOCKED
+     )
+     RETURNING d.*, w.url, w.secret`,
+    [WEBHOOK_BATCH, WEBHOOK_BATCH * WEBHOOK_LEASE_SECONDS]
+  );
+  return r.rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+// Sends everything due. -> number of deliveries that went through
+async function runWebhookDeliveries() {
+  let sent = 0;
+  for (;;) {
+    const rows = await claimWebhookDeliveries();
+    if (rows.length === 0) return sent;
+    for (const row of rows) {
+      if ((await attemptWebhook(row)).status === 'sent') sent += 1;
+    }
+  }
+}
+
+/*
+ * Runs runWebhookDeliveries in the background, one run at a time (a kick during a run makes another one
+ * follow it). Does nothing until the server started the scheduler, so CLI commands leave their events to it.
+ */
+let webhooksStarted = false;
+let webhookRun = null;
+let webhookRerun = false;
+function kickWebhooks() {
+  if (!webhooksStarted) return;
+  if (webhookRun) {
+    webhookRerun = true;
+    return;
+  }
+  webhookRun = runWebhookDeliveries()
+    .catch((err) => console.error('Erro ao enviar webhooks:', err))
+    .finally(() => {
+      webhookRun = null;
+      if (webhookRerun) {
+        webhookRerun = false;
+        kickWebhooks();
+      }
+    });
+}
+
+async function pruneWebhookDeliveries() {
+  const r = await pool.query(
+    "DELETE FROM webhook_deliveries WHERE status<>'pending' AND created_at < NOW() - make_interval(days => $1)",
+    [WEBHOOK_LOG_DAYS]
+  );
+  return r.rowCount;
+}
+
+// Webhooks send the household's data out: only its owner manages them.
+function requireOwner(req, res, next) {
+  if (req.householdRole !== 'owner') return res.status(403).json({ error: 'owner_only' });
+  next();
+}
+
+// `resources` as req.webhookResources; runs before validate(schemas.webhook), which drops it.
+function validateWebhookResources(req, res, next) {
+  const resources = req.body && req.body.resources;
+  if (!Array.isArray(resources) || resources.length === 0 || resources.some((r) => !WEBHOOK_RESOURCES.includes(r))) {
+    return res.status(400).json({
+      error: 'validation_error',
+      fields: [
+        {
+          field: 'resources',
+          code: 'invalid_option',
+          message: `Escolha ao menos um (opções: ${WEBHOOK_RESOURCES.join(', ')})`,
+        },
+      ],
+    });
+  }
+  req.webhookResources = [...new Set(resources)];
+  next();
+}
+
+// Whether `hostname` is, or resolves to, a blocked address (never when WEBHOOK_ALLOW_PRIVATE).
+// A name that doesn't resolve (yet) is let through: every connection checks it again.
+async function isPrivateHost(hostname) {
+  if (webhookAllowPrivate) return false;
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : await dns.promises.lookup(host, { all: true }).then(
+        (found) => found.map((a) => a.address),
+        () => []
+      );
+  return addresses.some(isBlockedWebhookAddress);
+}
+
+// -> the 400 body when `url` isn't an http(s) URL, or resolves to a blocked address, else null.
+async function webhookUrlError(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return {
+      error: 'validation_error',
+      fields: [{ field: 'url', code: 'invalid_url', message: 'Endereço inválido (use http:// ou https://)' }],
+    };
+  }
+  if (!(await isPrivateHost(parsed.hostname))) return null;
+  return {
+    error: 'validation_error',
+    fields: [{ field: 'url', code: 'private_address', message: 'Endereços da rede interna não são permitidos' }],
+  };
+}
+
+// GET /api/webhooks -> the active household's webhooks, with how many deliveries are pending / failed
+app.get('/api/webhooks', requireUserId, requireOwner, async (req, res) => {
+  try {
+    const r = await pool.query(`${WEBHOOK_SQL} WHERE w.household_id=$1 ORDER BY w.id`, [req.householdId]);
+    res.json({ resources: WEBHOOK_RESOURCES, items: r.rows.map(formatWebhook) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/webhooks { url, description, resources: ['transactions', ...], active } -> { ...webhook, secret }
+ * The secret is only returned here and by POST /api/webhooks/:id/secret.
+ */
+app.post(
+  '/api/webhooks',
+  requireUserId,
+  requireOwner,
+  validateWebhookResources,
+  validate(schemas.webhook),
+  async (req, res) => {
+    const { url, description, active } = req.body;
+    const invalid = await webhookUrlError(url);
+    if (invalid) return res.status(400).json(invalid);
+    const secret = newWebhookSecret();
+    try {
+      const id = await withTransaction(async (db) => {
+        const r = await db.query(
+          `INSERT INTO webhooks (household_id, url, description, resources, secret, active, created_by)
+           VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+          [req.householdId, url, description, req.webhookResources, secret, active, req.userId]
+        );
+        await logChange(db, req, 'webhooks', [r.rows[0].id], 'create');
+        return r.rows[0].id;
+      });
+      const w = await pool.query(`${WEBHOOK_SQL} WHERE w.id=$1`, [id]);
+      res.json({ ...formatWebhook(w.rows[0]), secret });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.put(
+  '/api/webhooks/:id',
+  requireUserId,
+  requireOwner,
+  validateId,
+  validateWebhookResources,
+  validate(schemas.webhook),
+  async (req, res) => {
+    const { url, description, active, version } = req.body;
+    const invalid = await webhookUrlError(url);
+    if (invalid) return res.status(400).json(invalid);
+    try {
+      const result = await withTransaction(async (db) => {
+        const lock = await lockForUpdate(db, 'webhooks', req.params.id, req.householdId, version);
+        if (!lock.before) return lock;
+        const u = await db.query(
+          'UPDATE webhooks SET url=$1, description=$2, resources=$3, active=$4 WHERE id=$5 RETURNING version',
+          [url, description, req.webhookResources, active, req.params.id]
+        );
+        await logChange(db, req, 'webhooks', [req.params.id], 'update', lock.before);
+        return { status: 200, body: { success: true, version: u.rows[0].version } };
+      });
+      // Reactivated: what waited goes out now.
+      if (result.status === 200 && active) kickWebhooks();
+      res.status(result.status).json(result.body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+app.delete('/api/webhooks/:id', requireUserId, requireOwner, validateId, async (req, res) => {
+  try {
+    const found = await withTransaction(async (db) => {
+      const before = await auditRows(db, 'webhooks', [Number(req.params.id)]);
+      const d = await db.query('DELETE FROM webhooks WHERE id=$1 AND household_id=$2', [
+        req.params.id,
+        req.householdId,
+      ]);
+      if (d.rowCount === 0) return false;
+      await logChange(db, req, 'webhooks', [req.params.id], 'delete', before);
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// POST /api/webhooks/:id/secret -> { secret } (a new one; the old one stops signing right away)
+app.post('/api/webhooks/:id/secret', requireUserId, requireOwner, validateId, async (req, res) => {
+  const secret = newWebhookSecret();
+  try {
+    const r = await pool.query('UPDATE webhooks SET secret=$1 WHERE id=$2 AND household_id=$3', [
+      secret,
+      req.params.id,
+      req.householdId,
+    ]);
+    if (r.rowCount === 0) return res.status(404).json({ error: 'not_found' });
+    res.json({ secret });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/webhooks/:id/ping -> the delivery of a `ping` event, sent right away (paused or not), so the
+ * receiver can be tried out: { id: null, event: 'ping', createdAt, householdId, webhookId }
+ */
+app.post('/api/webhooks/:id/ping', requireUserId, requireOwner, validateId, async (req, res) => {
+  const payload = {
+    id: null,
+    event: 'ping',
+    createdAt: new Date().toISOString(),
+    householdId: req.householdId,
+    webhookId: req.params.id,
+  };
+  try {
+    const r = await pool.query(
+      `WITH w AS (SELECT id, url, secret FROM webhooks WHERE id=$1 AND household_id=$2),
+       d AS (
+         INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+         SELECT id, 'ping', $3, CURRENT_TIMESTAMP + make_interval(secs => $4) FROM w RETURNING *
+       )
+       SELECT d.*, w.url, w.secret FROM d JOIN w ON w.id=d.webhook_id`,
+      [req.params.id, req.householdId, payload, WEBHOOK_LEASE_SECONDS]
+    );
+    if (r.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+    res.json(formatDelivery(await attemptWebhook(r.rows[0])));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries?status=failed&limit=30&before=<id> -> { items: [...newest first], nextCursor }
+app.get(
+  '/api/webhooks/:id/deliveries',
+  requireUserId,
+  requireOwner,
+  validateId,
+  validate(schemas.webhookDeliveryQuery, 'query'),
+  async (req, res) => {
+    const { status, before, limit } = req.query;
+    try {
+      const w = await pool.query('SELECT 1 FROM webhooks WHERE id=$1 AND household_id=$2', [
+        req.params.id,
+        req.householdId,
+      ]);
+      if (w.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+      const r = await pool.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id=$1 AND ($2::text IS NULL OR status=$2) AND ($3::bigint IS NULL OR id < $3)
+         ORDER BY id DESC LIMIT $4`,
+        [req.params.id, status, before, limit + 1]
+      );
+      const items = r.rows.slice(0, limit).map(formatDelivery);
+      res.json({ items, nextCursor: r.rows.length > limit ? items[items.length - 1].id : null });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/*
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay -> the delivery, sent again right away with the same
+ * payload and id (the signature is a new one). Failing again, it gets a fresh round of retries.
+ */
+app.post(
+  '/api/webhooks/:id/deliveries/:deliveryId/replay',
+  requireUserId,
+  requireOwner,
+  validate(schemas.webhookDeliveryParams, 'params'),
+  async (req, res) => {
+    try {
+      const r = await pool.query(
+        `UPDATE webhook_deliveries d SET status='pending', attempts=0,
+           next_attempt_at=CURRENT_TIMESTAMP + make_interval(secs => $4)
+         FROM webhooks w
+         WHERE d.id=$1 AND d.webhook_id=$2 AND w.id=d.webhook_id AND w.household_id=$3
+         RETURNING d.*, w.url, w.secret`,
+        [req.params.deliveryId, req.params.id, req.householdId, WEBHOOK_LEASE_SECONDS]
+      );
+      if (r.rows.length === 0) return res.status(404).json({ error: 'not_found' });
+      res.json(formatDelivery(await attemptWebhook(r.rows[0])));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Erro' });
+    }
+  }
+);
+
+/**
+ * --------------------
+ * Trash (multi-user)
+ * --------------------
+ * Deleting a transaction, goal, card, investment or budget only sets its
+ * deleted_at, and every read leaves those rows out. Until the scheduler purges
+ * them, TRASH_RETENTION_DAYS after they were deleted, they can be restored:
+ * right away from the "Desfazer" of the delete toast, or later from the trash.
+ * Children (contributions, events, limits, ...) are untouched, so a restored
+ * row comes back as it was.
+ */
+const TRASH_TYPES = {
+  transactions: { label: 'description', amount: 'amount', currency: 'currency', date: 'date' },
+  goals: { label: 'name', amount: 'target' },
+  cards: { label: 'name', amount: 'limit_amount', currency: 'currency' },
+  investments: { label: 'name' },
+  budgets: { label: 'category', amount: 'limit_amount' },
+};
+
+const TRASH_SQL = Object.entries(TRASH_TYPES)
+  .map(
+    ([type, t]) =>
+      `SELECT '${type}' AS type, id, ${t.label}::text AS label, ${t.amount || 'NULL'}::numeric AS amount,
+         ${t.currency || 'NULL'}::text AS currency, ${t.date ? `to_char(${t.date}, 'YYYY-MM-DD')` : 'NULL'} AS date,
+         deleted_at
+       FROM ${type} WHERE household_id=$1 AND deleted_at IS NOT NULL`
+  )
+  .join(' UNION ALL ');
+
+function formatTrashItem(row) {
+  const deletedAt = new Date(row.deleted_at);
+  return {
+    type: row.type,
+    id: row.id,
+    label: row.label,
+    amount: row.amount === null ? null : parseFloat(row.amount),
+    currency: row.currency, // null: the base currency
+    date: row.date,
+    deletedAt: deletedAt.toISOString(),
+    purgeAt: new Date(deletedAt.getTime() + trashRetentionDays * 24 * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+// Scheduler entry point (boot, interval and `node server.js trash:purge`). -> number of rows removed
+async function purgeTrash() {
+  let purged = 0;
+  for (const type of Object.keys(TRASH_TYPES)) {
+    purged += await withTransaction(async (db) => {
+      const expired = 't.deleted_at IS NOT NULL AND t.deleted_at < NOW() - make_interval(days => $1)';
+      if (type === 'transactions') await deleteAttachments(db, expired, [trashRetentionDays]);
+      const d = await db.query(`DELETE FROM ${type} t WHERE ${expired} RETURNING to_jsonb(t) AS row`, [
+        trashRetentionDays,
+      ]);
+      const byHousehold = new Map();
+      for (const { row } of d.rows) {
+        byHousehold.set(row.household_id, [...(byHousehold.get(row.household_id) || []), row]);
+      }
+      for (const [householdId, rows] of byHousehold) {
+        const entries = rows.map((row) => ({ id: row.id, before: row }));
+        await writeAudit(db, { householdId, userAgent: 'scheduler' }, type, 'purge', entries);
+      }
+      return d.rowCount;
+    });
+  }
+  // Files no attachment row points to (an upload whose transaction rolled back, say).
+  await sweepAttachments();
+  await pruneSyncMutations();
+  await pruneWebhookDeliveries();
+  return purged;
+}
+
+// GET /api/trash -> { retentionDays, items: [{ type, id, label, amount, currency, date, deletedAt, purgeAt }] }
+// newest first
+app.get('/api/trash', requireUserId, async (req, res) => {
+  try {
+    const r = await pool.query(`${TRASH_SQL} ORDER BY deleted_at DESC, id DESC`, [req.householdId]);
+    res.json({ retentionDays: trashRetentionDays, items: r.rows.map(formatTrashItem) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// A budget can't come back while another budget for its category exists (409 budget_exists).
+app.post('/api/trash/:type/:id/restore', requireUserId, validate(schemas.trashParams, 'params'), async (req, res) => {
+  const { type, id } = req.params;
+  try {
+    const found = await withTransaction(async (db) => {
+      const before = await auditRows(db, type, [id]);
+      const r = await db.query(
+        `UPDATE ${type} SET deleted_at=NULL WHERE id=$1 AND household_id=$2 AND deleted_at IS NOT NULL`,
+        [id, req.householdId]
+      );
+      if (r.rowCount === 0) return false;
+      await logChange(db, req, type, [id], 'restore', before);
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'budget_exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// Deletes one item from the trash for good.
+app.delete('/api/trash/:type/:id', requireUserId, validate(schemas.trashParams, 'params'), async (req, res) => {
+  const { type, id } = req.params;
+  try {
+    const found = await withTransaction(async (db) => {
+      if (type === 'transactions') {
+        const where = 't.id=$1 AND t.household_id=$2 AND t.deleted_at IS NOT NULL';
+        await deleteAttachments(db, where, [id, req.householdId]);
+      }
+      const d = await db.query(
+        `DELETE FROM ${type} t WHERE id=$1 AND household_id=$2 AND deleted_at IS NOT NULL RETURNING to_jsonb(t) AS row`,
+        [id, req.householdId]
+      );
+      if (d.rowCount === 0) return false;
+      await writeAudit(db, req, type, 'purge', [{ id, before: d.rows[0].row }]);
+      return true;
+    });
+    if (!found) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+// DELETE /api/trash -> empties the trash: { success, deleted }
+app.delete('/api/trash', requireUserId, async (req, res) => {
+  try {
+    const deleted = await withTransaction(async (db) => {
+      let count = 0;
+      for (const type of Object.keys(TRASH_TYPES)) {
+        if (type === 'transactions') {
+          await deleteAttachments(db, 't.household_id=$1 AND t.deleted_at IS NOT NULL', [req.householdId]);
+        }
+        const d = await db.query(
+          `DELETE FROM ${type} t WHERE household_id=$1 AND deleted_at IS NOT NULL RETURNING to_jsonb(t) AS row`,
+          [req.householdId]
+        );
+        const entries = d.rows.map(({ row }) => ({ id: row.id, before: row }));
+        await writeAudit(db, req, type, 'purge', entries);
+        count += d.rowCount;
+      }
+      return count;
+    });
+    res.json({ success: true, deleted });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * Export / restore (multi-user)
+ * --------------------
+ * GET /api/export streams every row of the active household as a versioned
+ * JSON archive ({ format, version, schemaVersion, exportedAt, user, household,
+ * tables }) or, with format=csv, a zip with one CSV per table. Rows keep their
+ * ids; POST /api/import takes the JSON archive back, gives every row a new id, rewrites
+ * the references and inserts it all in one transaction:
+ *  - merge: adds to what is there; rows that hit a unique key (same category,
+ *    budget, external id, ...) are skipped and their references point to the
+ *    existing row
+ *  - replace: deletes the household's data first (owners only) and takes the
+ *    archive's base currency
+ * dryRun runs the whole restore and rolls it back, returning the same summary.
+ * Attachments stay out: the archive carries rows, not files. A replace would
+ * lose the household's attachments for good, so it answers 409
+ * attachments_present until discardAttachments confirms it (the dry run counts
+ * them in deleted.attachments). API keys and webhooks stay out too: they are
+ * credentials rather than data.
+ */
+const ARCHIVE_FORMAT = 'prospera-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_MAX_ROWS = 200000;
+
+/*
+ * Insert order. `owner` tables have household_id; the others belong to the row their
+ * `parent` column points to. `refs` are ids to remap (column -> table), `uuids`
+ * get fresh values, `members` (user ids) are kept only for members of the
+ * household, `match` finds the existing row when a merge is skipped and `key`
+ * orders tables that have no id.
+ */
+const ARCHIVE_TABLES = [
+  { name: 'accounts', owner: true },
+  {
+    name: 'categories',
+    owner: true,
+    refs: { parent_id: 'categories' },
+    match: {
+      where: 'type=$2 AND COALESCE(parent_id, 0)=COALESCE($3::int, 0) AND LOWER(name)=LOWER($4)',
+      columns: ['type', 'parent_id', 'name'],
+    },
+  },
+  { name: 'cards', owner: true },
+  { name: 'recurring_rules', owner: true, refs: { card_id: 'cards', account_id: 'accounts' } },
+  {
+    name: 'transactions',
+    owner: true,
+    refs: {
+      card_id: 'cards',
+      account_id: 'accounts',
+      transfer_account_id: 'accounts',
+      recurring_rule_id: 'recurring_rules',
+    },
+    uuids: ['installment_group', 'client_id'],
+    members: ['member_id'],
+    match: { where: 'external_id=$2', columns: ['external_id'] },
+  },
+  { name: 'transaction_splits', parent: 'transaction_id', refs: { transaction_id: 'transactions' } },
+  {
+    name: 'recurring_occurrences',
+    parent: 'rule_id',
+    refs: { rule_id: 'recurring_rules', transaction_id: 'transactions' },
+  },
+  {
+    name: 'account_reconciliations',
+    parent: 'account_id',
+    refs: { account_id: 'accounts', adjustment_transaction_id: 'transactions' },
+  },
+  { name: 'card_payments', owner: true, refs: { card_id: 'cards', account_id: 'accounts' } },
+  { name: 'goals', owner: true },
+  { name: 'goal_contributions', parent: 'goal_id', refs: { goal_id: 'goals', transaction_id: 'transactions' } },
+  { name: 'investments', owner: true },
+  { name: 'investment_events', parent: 'investment_id', refs: { investment_id: 'investments' } },
+  { name: 'investment_snapshots', parent: 'investment_id', refs: { investment_id: 'investments' } },
+  { name: 'budgets', owner: true, match: { where: 'category=$2 AND deleted_at IS NULL', columns: ['category'] } },
+  { name: 'budget_limits', parent: 'budget_id', refs: { budget_id: 'budgets' } },
+  { name: 'budget_months', owner: true, key: 'month' },
+  { name: 'import_rules', owner: true },
+  { name: 'net_worth_snapshots', owner: true, key: 'month' },
+  { name: 'exchange_rates', owner: true },
+];
+
+function archiveRowsSql(table) {
+  if (table.owner) {
+    return `SELECT to_jsonb(t) - 'household_id' AS row FROM ${table.name} t
+            WHERE t.household_id=$1 ORDER BY t.${table.key || 'id'}`;
+  }
+  return `SELECT to_jsonb(t) AS row FROM ${table.name} t JOIN ${table.refs[table.parent]} p ON p.id=t.${table.parent}
+          WHERE p.household_id=$1 ORDER BY t.id`;
+}
+
+async function schemaVersion(db) {
+  const r = await db.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+  return r.rows[0].version;
+}
+
+// table -> Set of column names, straight from the database so archive keys can't inject SQL.
+async function archiveColumns(db) {
+  const r = await db.query(
+    `SELECT table_name, column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ANY($1) ORDER BY ordinal_position`,
+    [ARCHIVE_TABLES.map((t) => t.name)]
+  );
+  const columns = new Map(ARCHIVE_TABLES.map((t) => [t.name, new Set()]));
+  for (const row of r.rows) columns.get(row.table_name).add(row.column_name);
+  return columns;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal zip writer (deflate, UTF-8 names, no zip64): [{ name, content: Buffer }] -> Buffer
+function zipFiles(files, now = new Date()) {
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, content } of files) {
+    const fileName = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(content);
+    const header = Buffer.alloc(26);
+    header.writeUInt16LE(20, 0); // version needed
+    header.writeUInt16LE(0x0800, 2); // UTF-8 file name
+    header.writeUInt16LE(8, 4); // deflate
+    header.writeUInt16LE(time, 6);
+    header.writeUInt16LE(date, 8);
+    header.writeUInt32LE(crc32(content), 10);
+    header.writeUInt32LE(data.length, 14);
+    header.writeUInt32LE(content.length, 18);
+    header.writeUInt16LE(fileName.length, 22);
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), header, fileName, data]);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    header.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, fileName);
+    parts.push(local);
+    offset += local.length;
+  }
+
+  const centralSize = central.reduce((acc, b) => acc + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+/*
+ * Checks the archive's shape before anything touches the database: format and
+ * version, one array of objects per known table, unique integer ids and
+ * references that point to rows inside the archive. Unknown tables are ignored.
+ */
+function readArchive(req, res, next) {
+  const archive = req.body && req.body.archive;
+  const errors = [];
+  const fail = (table, row, message) => errors.length < 50 && errors.push({ table, row, message });
+
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    fail(null, null, 'Arquivo não é um backup do Prospera');
+  } else if (archive.version !== ARCHIVE_VERSION) {
+    fail(null, null, `Versão de backup não suportada: ${archive.version}`);
+  } else if (!archive.tables || typeof archive.tables !== 'object') {
+    fail(null, null, 'Backup sem tabelas');
+  } else {
+    const ids = new Map();
+    let total = 0;
+    for (const table of ARCHIVE_TABLES) {
+      const rows = archive.tables[table.name];
+      if (rows === undefined) continue;
+      if (!Array.isArray(rows)) {
+        fail(table.name, null, 'Deve ser uma lista');
+        continue;
+      }
+      total += rows.length;
+      const seen = new Set();
+      rows.forEach((row, i) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) return fail(table.name, i, 'Linha inválida');
+        if (table.key) return;
+        if (!Number.isInteger(row.id) || seen.has(row.id)) return fail(table.name, i, 'id ausente ou repetido');
+        seen.add(row.id);
+      });
+      ids.set(table.name, seen);
+    }
+    if (total > ARCHIVE_MAX_ROWS) fail(null, null, `Máximo de ${ARCHIVE_MAX_ROWS} linhas por backup`);
+
+    for (const table of ARCHIVE_TABLES) {
+      const rows = archive.tables[table.name];
+      if (!Array.isArray(rows)) continue;
+      rows.forEach((row, i) => {
+        if (!row || typeof row !== 'object') return;
+        for (const [column, target] of Object.entries(table.refs || {})) {
+          const value = row[column];
+          if (value === null || value === undefined) {
+            if (column === table.parent) fail(table.name, i, `${column} ausente`);
+          } else if (!ids.has(target) || !ids.get(target).has(value)) {
+            fail(table.name, i, `${column} aponta para ${target} ${value}, que não está no backup`);
+          }
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) return res.status(400).json({ error: 'invalid_archive', errors });
+  req.archive = archive;
+  next();
+}
+
+// Like withTransaction, but always rolls back: used for dry runs.
+async function withRollback(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    return await fn(client);
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
+
+// Inserts the archive for `householdId`. Database errors are tagged with err.archiveRow = { table, row }.
+async function restoreArchive(db, householdId, archive, mode, columns) {
+  const summary = { tables: {}, deleted: {} };
+  if (mode === 'replace') {
+    summary.deleted.attachments = await deleteAttachments(db, 't.household_id=$1', [householdId]);
+    for (const table of [...ARCHIVE_TABLES].reverse()) {
+      if (!table.owner) continue;
+      const d = await db.query(`DELETE FROM ${table.name} WHERE household_id=$1`, [householdId]);
+      summary.deleted[table.name] = d.rowCount;
+    }
+    if (!archive.tables.categories) await seedCategories(db, householdId);
+    const base = checkField({ type: 'currency' }, archive.household && archive.household.baseCurrency);
+    if (base.value) await db.query('UPDATE households SET base_currency=$1 WHERE id=$2', [base.value, householdId]);
+  }
+
+  const m = await db.query('SELECT user_id FROM household_members WHERE household_id=$1', [householdId]);
+  const members = new Set(m.rows.map((row) => row.user_id));
+  const ids = new Map();
+  for (const table of ARCHIVE_TABLES) {
+    const known = columns.get(table.name);
+    const newIds = new Map();
+    const uuids = new Map();
+    const counts = { inserted: 0, skipped: 0 };
+    ids.set(table.name, newIds);
+
+    // Self references (subcategories) need their parent inserted first.
+    const selfRef = Object.keys(table.refs || {}).find((column) => table.refs[column] === table.name);
+    const rows = (archive.tables[table.name] || []).map((source, index) => ({ source, index }));
+    if (selfRef) rows.sort((a, b) => (a.source[selfRef] == null ? 0 : 1) - (b.source[selfRef] == null ? 0 : 1));
+
+    for (const { source, index } of rows) {
+      const row = {};
+      for (const [column, value] of Object.entries(source)) {
+        if (column !== 'id' && column !== 'household_id' && known.has(column)) row[column] = value;
+      }
+      for (const [column, target] of Object.entries(table.refs || {})) {
+        if (row[column] !== null && row[column] !== undefined) row[column] = ids.get(target).get(row[column]) ?? null;
+      }
+      for (const column of table.uuids || []) {
+        if (!row[column]) continue;
+        if (!uuids.has(row[column])) uuids.set(row[column], crypto.randomUUID());
+        row[column] = uuids.get(row[column]);
+      }
+      for (const column of table.members || []) {
+        if (row[column] !== undefined && !members.has(row[column])) row[column] = null;
+      }
+      if (table.owner) row.household_id = householdId;
+
+      const names = Object.keys(row);
+      let r;
+      try {
+        r = await db.query(
+          `INSERT INTO ${table.name} (${names.map((n) => `"${n}"`).join(', ')})
+           VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+           ON CONFLICT DO NOTHING ${table.key ? '' : 'RETURNING id'}`,
+          names.map((n) => row[n])
+        );
+      } catch (err) {
+        err.archiveRow = { table: table.name, row: index };
+        throw err;
+      }
+
+      if (r.rowCount > 0) {
+        counts.inserted++;
+        if (!table.key) newIds.set(source.id, r.rows[0].id);
+      } else {
+        counts.skipped++;
+        if (table.match) {
+          const existing = await db.query(
+            `SELECT id FROM ${table.name} WHERE household_id=$1 AND ${table.match.where}`,
+            [householdId, ...table.match.columns.map((column) => row[column])]
+          );
+          if (existing.rows[0]) newIds.set(source.id, existing.rows[0].id);
+        }
+      }
+    }
+    summary.tables[table.name] = counts;
+  }
+  return summary;
+}
+
+// GET /api/export?format=json|csv -> attachment
+app.get('/api/export', requireUserId, validate(schemas.exportQuery, 'query'), async (req, res) => {
+  try {
+    const u = await pool.query('SELECT name, login FROM users WHERE id=$1', [req.userId]);
+    const h = await pool.query('SELECT name, base_currency AS "baseCurrency" FROM households WHERE id=$1', [
+      req.householdId,
+    ]);
+    const header = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: await schemaVersion(pool),
+      exportedAt: new Date().toISOString(),
+      user: u.rows[0],
+      household: h.rows[0],
+    };
+    const fileName = `prospera_backup_${today()}`;
+
+    if (req.query.format === 'csv') {
+      const files = [{ name: 'manifest.json', content: Buffer.from(JSON.stringify(header, null, 2)) }];
+      const tableColumns = await archiveColumns(pool);
+      for (const table of ARCHIVE_TABLES) {
+        const r = await pool.query(archiveRowsSql(table), [req.householdId]);
+        const rows = r.rows.map((x) => x.row);
+        const columns = [...tableColumns.get(table.name)].filter((column) => column !== 'household_id');
+        const lines = [columns.join(','), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(','))];
+        files.push({ name: `${table.name}.csv`, content: Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`) });
+      }
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(zipFiles(files));
+    }
+
+    // One table at a time, so a large account never sits in memory as a single string.
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.write(`${JSON.stringify(header).slice(0, -1)},"tables":{`);
+    for (const [i, table] of ARCHIVE_TABLES.entries()) {
+      const r = await pool.query(archiveRowsSql(table), [req.householdId]);
+      res.write(`${i > 0 ? ',' : ''}${JSON.stringify(table.name)}:${JSON.stringify(r.rows.map((x) => x.row))}`);
+    }
+    res.end('}}');
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/*
+ * POST /api/import { archive, mode: 'merge' | 'replace', dryRun, discardAttachments }
+ *   { mode, dryRun, tables: { name: { inserted, skipped } }, deleted: { name: count }, ignoredColumns }
+ * 400 invalid_archive { errors: [{ table, row, message }] } when the archive is
+ * malformed, newer than this server or a row is rejected by the database.
+ * 409 attachments_present { count } when a replace would delete attachments
+ * and discardAttachments isn't set.
+ */
+app.post('/api/import', requireUserId, readArchive, validate(schemas.archiveImport), async (req, res) => {
+  const { mode, dryRun, discardAttachments } = req.body;
+  const archive = req.archive;
+  if (mode === 'replace' && req.householdRole !== 'owner') return res.status(403).json({ error: 'owner_only' });
+  try {
+    if (archive.schemaVersion > (await schemaVersion(pool))) {
+      return res.status(400).json({
+        error: 'invalid_archive',
+        errors: [{ table: null, row: null, message: 'Backup criado por uma versão mais nova do Prospera' }],
+      });
+    }
+    const columns = await archiveColumns(pool);
+    const ignoredColumns = new Set();
+    for (const table of ARCHIVE_TABLES) {
+      for (const row of archive.tables[table.name] || []) {
+        for (const column of Object.keys(row)) {
+          if (!columns.get(table.name).has(column)) ignoredColumns.add(`${table.name}.${column}`);
+        }
+      }
+    }
+
+    const summary = await (dryRun ? withRollback : withTransaction)(async (db) => {
+      if (mode === 'replace' && !dryRun && !discardAttachments) {
+        const a = await db.query('SELECT COUNT(*)::int AS count FROM attachments WHERE household_id=$1', [
+          req.householdId,
+        ]);
+        if (a.rows[0].count > 0) return { attachmentsPresent: a.rows[0].count };
+      }
+      const restored = await restoreArchive(db, req.householdId, archive, mode, columns);
+      await writeAudit(db, req, 'archive', 'restore', [{ id: mode, after: { mode }, extra: restored }]);
+      return restored;
+    });
+    if (summary.attachmentsPresent) {
+      return res.status(409).json({ error: 'attachments_present', count: summary.attachmentsPresent });
+    }
+    res.json({ mode, dryRun, ...summary, ignoredColumns: [...ignoredColumns] });
+  } catch (e) {
+    if (e.archiveRow) {
+      return res.status(400).json({ error: 'invalid_archive', errors: [{ ...e.archiveRow, message: e.message }] });
+    }
+    console.error(e);
+    res.status(500).json({ error: 'Erro' });
+  }
+});
+
+/**
+ * --------------------
+ * SPA fallback
+ * --------------------
+ */
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+/**
+ * --------------------
+ * Errors
+ * --------------------
+ * What a route didn't answer itself ends here, as JSON like every other error
+ * (Express would send an HTML page with the stack): bodies that aren't valid
+ * JSON (400 invalid_json) or go past their route's limit (413 payload_too_large).
+ */
+// Express tells error handlers apart by their four parameters, next included.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'invalid_json' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'payload_too_large', limit: err.limit });
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) return res.status(status).json({ error: err.type || 'bad_request' });
+  console.error(err);
+  res.status(500).json({ error: 'Erro' });
+});
+
+/**
+ * --------------------
+ * Entry point
+ * --------------------
+ * The HTTP server only starts once every migration has been applied.
+ */
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  if (command === 'migrate') {
+    const count = await migrateUp();
+    console.log(count ? `${count} migração(ões) aplicada(s).` : 'Banco de dados já está atualizado.');
+    return pool.end();
+  }
+
+  if (command === 'migrate:status') {
+    for (const m of await migrationStatus()) {
+      const when = m.applied_at ? m.applied_at.toISOString() : 'pendente';
+      console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${when}`);
+    }
+    return pool.end();
+  }
+
+  if (command === 'migrate:down') {
+    const count = await migrateDown(arg === undefined ? 1 : Number(arg));
+    console.log(`${count} migração(ões) revertida(s).`);
+    return pool.end();
+  }
+
+  if (command === 'recurring:run') {
+    const posted = await runRecurringRules();
+    console.log(`${posted} lançamento(s) recorrente(s) criado(s).`);
+    return pool.end();
+  }
+
+  if (command === 'net-worth:run') {
+    const stored = await runNetWorthSnapshots(arg || undefined);
+    console.log(`${stored} retrato(s) de patrimônio salvo(s).`);
+    return pool.end();
+  }
+
+  if (command === 'trash:purge') {
+    const purged = await purgeTrash();
+    console.log(`${purged} item(ns) removido(s) da lixeira.`);
+    return pool.end();
+  }
+
+  if (command === 'webhooks:run') {
+    const sent = await runWebhookDeliveries();
+    console.log(`${sent} entrega(s) de webhook enviada(s).`);
+    return pool.end();
+  }
+
+  if (command === 'notifications:run') {
+    const created = await runNotifications(arg || undefined);
+    console.log(`${created} notificação(ões) criada(s).`);
+    return pool.end();
+  }
+
+  // Prints a new VAPID key pair for Web Push (goes into the environment; changing it drops every subscription).
+  if (command === 'notifications:vapid-keys') {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const key = privateKey.export({ format: 'jwk' });
+    const point = [Buffer.from([4]), Buffer.from(key.x, 'base64url'), Buffer.from(key.y, 'base64url')];
+    console.log(`VAPID_PUBLIC_KEY=${Buffer.concat(point).toString('base64url')}`);
+    console.log(`VAPID_PRIVATE_KEY=${key.d}`);
+    return pool.end();
+  }
+
+  if (command) throw new Error(`Comando desconhecido: ${command}`);
+
+  await migrateUp();
+  console.log('Banco de dados conectado e migrações aplicadas.');
+
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`Servidor rodando na porta ${port}`);
+  });
+  startScheduler();
+}
+
+function startScheduler() {
+  if (recurringIntervalMinutes > 0) {
+    const tick = () =>
+      runRecurringRules()
+        .then((posted) => {
+          if (posted > 0) console.log(`${posted} lançamento(s) recorrente(s) criado(s).`);
+        })
+        .catch((err) => console.error('Erro no agendador de recorrências:', err));
+    tick();
+    setInterval(tick, recurringIntervalMinutes * 60 * 1000);
+  }
+
+  // Checked on an interval rather than at midnight, so a month missed while the server was down is still stored.
+  if (netWorthIntervalMinutes > 0) {
+    const tick = () =>
+      runNetWorthSnapshots()
+        .then((stored) => {
+          if (stored > 0) console.log(`${stored} retrato(s) de patrimônio salvo(s).`);
+        })
+        .catch((err) => console.error('Erro no agendador de patrimônio:', err));
+    tick();
+    setInterval(tick, netWorthIntervalMinutes * 60 * 1000);
+  }
+
+  if (trashPurgeIntervalMinutes > 0) {
+    const tick = () =>
+      purgeTrash()
+        .then((purged) => {
+          if (purged > 0) console.log(`${purged} item(ns) removido(s) da lixeira.`);
+        })
+        .catch((err) => console.error('Erro ao esvaziar a lixeira:', err));
+    tick();
+    setInterval(tick, trashPurgeIntervalMinutes * 60 * 1000);
+  }
+
+  if (notificationsIntervalMinutes > 0) {
+    const tick = () =>
+      runNotifications()
+        .then((created) => {
+          if (created > 0) console.log(`${created} notificação(ões) criada(s).`);
+        })
+        .catch((err) => console.error('Erro no agendador de notificações:', err));
+    tick();
+    setInterval(tick, notificationsIntervalMinutes * 60 * 1000);
+  }
+
+  // New webhook events go out as soon as their change commits; this sends the retries that came due.
+  webhooksStarted = true;
+  kickWebhooks();
+  setInterval(kickWebhooks, webhookIntervalSeconds * 1000);
+}
 
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Servidor rodando na porta ${port}`);
+main().catch((err) => {
+  console.error('Erro ao inicializar:', err);
+  process.exit(1);
 });
@@ -0,0 +1,80 @@
+// Service worker do Prospera: guarda o app para abrir sem conexão e mostra as notificações Web Push enviadas pelo servidor
+
+// Casca do app (esta origem) e bibliotecas dos CDNs; trocar a versão descarta o cache antigo
+const CACHE = 'prospera-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'unpkg.com', 'esm.sh', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Responde do cache e atualiza em segundo plano; scripts dos CDNs chegam opacos (sem CORS), e tudo bem
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // A API nunca passa pelo cache: os dados offline ficam no IndexedDB do app
+  if (url.pathname.startsWith('/api/')) return;
+  if (request.mode === 'navigate') {
+    // Página: sempre a mais nova quando há rede, a guardada quando não há
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then((cache) => cache.put('/', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+  if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Push: mostra a notificação
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Prospera', {
+      body: data.body || '',
+      tag: data.id ? `prospera-${data.id}` : undefined,
+      data,
+    })
+  );
+});
+
+// Clique na notificação: volta para uma aba aberta do app, ou abre uma nova
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      return open ? open.focus() : self.clients.openWindow('/');
+    })
+  );
+});